@@ -0,0 +1,83 @@
+// EIP-712 aura attestations - must match AuraAttestation in contracts/BaseAuraV2.sol
+
+import { randomBytes } from 'node:crypto';
+import { privateKeyToAccount } from 'viem/accounts';
+
+const ATTESTATION_FIELDS = [
+    { name: 'targetAddress', type: 'address' },
+    { name: 'linkedAddresses', type: 'address[]' },
+    { name: 'txCount', type: 'uint256' },
+    { name: 'auraType', type: 'string' },
+    { name: 'name', type: 'string' },
+    { name: 'expiry', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+];
+
+export const ATTESTATION_TYPES = { AuraAttestation: ATTESTATION_FIELDS };
+
+// V1 migrations sign the same fields as an AuraMigration, which only BaseAuraMigrator can mint
+export const MIGRATION_TYPES = { AuraMigration: ATTESTATION_FIELDS };
+
+const DEFAULT_TTL_SECONDS = 600;
+
+export function getAttestationDomain(chainId, verifyingContract) {
+    return {
+        name: 'Base Aura',
+        version: '1',
+        chainId,
+        verifyingContract,
+    };
+}
+
+// Sign an attestation for the contract on a network with the configured attester key
+// linkedAddresses (an aggregate aura) must already be proven to belong with the target, see ./links.js
+// name must be the target's verified, normalized ENS name or Basename (see ./names.js), or empty
+// migration: true signs it for BaseAuraMigrator (see ./migration.js) instead of mint and updateAura
+// Returns the attestation with bigint fields serialized as strings so it can be sent as JSON
+export async function signAttestation({ targetAddress, linkedAddresses = [], txCount, auraType, name = '', migration = false, network }) {
+    const privateKey = process.env.ATTESTER_PRIVATE_KEY;
+    if (!privateKey) {
+        throw new Error('ATTESTER_PRIVATE_KEY must be configured');
+    }
+
+    const ttl = Number(process.env.ATTESTATION_TTL_SECONDS || DEFAULT_TTL_SECONDS);
+    const account = privateKeyToAccount(privateKey);
+
+    const attestation = {
+        targetAddress,
+        linkedAddresses,
+        txCount: BigInt(txCount),
+        auraType,
+        name,
+        expiry: BigInt(Math.floor(Date.now() / 1000) + ttl),
+        nonce: BigInt(`0x${randomBytes(32).toString('hex')}`),
+    };
+
+    const signature = await account.signTypedData({
+        domain: getAttestationDomain(network.chainId, network.contractAddress),
+        types: migration ? MIGRATION_TYPES : ATTESTATION_TYPES,
+        primaryType: migration ? 'AuraMigration' : 'AuraAttestation',
+        message: attestation,
+    });
+
+    return {
+        attestation: {
+            ...attestation,
+            txCount: attestation.txCount.toString(),
+            expiry: attestation.expiry.toString(),
+            nonce: attestation.nonce.toString(),
+        },
+        signature,
+        attester: account.address,
+    };
+}
+
+// Convert a signed attestation back to the bigint fields the contract takes
+export function toContractAttestation(attestation) {
+    return {
+        ...attestation,
+        txCount: BigInt(attestation.txCount),
+        expiry: BigInt(attestation.expiry),
+        nonce: BigInt(attestation.nonce),
+    };
+}
@@ -0,0 +1,45 @@
+// Aura tier lookups against the on-chain tier registry
+
+import { createPublicClient, http } from 'viem';
+import { getTierForScore } from '../../src/lib/tiers.js';
+
+// Read every registered tier from the contract on a network
+export async function getTiers(network) {
+    const client = createPublicClient({
+        transport: http(network.rpcUrl),
+    });
+
+    return client.readContract({
+        address: network.contractAddress,
+        abi: network.contractAbi,
+        functionName: 'getTiers',
+    });
+}
+
+// Get the aura type (tier ID) earned by an aura score, or null
+export async function getAuraType(score, network) {
+    const tier = getTierForScore(await getTiers(network), score);
+    return tier ? tier.id : null;
+}
+
+// The token an address belongs to, as its target or one of its linked addresses, or null
+export async function getAuraToken(address, network) {
+    const client = createPublicClient({
+        transport: http(network.rpcUrl),
+    });
+    const contract = { address: network.contractAddress, abi: network.contractAbi };
+
+    if (!(await client.readContract({ ...contract, functionName: 'hasMinted', args: [address] }))) {
+        return null;
+    }
+    const tokenId = await client.readContract({ ...contract, functionName: 'getTokenByTargetAddress', args: [address] });
+    const [targetAddress, linkedAddresses] = await Promise.all([
+        client.readContract({ ...contract, functionName: 'getTargetAddress', args: [tokenId] }),
+        client.readContract({ ...contract, functionName: 'getLinkedAddresses', args: [tokenId] }),
+    ]);
+    return { tokenId, targetAddress, linkedAddresses };
+}
+
+export function isValidAddress(address) {
+    return /^0x[a-fA-F0-9]{40}$/.test(address);
+}
@@ -0,0 +1,64 @@
+// Cache store selection, cached lookups and request coalescing
+// CACHE_STORE picks the store: "memory" (the default) or "kv" for Vercel KV / Upstash Redis
+// Every store implements get(key), set(key, value, ttlSeconds) and incr(key, ttlSeconds)
+
+import { createKvCache } from './kv.js';
+import { createMemoryCache } from './memory.js';
+
+const DEFAULT_STORE = 'memory';
+
+const FACTORIES = {
+    memory: () => createMemoryCache(),
+    kv: () => createKvCache({
+        url: process.env.KV_REST_API_URL,
+        token: process.env.KV_REST_API_TOKEN,
+    }),
+};
+
+let store;
+
+// The configured store, built once per instance
+export function getCache() {
+    if (!store) {
+        const name = process.env.CACHE_STORE || DEFAULT_STORE;
+        if (!FACTORIES[name]) throw new Error(`Unknown cache store: ${name}`);
+        store = FACTORIES[name]();
+    }
+    return store;
+}
+
+// In-flight lookups per key within an instance
+const inflight = new Map();
+
+// Run fn once per key at a time; concurrent callers share the same promise
+export function coalesce(key, fn) {
+    if (!inflight.has(key)) {
+        inflight.set(key, Promise.resolve().then(fn).finally(() => inflight.delete(key)));
+    }
+    return inflight.get(key);
+}
+
+// Serve key from the cache while it is younger than ttl seconds, else compute it again
+// Entries are kept for `keep` seconds, and compute receives the expired value so it can refresh incrementally
+// The cache is best effort: store errors are logged and the value is computed as if nothing was cached
+export function cached(key, compute, { ttl, keep = ttl }) {
+    return coalesce(key, async () => {
+        let entry = null;
+        try {
+            entry = await getCache().get(key);
+        } catch (error) {
+            console.error('Cache read failed:', error);
+        }
+        if (entry && entry.freshUntil > Date.now()) return entry.value;
+
+        const value = await compute(entry?.value ?? null);
+        // Nothing to keep with a ttl and keep of 0 (CACHE_TTL_SECONDS=0)
+        if (keep <= 0) return value;
+        try {
+            await getCache().set(key, { value, freshUntil: Date.now() + ttl * 1000 }, keep);
+        } catch (error) {
+            console.error('Cache write failed:', error);
+        }
+        return value;
+    });
+}
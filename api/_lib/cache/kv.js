@@ -0,0 +1,44 @@
+// Vercel KV / Upstash Redis cache store
+// Talks to the REST API with fetch, so it is shared across serverless instances without a client library
+
+export function createKvCache({ url, token }) {
+    if (!url || !token) throw new Error('KV_REST_API_URL and KV_REST_API_TOKEN are required for CACHE_STORE=kv');
+
+    const send = async (path, body) => {
+        const response = await fetch(`${url.replace(/\/$/, '')}${path}`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+        });
+        if (!response.ok) throw new Error(`KV request failed with ${response.status}`);
+        return response.json();
+    };
+
+    // One Redis command, e.g. ['GET', key]
+    const command = async (args) => {
+        const data = await send('', args);
+        if (data.error) throw new Error(`KV ${args[0]} failed: ${data.error}`);
+        return data.result;
+    };
+
+    return {
+        name: 'kv',
+
+        async get(key) {
+            const value = await command(['GET', key]);
+            return value === null ? null : JSON.parse(value);
+        },
+
+        async set(key, value, ttlSeconds) {
+            await command(['SET', key, JSON.stringify(value), 'EX', String(ttlSeconds)]);
+        },
+
+        // Increment a counter, starting a new one that expires after ttlSeconds
+        async incr(key, ttlSeconds) {
+            const results = await send('/pipeline', [['INCR', key], ['EXPIRE', key, String(ttlSeconds), 'NX']]);
+            const failed = results.find((result) => result.error);
+            if (failed) throw new Error(`KV INCR failed: ${failed.error}`);
+            return results[0].result;
+        },
+    };
+}
@@ -0,0 +1,48 @@
+// In-memory cache store
+// Entries live as long as the instance stays warm, so this is for local dev and single instances
+
+const DEFAULT_MAX_ENTRIES = 10000;
+
+export function createMemoryCache({ maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    const entries = new Map();
+
+    const read = (key) => {
+        const entry = entries.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return null;
+        }
+        return entry;
+    };
+
+    const write = (key, value, ttlSeconds) => {
+        // Re-inserting keeps the Map in write order, so the oldest entry is evicted first
+        entries.delete(key);
+        entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+        if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    };
+
+    return {
+        name: 'memory',
+
+        async get(key) {
+            return read(key)?.value ?? null;
+        },
+
+        async set(key, value, ttlSeconds) {
+            write(key, value, ttlSeconds);
+        },
+
+        // Increment a counter, starting a new one that expires after ttlSeconds
+        async incr(key, ttlSeconds) {
+            const entry = read(key);
+            if (!entry) {
+                write(key, 1, ttlSeconds);
+                return 1;
+            }
+            entry.value += 1;
+            return entry.value;
+        },
+    };
+}
@@ -0,0 +1,36 @@
+// Deployment manifests (deployments/<network>.json) for the API routes - the same files the frontend bundles -
+// and the V1 holder snapshots migrations are checked against (deployments/v1-holders/<network>.json)
+// DEPLOYMENTS_DIR points elsewhere, e.g. for tests; vercel.json ships the directory with every function
+
+import { readFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const DEFAULT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..', 'deployments');
+
+// Files read by this instance, by path
+const files = new Map();
+
+// Parsed JSON of a file under the deployments directory, or null when it doesn't exist
+function readDeploymentFile(...segments) {
+    const file = path.join(process.env.DEPLOYMENTS_DIR || DEFAULT_DIR, ...segments);
+    if (!files.has(file)) {
+        try {
+            files.set(file, JSON.parse(readFileSync(file, 'utf8')));
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error(`Failed to read ${file}:`, error);
+            files.set(file, null);
+        }
+    }
+    return files.get(file);
+}
+
+// A network's manifest, or null when it has none
+export function readManifest(networkKey) {
+    return readDeploymentFile(`${networkKey}.json`);
+}
+
+// A network's V1 holder snapshot (written by backend/snapshot-v1.mjs), or null when it has none
+export function readV1Snapshot(networkKey) {
+    return readDeploymentFile('v1-holders', `${networkKey}.json`);
+}
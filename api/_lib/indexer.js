@@ -0,0 +1,219 @@
+// Aura event indexer
+// Replays AuraMinted, AuraLinked, AuraUpdated and Transfer logs into the local store (./store.js)
+// and answers leaderboard, gallery, token history and address queries from it
+
+import { createPublicClient, http } from 'viem';
+import { getTierRank } from '../../src/lib/tiers.js';
+import { getTiers } from './aura.js';
+import { loadIndex, saveIndex } from './store.js';
+
+const INDEX_EVENTS = ['AuraMinted', 'AuraLinked', 'AuraUpdated', 'Transfer'];
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Blocks per eth_getLogs request and requests per sync, so one call stays within the function timeout
+const BLOCK_RANGE = Number(process.env.INDEXER_BLOCK_RANGE) || 10000;
+const MAX_RANGES = Number(process.env.INDEXER_MAX_RANGES) || 20;
+
+// One sync per network at a time within an instance
+const inflight = new Map();
+
+function getToken(index, tokenId) {
+    const id = tokenId.toString();
+    if (!index.tokens[id]) {
+        index.tokens[id] = {
+            tokenId: id,
+            targetAddress: null,
+            linkedAddresses: [],
+            minter: null,
+            owner: null,
+            auraType: null,
+            txCount: null,
+            history: [],
+        };
+    }
+    return index.tokens[id];
+}
+
+// Apply a batch of logs in chain order and return the token IDs they touched
+async function applyLogs(client, index, logs) {
+    const timestamps = new Map();
+    const getTimestamp = async (blockNumber) => {
+        if (!timestamps.has(blockNumber)) {
+            const block = await client.getBlock({ blockNumber });
+            timestamps.set(blockNumber, Number(block.timestamp));
+        }
+        return timestamps.get(blockNumber);
+    };
+
+    const touched = new Set();
+    for (const log of logs) {
+        const token = getToken(index, log.args.tokenId);
+        const entry = {
+            blockNumber: Number(log.blockNumber),
+            timestamp: await getTimestamp(log.blockNumber),
+            transactionHash: log.transactionHash,
+        };
+
+        if (log.eventName === 'AuraMinted') {
+            token.targetAddress = log.args.targetAddress.toLowerCase();
+            token.minter = log.args.minter.toLowerCase();
+            token.auraType = log.args.auraType;
+            token.history.push({ event: 'minted', auraType: log.args.auraType, ...entry });
+        } else if (log.eventName === 'AuraLinked') {
+            token.linkedAddresses.push(log.args.linkedAddress.toLowerCase());
+        } else if (log.eventName === 'AuraUpdated') {
+            token.auraType = log.args.newAura;
+            token.history.push({ event: 'updated', auraType: log.args.newAura, previousAura: log.args.oldAura, ...entry });
+        } else {
+            // Mints also emit Transfer from the zero address, which AuraMinted already records
+            token.owner = log.args.to.toLowerCase();
+            if (log.args.from !== ZERO_ADDRESS) {
+                token.history.push({ event: 'transferred', from: log.args.from.toLowerCase(), to: token.owner, ...entry });
+            }
+        }
+        touched.add(token.tokenId);
+    }
+    return touched;
+}
+
+// Events don't carry tx counts, so read them for tokens that changed
+async function refreshTxCounts(client, network, index, tokenIds) {
+    await Promise.all([...tokenIds].map(async (tokenId) => {
+        const txCount = await client.readContract({
+            address: network.contractAddress,
+            abi: network.contractAbi,
+            functionName: 'getTxCount',
+            args: [BigInt(tokenId)],
+        });
+        index.tokens[tokenId].txCount = Number(txCount);
+    }));
+}
+
+// Sync into a copy of the stored index, so a failure partway through a range never leaves half-applied
+// logs behind to be replayed (and duplicated) by the next sync; the copy replaces it once saved
+async function runSync(network) {
+    const index = structuredClone(await loadIndex(network));
+    const client = createPublicClient({
+        transport: http(network.rpcUrl),
+    });
+
+    const latestBlock = Number(await client.getBlockNumber());
+    let fromBlock = index.lastBlock === null ? Number(network.startBlock) || 0 : index.lastBlock + 1;
+    const touched = new Set();
+
+    for (let i = 0; i < MAX_RANGES && fromBlock <= latestBlock; i++) {
+        const toBlock = Math.min(fromBlock + BLOCK_RANGE - 1, latestBlock);
+        const logs = await client.getLogs({
+            address: network.contractAddress,
+            events: network.contractAbi.filter((item) => item.type === 'event' && INDEX_EVENTS.includes(item.name)),
+            fromBlock: BigInt(fromBlock),
+            toBlock: BigInt(toBlock),
+        });
+
+        for (const tokenId of await applyLogs(client, index, logs)) touched.add(tokenId);
+        index.lastBlock = toBlock;
+        fromBlock = toBlock + 1;
+    }
+
+    await refreshTxCounts(client, network, index, touched);
+    await saveIndex(network, index);
+    return index;
+}
+
+// Catch the index up with the chain (at most MAX_RANGES ranges per call)
+// If the RPC fails, the last stored index is served instead
+export async function syncIndex(network) {
+    if (!inflight.has(network.key)) {
+        const sync = runSync(network)
+            .catch(async (error) => {
+                console.error('Aura index sync error:', error);
+                return loadIndex(network);
+            })
+            .finally(() => inflight.delete(network.key));
+        inflight.set(network.key, sync);
+    }
+    return inflight.get(network.key);
+}
+
+// Public view of an indexed token, without its history
+function toSummary(token, tiers) {
+    const tier = tiers.find((t) => t.id === token.auraType);
+    const { history, ...summary } = token;
+    return {
+        ...summary,
+        auraName: tier?.name || null,
+        rarity: tier?.rarity || null,
+        mintedAt: history[0]?.timestamp ?? null,
+        updatedAt: history.filter((entry) => entry.event === 'updated').at(-1)?.timestamp ?? null,
+    };
+}
+
+// Tokens ranked by tier, then tx count, then mint order
+export async function getLeaderboard(index, network, { limit = 25, offset = 0 } = {}) {
+    const tiers = await getTiers(network);
+    const ranked = Object.values(index.tokens)
+        .filter((token) => token.targetAddress)
+        .sort((a, b) =>
+            getTierRank(tiers, b.auraType) - getTierRank(tiers, a.auraType) ||
+            (b.txCount || 0) - (a.txCount || 0) ||
+            Number(a.tokenId) - Number(b.tokenId));
+
+    return {
+        total: ranked.length,
+        entries: ranked.slice(offset, offset + limit).map((token, i) => ({
+            rank: offset + i + 1,
+            ...toSummary(token, tiers),
+        })),
+    };
+}
+
+// Minted tokens in mint (token ID) order, newest first when order is 'newest'
+// auraType and rarity filter by tier ID and tier rarity (case-insensitive)
+export async function getGallery(index, network, { auraType, rarity, order = 'oldest', limit = 24, offset = 0 } = {}) {
+    const tiers = await getTiers(network);
+    const direction = order === 'newest' ? -1 : 1;
+    const tokens = Object.values(index.tokens)
+        .filter((token) => token.targetAddress)
+        .map((token) => toSummary(token, tiers))
+        .filter((token) => !auraType || token.auraType === auraType)
+        .filter((token) => !rarity || token.rarity?.toLowerCase() === rarity.toLowerCase())
+        .sort((a, b) => direction * (Number(a.tokenId) - Number(b.tokenId)));
+
+    return {
+        total: tokens.length,
+        entries: tokens.slice(offset, offset + limit),
+    };
+}
+
+// One minted token without its history, or null
+export async function getTokenSummary(index, network, tokenId) {
+    const token = index.tokens[tokenId];
+    if (!token?.targetAddress) return null;
+
+    return toSummary(token, await getTiers(network));
+}
+
+// A token with its full mint/upgrade/transfer timeline, or null
+export async function getTokenHistory(index, network, tokenId) {
+    const token = index.tokens[tokenId];
+    if (!token?.targetAddress) return null;
+
+    const tiers = await getTiers(network);
+    return { token: toSummary(token, tiers), history: token.history };
+}
+
+// The aura minted for an address (as its target or a linked address), plus every token it currently holds
+export async function getAddressTokens(index, network, address) {
+    const addr = address.toLowerCase();
+    const tiers = await getTiers(network);
+    const isAuraOf = (token) => token.targetAddress === addr || token.linkedAddresses.includes(addr);
+    const tokens = Object.values(index.tokens)
+        .filter((token) => token.targetAddress && (token.owner === addr || isAuraOf(token)))
+        .map((token) => toSummary(token, tiers));
+
+    return {
+        aura: tokens.find(isAuraOf) || null,
+        owned: tokens.filter((token) => token.owner === addr),
+    };
+}
@@ -0,0 +1,117 @@
+// Keeper flow: rescan minted target addresses and refresh tokens whose tier changed
+// Used by the /api/refresh cron route and backend/refresh-auras.mjs
+
+import { getTierForScore } from '../../src/lib/tiers.js';
+import { signAttestation, toContractAttestation } from './attestation.js';
+import { getTiers } from './aura.js';
+import { getCache } from './cache/index.js';
+import { syncIndex } from './indexer.js';
+import { lookupAddress } from './names.js';
+import { getAggregateScore, getAuraScore } from './score.js';
+import { parseInclude } from './txcount.js';
+
+// How long an unused scan cursor is kept
+const CURSOR_KEEP_SECONDS = 30 * 24 * 60 * 60;
+
+const cursorKey = (network) => `keeper:cursor:${network.chainId}:${network.contractAddress.toLowerCase()}`;
+
+// Offset the next scan starts from, so consecutive cron runs walk through all tokens
+// Kept in the cache store; a missing or unreadable cursor starts over from the first token
+export async function getScanCursor(network) {
+    try {
+        return (await getCache().get(cursorKey(network))) ?? 0;
+    } catch (error) {
+        console.error('Keeper cursor read failed:', error);
+        return 0;
+    }
+}
+
+export async function setScanCursor(network, offset) {
+    try {
+        await getCache().set(cursorKey(network), offset, CURSOR_KEEP_SECONDS);
+    } catch (error) {
+        console.error('Keeper cursor write failed:', error);
+    }
+}
+
+// Rescan indexed tokens (in token ID order) and return the ones whose scored tier differs from their aura
+// Aggregate auras are rescanned across their target and linked addresses
+// nextOffset is where the following scan continues, back at 0 once the last token was checked
+export async function findStaleAuras(network, { offset = 0, limit = Infinity } = {}) {
+    const index = await syncIndex(network);
+    const tiers = await getTiers(network);
+    const include = parseInclude();
+
+    const indexed = Object.values(index.tokens)
+        .filter((token) => token.targetAddress)
+        .sort((a, b) => Number(a.tokenId) - Number(b.tokenId));
+    const tokens = indexed.slice(offset, offset + limit);
+    const nextOffset = offset + limit < indexed.length ? offset + limit : 0;
+
+    const stale = [];
+    const errors = [];
+    // Sequential on purpose - explorer APIs rate limit bursts
+    for (const token of tokens) {
+        try {
+            const { targetAddress, linkedAddresses } = token;
+            const { txCount, score, scoreBreakdown } = linkedAddresses.length > 0
+                ? await getAggregateScore([targetAddress, ...linkedAddresses], { include, network })
+                : await getAuraScore(targetAddress, { include, network });
+            // Like /api/attest, never move a tier on the unweighted tx count fallback
+            if (!scoreBreakdown) throw new Error('Aura scoring unavailable, not checked against the tx count');
+            const tier = getTierForScore(tiers, score);
+            if (tier && tier.id !== token.auraType) {
+                stale.push({ tokenId: token.tokenId, targetAddress, linkedAddresses, from: token.auraType, to: tier.id, txCount, score });
+            }
+        } catch (error) {
+            errors.push({ tokenId: token.tokenId, error: error.message });
+        }
+    }
+
+    return { offset, checked: tokens.length, total: indexed.length, nextOffset, stale, errors };
+}
+
+// Attest and apply stale auras with refreshAuras in batches
+// Each refresh is simulated first and the ones that would revert are left out of their batch, so one bad token
+// doesn't hold up the others. They are returned in errors, like findStaleAuras' unchecked tokens
+// walletClient must belong to an authorized updater (BaseAuraV2.setUpdater)
+export async function refreshStaleAuras(network, walletClient, publicClient, stale, { batchSize = 20 } = {}) {
+    const contract = { address: network.contractAddress, abi: network.contractAbi, functionName: 'refreshAuras' };
+    const refreshArgs = (refreshes) => [
+        refreshes.map(({ tokenId }) => BigInt(tokenId)),
+        refreshes.map(({ attestation }) => toContractAttestation(attestation)),
+        refreshes.map(({ signature }) => signature),
+    ];
+    const transactions = [];
+    const errors = [];
+
+    for (let start = 0; start < stale.length; start += batchSize) {
+        const batch = stale.slice(start, start + batchSize);
+        const signed = await Promise.all(batch.map(async ({ tokenId, targetAddress, linkedAddresses, txCount, to }) => {
+            try {
+                // Refreshes also pick up a changed ENS name or Basename
+                const { name } = await lookupAddress(targetAddress, network);
+                const refresh = {
+                    tokenId,
+                    ...(await signAttestation({ targetAddress, linkedAddresses, txCount, auraType: to, name: name || '', network })),
+                };
+                await publicClient.simulateContract({ ...contract, account: walletClient.account, args: refreshArgs([refresh]) });
+                return refresh;
+            } catch (error) {
+                errors.push({ tokenId, error: error.shortMessage || error.message });
+                return null;
+            }
+        }));
+        const refreshes = signed.filter(Boolean);
+        if (refreshes.length === 0) continue;
+
+        const hash = await walletClient.writeContract({ ...contract, args: refreshArgs(refreshes) });
+        const receipt = await publicClient.waitForTransactionReceipt({ hash });
+        if (receipt.status !== 'success') {
+            throw new Error(`refreshAuras reverted: ${hash}`);
+        }
+        transactions.push(hash);
+    }
+
+    return { transactions, errors };
+}
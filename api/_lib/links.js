@@ -0,0 +1,75 @@
+// Linked addresses for aggregate auras
+// Each linked address proves it belongs with the target by signing the link message (src/lib/links.js),
+// or by being verified on the same Farcaster account as the target
+
+import { createPublicClient, http } from 'viem';
+import { getLinkMessage } from '../../src/lib/links.js';
+import { isValidAddress } from './aura.js';
+
+// Most addresses one aura can link, which bounds the explorer requests per scan
+export const MAX_LINKED_ADDRESSES = 5;
+
+const DEFAULT_HUB_URL = 'https://hub-api.neynar.com';
+
+// Parse linked addresses from a comma separated string or an array, validated against the target
+export function parseLinked(linked, targetAddress) {
+    const addresses = (Array.isArray(linked) ? linked : (linked || '').split(','))
+        .map((address) => address.trim())
+        .filter(Boolean);
+
+    const invalid = addresses.filter((address) => !isValidAddress(address));
+    if (invalid.length > 0) {
+        throw new Error(`Invalid linked addresses: ${invalid.join(', ')}`);
+    }
+
+    const unique = new Set([targetAddress, ...addresses].map((address) => address.toLowerCase()));
+    if (unique.size !== addresses.length + 1) {
+        throw new Error('Linked addresses must be unique and differ from the target address');
+    }
+    if (addresses.length > MAX_LINKED_ADDRESSES) {
+        throw new Error(`At most ${MAX_LINKED_ADDRESSES} linked addresses are supported`);
+    }
+    return addresses;
+}
+
+// Ethereum addresses verified on a Farcaster account, lowercased, from a hub's HTTP API
+export async function getFarcasterAddresses(fid) {
+    const hubUrl = process.env.FARCASTER_HUB_URL || DEFAULT_HUB_URL;
+    const headers = process.env.FARCASTER_HUB_API_KEY ? { 'x-api-key': process.env.FARCASTER_HUB_API_KEY } : {};
+
+    const response = await fetch(`${hubUrl}/v1/verificationsByFid?fid=${fid}`, { headers });
+    if (!response.ok) {
+        throw new Error(`Farcaster hub request failed: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return (data.messages || [])
+        .map((message) => message.data?.verificationAddAddressBody?.address)
+        // Solana verifications share the list
+        .filter((address) => address && isValidAddress(address))
+        .map((address) => address.toLowerCase());
+}
+
+// Linked addresses without a valid proof - empty when every link checks out
+// links are { address, signature } with an optional signature; fid is the Farcaster account to check against
+export async function findUnprovenLinks({ targetAddress, links, fid, network }) {
+    const farcaster = new Set(fid ? await getFarcasterAddresses(fid) : []);
+    const sameAccount = farcaster.has(targetAddress.toLowerCase());
+    const client = createPublicClient({
+        transport: http(network.rpcUrl),
+    });
+
+    const unproven = [];
+    for (const { address, signature } of links) {
+        if (sameAccount && farcaster.has(address.toLowerCase())) continue;
+
+        // verifyMessage also accepts smart wallet (ERC-1271/ERC-6492) signatures, e.g. from a Base Account
+        const valid = Boolean(signature) && await client.verifyMessage({
+            address,
+            message: getLinkMessage(targetAddress, address, network.chainId),
+            signature,
+        }).catch(() => false);
+        if (!valid) unproven.push(address);
+    }
+    return unproven;
+}
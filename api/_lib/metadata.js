@@ -0,0 +1,42 @@
+// Token metadata - reads tokenURI from the contract and decodes its on-chain JSON
+// Used by the gallery (/api/gallery) and token detail (/api/token/:id) routes
+
+import { createPublicClient, http } from 'viem';
+import { cached } from './cache/index.js';
+import { getCacheTtl } from './txcount.js';
+
+const JSON_BASE64_PREFIX = 'data:application/json;base64,';
+
+// Decode a data:application/json;base64 token URI (what BaseAuraV2.tokenURI returns) into its JSON
+// Returns null for anything else, e.g. an off-chain URI or malformed JSON
+export function decodeTokenUri(uri) {
+    if (typeof uri !== 'string' || !uri.startsWith(JSON_BASE64_PREFIX)) return null;
+    try {
+        return JSON.parse(Buffer.from(uri.slice(JSON_BASE64_PREFIX.length), 'base64').toString('utf8'));
+    } catch {
+        return null;
+    }
+}
+
+// Decoded metadata of a token, or null when it can't be read
+// Cached for CACHE_TTL_SECONDS - upgrades and refreshes show up once it expires
+export async function getTokenMetadata(network, tokenId) {
+    const key = `metadata:${network.chainId}:${tokenId}`;
+    try {
+        return await cached(key, async () => {
+            const client = createPublicClient({
+                transport: http(network.rpcUrl),
+            });
+            const uri = await client.readContract({
+                address: network.contractAddress,
+                abi: network.contractAbi,
+                functionName: 'tokenURI',
+                args: [BigInt(tokenId)],
+            });
+            return decodeTokenUri(uri);
+        }, { ttl: getCacheTtl() });
+    } catch (error) {
+        console.error(`Token metadata error (${network.key} #${tokenId}):`, error);
+        return null;
+    }
+}
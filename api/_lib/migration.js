@@ -0,0 +1,58 @@
+// BaseAura (V1) to BaseAuraV2 migration
+// V1 tokens are moved in by BaseAuraMigrator, which mints a V2 aura of the V1 token's type
+// V1 mints are open and V1 auras can be changed at will, so only tokens in the network's holder snapshot
+// migrate, with the aura type they had at its cutoff block
+
+import { ContractFunctionRevertedError, createPublicClient, http, parseAbi } from 'viem';
+import { findSnapshotHolder } from '../../config/networks.js';
+import { readV1Snapshot } from './deployments.js';
+
+const V1_ABI = parseAbi([
+    'function ownerOf(uint256 tokenId) view returns (address)',
+    'function getAura(uint256 tokenId) view returns (string)',
+]);
+
+// Whether the network has a V1 contract and a migrator configured
+export function isMigrationEnabled(network) {
+    return Boolean(network.v1ContractAddress && network.migratorAddress);
+}
+
+// Snapshot entry ({ tokenId, owner, auraType, ... }) of a V1 token, or null if the token isn't in the
+// network's snapshot, e.g. because it was minted after the cutoff block
+export function getSnapshotToken(network, tokenId) {
+    return findSnapshotHolder(network, readV1Snapshot(network.key), tokenId);
+}
+
+// Whether the holder currently owns a V1 token
+export async function ownsV1Token(network, tokenId, holder) {
+    const client = createPublicClient({
+        transport: http(network.rpcUrl),
+    });
+
+    try {
+        const owner = await client.readContract({
+            address: network.v1ContractAddress,
+            abi: V1_ABI,
+            functionName: 'ownerOf',
+            args: [BigInt(tokenId)],
+        });
+        return owner.toLowerCase() === holder.toLowerCase();
+    } catch (error) {
+        if (error.walk((e) => e instanceof ContractFunctionRevertedError)) return false;
+        throw error;
+    }
+}
+
+// A V1 token's current aura type, which its owner can change at any time
+export async function getV1Aura(network, tokenId) {
+    const client = createPublicClient({
+        transport: http(network.rpcUrl),
+    });
+
+    return client.readContract({
+        address: network.v1ContractAddress,
+        abi: V1_ABI,
+        functionName: 'getAura',
+        args: [BigInt(tokenId)],
+    });
+}
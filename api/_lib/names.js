@@ -0,0 +1,65 @@
+// ENS name and Basename resolution
+// Everything resolves through the L1 ENS Universal Resolver: Basenames (*.base.eth) via CCIP-read, and
+// primary names on Base via ENSIP-19 reverse records for the network's coin type
+
+import { createPublicClient, http } from 'viem';
+import { mainnet } from 'viem/chains';
+import { normalize, toCoinType } from 'viem/ens';
+import { isValidAddress } from './aura.js';
+
+function getEnsClient() {
+    return createPublicClient({
+        chain: mainnet,
+        transport: http(process.env.ENS_RPC_URL),
+    });
+}
+
+// Parse an ?address= value that may be a name, e.g. jesse.base.eth
+// Returns { address } or { name } with the name normalized, and throws for anything else
+export function parseAddressInput(input) {
+    if (isValidAddress(input)) return { address: input };
+    if (typeof input === 'string' && input.includes('.')) {
+        try {
+            return { name: normalize(input) };
+        } catch {
+            // Not a valid ENS name either
+        }
+    }
+    throw new Error('Invalid address or name');
+}
+
+// Forward lookup: the address a normalized name points to on the network (its address record for the
+// network's coin type), else its Ethereum address (coin type 60), or null
+export async function resolveName(name, network) {
+    const client = getEnsClient();
+    return await client.getEnsAddress({ name, coinType: toCoinType(network.chainId) }).catch(() => null) ||
+        client.getEnsAddress({ name });
+}
+
+// Avatar URL of a normalized name, or null
+export async function getAvatar(name) {
+    return getEnsClient().getEnsAvatar({ name }).catch(() => null);
+}
+
+// The address of a parsed input: the address itself, or the name's forward lookup on the network (null if it has none)
+export async function resolveAddressInput(target, network) {
+    return target.address || resolveName(target.name, network);
+}
+
+// Reverse lookup: the address's primary name on the network (its Basename on Base), else its ENS name,
+// plus the name's avatar
+// The Universal Resolver checks the name resolves back to the address; names that aren't normalized are
+// dropped so they're safe to put in metadata. Lookup errors resolve to no name
+export async function lookupAddress(address, network) {
+    const client = getEnsClient();
+    try {
+        const name = await client.getEnsName({ address, coinType: toCoinType(network.chainId) }).catch(() => null) ||
+            await client.getEnsName({ address });
+        if (!name || normalize(name) !== name) return { name: null, avatar: null };
+
+        return { name, avatar: await getAvatar(name) };
+    } catch (error) {
+        console.error('Name lookup failed:', error);
+        return { name: null, avatar: null };
+    }
+}
@@ -0,0 +1,25 @@
+// Network resolution for the API routes
+
+import { base, baseSepolia } from 'viem/chains';
+import { DEFAULT_NETWORK, findNetwork, getNetwork } from '../../config/networks.js';
+import { readManifest } from './deployments.js';
+
+export { isDeployed } from '../../config/networks.js';
+
+// viem chain definitions by chain ID, needed to send transactions
+const CHAINS = {
+    [base.id]: base,
+    [baseSepolia.id]: baseSepolia,
+};
+
+// Resolve a ?chain= value (network key or chain ID) with its deployment manifest and server env overrides
+// Returns null for unknown chains; routes that read the aura contract also check isDeployed
+export function resolveNetwork(chain) {
+    const network = findNetwork(chain || process.env.DEFAULT_NETWORK || DEFAULT_NETWORK);
+    return network && getNetwork(network.key, process.env, '', readManifest(network.key));
+}
+
+// viem chain for a resolved network
+export function getChain(network) {
+    return CHAINS[network.chainId];
+}
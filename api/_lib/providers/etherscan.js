@@ -0,0 +1,154 @@
+// Basescan / Etherscan-v2 provider
+// Walks the full account history and counts unique transaction hashes per category
+// It also hands the raw lists to the scoring module (../score.js) through getActivity
+// Counts and activity can be topped up from the last block they saw (see ../txcount.js and ../score.js)
+
+// Basescan caps page * offset at 10000, so we always request page 1 and
+// move the start block forward instead of paging past that limit
+const PAGE_SIZE = 10000;
+const DEFAULT_MAX_PAGES = 10;
+
+// Transaction categories and the account action that lists them
+const ACTIONS = {
+    normal: 'txlist',
+    internal: 'txlistinternal',
+    erc20: 'tokentx',
+    erc721: 'tokennfttx',
+};
+
+// Lists the scoring module reads on top of the counted categories
+const ACTIVITY_CATEGORIES = ['normal', 'erc20', 'erc721'];
+
+// apiUrl: Basescan (https://api.basescan.org/api) or Etherscan v2 (https://api.etherscan.io/v2/api)
+// chainId: only needed for Etherscan v2, which serves every chain from one URL
+// pageSize: transactions per request, the explorer's maximum unless testing the paging
+export function createEtherscanProvider({ apiUrl, apiKey = '', chainId, maxPages = DEFAULT_MAX_PAGES, pageSize = PAGE_SIZE } = {}) {
+    const request = async (params) => {
+        const query = new URLSearchParams({
+            ...(chainId ? { chainid: String(chainId) } : {}),
+            ...params,
+            ...(apiKey ? { apikey: apiKey } : {}),
+        });
+        const response = await fetch(`${apiUrl}?${query}`);
+        if (!response.ok) throw new Error(`Explorer request failed with ${response.status}`);
+        return response.json();
+    };
+
+    // Collect every transaction from fromBlock on in one list keyed by hash, walking forward by block
+    // Token lists have one entry per transfer, so only the first transfer of a transaction is kept
+    const fetchList = async (address, action, fromBlock = 0) => {
+        const items = new Map();
+        let startBlock = fromBlock;
+
+        for (let page = 0; page < maxPages; page++) {
+            const data = await request({
+                module: 'account',
+                action,
+                address,
+                startblock: String(startBlock),
+                endblock: '99999999',
+                page: '1',
+                offset: String(pageSize),
+                sort: 'asc',
+            });
+
+            if (data.status !== '1') {
+                // An empty history is reported as status 0 with an empty result
+                if (Array.isArray(data.result) && data.result.length === 0) {
+                    return { items, complete: true };
+                }
+                throw new Error(`Explorer ${action} failed: ${data.message || data.result}`);
+            }
+
+            for (const tx of data.result) {
+                if (!items.has(tx.hash)) items.set(tx.hash, tx);
+            }
+
+            if (data.result.length < pageSize) {
+                return { items, complete: true };
+            }
+
+            // Re-request the last block so transactions split across pages aren't lost;
+            // the hash map drops the duplicates
+            const lastBlock = Number(data.result[data.result.length - 1].blockNumber);
+            if (lastBlock === startBlock) {
+                // A single block holds a full page, we can't move past it
+                return { items, complete: false };
+            }
+            startBlock = lastBlock;
+        }
+
+        return { items, complete: false };
+    };
+
+    // Transaction count (nonce) - the total outgoing tx count
+    const fetchNonce = async (address) => {
+        const nonceData = await request({
+            module: 'proxy',
+            action: 'eth_getTransactionCount',
+            address,
+            tag: 'latest',
+        });
+        return parseInt(nonceData.result, 16) || 0;
+    };
+
+    // Sequential on purpose - explorers rate limit parallel calls per key
+    const fetchLists = async (address, categories, fromBlock) => {
+        const lists = {};
+        for (const category of categories) {
+            lists[category] = await fetchList(address, ACTIONS[category], fromBlock);
+        }
+        return lists;
+    };
+
+    // A transaction that shows up in several lists (e.g. a swap with token transfers) counts once
+    // lastBlock is the newest block seen in any list, or null if they are all empty
+    const countLists = (lists, categories) => {
+        const allHashes = new Set();
+        const breakdown = {};
+        let complete = true;
+        let lastBlock = null;
+
+        for (const category of categories) {
+            breakdown[category] = lists[category].items.size;
+            complete = complete && lists[category].complete;
+            lists[category].items.forEach((tx, hash) => {
+                allHashes.add(hash);
+                lastBlock = Math.max(lastBlock ?? 0, Number(tx.blockNumber));
+            });
+        }
+        return { txCount: allHashes.size, breakdown, complete, lastBlock };
+    };
+
+    return {
+        name: 'etherscan',
+        incremental: true,
+
+        // With fromBlock, only transactions from that block on are counted
+        async getTxCount(address, categories, { fromBlock = 0 } = {}) {
+            const nonce = await fetchNonce(address);
+            const lists = await fetchLists(address, categories, fromBlock);
+            return { ...countLists(lists, categories), nonce };
+        },
+
+        // Counts for the requested categories plus the normal, ERC-20 and NFT lists used for scoring
+        // With fromBlock, only transactions from that block on are listed; lastBlock covers every list read
+        async getActivity(address, categories, { fromBlock = 0 } = {}) {
+            const nonce = await fetchNonce(address);
+            const read = [...new Set([...categories, ...ACTIVITY_CATEGORIES])];
+            const lists = await fetchLists(address, read, fromBlock);
+
+            return {
+                ...countLists(lists, categories),
+                lastBlock: countLists(lists, read).lastBlock,
+                nonce,
+                activity: {
+                    transactions: [...lists.normal.items.values()],
+                    tokenTxCount: lists.erc20.items.size,
+                    nftTxCount: lists.erc721.items.size,
+                    complete: ACTIVITY_CATEGORIES.every((category) => lists[category].complete),
+                },
+            };
+        },
+    };
+}
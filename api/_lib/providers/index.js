@@ -0,0 +1,72 @@
+// Chain data provider selection and failover
+// TX_PROVIDERS lists the providers to try in order, e.g. "etherscan,indexer,rpc"
+
+import { createEtherscanProvider } from './etherscan.js';
+import { createIndexerProvider } from './indexer.js';
+import { createRpcProvider } from './rpc.js';
+
+const DEFAULT_PROVIDERS = 'etherscan,rpc';
+
+// Each factory builds a provider for one network from config/networks.js
+const FACTORIES = {
+    // ETHERSCAN_API_URL switches every network to the Etherscan v2 API, which needs the chain ID
+    etherscan: (network) => createEtherscanProvider({
+        apiUrl: process.env.ETHERSCAN_API_URL || network.explorerApiUrl,
+        apiKey: process.env.BASESCAN_API_KEY || '',
+        chainId: process.env.ETHERSCAN_API_URL ? network.chainId : undefined,
+        maxPages: Number(process.env.TXCOUNT_MAX_PAGES) || undefined,
+    }),
+    indexer: (network) => createIndexerProvider({
+        apiUrl: network.indexerApiUrl,
+    }),
+    rpc: (network) => createRpcProvider({
+        rpcUrl: network.rpcUrl,
+    }),
+};
+
+// Build the configured providers for a network in failover order
+export function getProviders(network) {
+    const names = (process.env.TX_PROVIDERS || DEFAULT_PROVIDERS)
+        .split(',')
+        .map((name) => name.trim())
+        .filter(Boolean);
+
+    return names.map((name) => {
+        if (!FACTORIES[name]) throw new Error(`Unknown tx provider: ${name}`);
+        return FACTORIES[name](network);
+    });
+}
+
+// Ask each provider in turn until one answers
+export async function countWithFailover(providers, address, categories) {
+    let lastError;
+    for (const provider of providers) {
+        try {
+            const result = await provider.getTxCount(address, categories);
+            return { ...result, provider: provider.name };
+        } catch (error) {
+            console.error(`Tx provider ${provider.name} failed:`, error);
+            lastError = error;
+        }
+    }
+    throw lastError || new Error('No tx providers configured');
+}
+
+// Same as countWithFailover, limited to providers that can return the raw activity for scoring
+// Returns null when none of the configured providers supports it
+export async function activityWithFailover(providers, address, categories) {
+    const capable = providers.filter((provider) => provider.getActivity);
+    if (capable.length === 0) return null;
+
+    let lastError;
+    for (const provider of capable) {
+        try {
+            const result = await provider.getActivity(address, categories);
+            return { ...result, provider: provider.name };
+        } catch (error) {
+            console.error(`Activity provider ${provider.name} failed:`, error);
+            lastError = error;
+        }
+    }
+    throw lastError;
+}
@@ -0,0 +1,33 @@
+// Plain JSON-RPC provider
+// Works against any node (Base RPC, local Hardhat/anvil) but only sees outgoing transactions
+
+export function createRpcProvider({ rpcUrl }) {
+    const call = async (method, params) => {
+        const response = await fetch(rpcUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params }),
+        });
+        if (!response.ok) throw new Error(`RPC request failed with ${response.status}`);
+
+        const data = await response.json();
+        if (data.error) throw new Error(`RPC ${method} failed: ${data.error.message}`);
+        return data.result;
+    };
+
+    return {
+        name: 'rpc',
+
+        async getTxCount(address) {
+            const nonce = parseInt(await call('eth_getTransactionCount', [address, 'latest']), 16) || 0;
+
+            // The nonce counts sent transactions only, so the count is a lower bound
+            return {
+                txCount: nonce,
+                breakdown: { normal: nonce },
+                complete: false,
+                nonce,
+            };
+        },
+    };
+}
@@ -0,0 +1,41 @@
+// Per-IP rate limiting for the routes that call chain data providers
+// Fixed windows counted in the cache store (./cache), so with CACHE_STORE=kv the limit holds across instances
+
+import { getCache } from './cache/index.js';
+
+// RATE_LIMIT_MAX requests per RATE_LIMIT_WINDOW_SECONDS for each client IP
+const MAX_REQUESTS = Number(process.env.RATE_LIMIT_MAX) || 30;
+const WINDOW_SECONDS = Number(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60;
+
+// Vercel sets x-forwarded-for to the client IP
+function getClientIp(req) {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (forwarded) return forwarded.split(',')[0].trim();
+    return req.headers['x-real-ip'] || req.socket?.remoteAddress || 'unknown';
+}
+
+// Count the request against the client's limit for a route
+// Sends a 429 with Retry-After and returns false once the limit is used up
+// If the cache store is down, requests are let through
+export async function checkRateLimit(req, res, route) {
+    const now = Math.floor(Date.now() / 1000);
+    const window = Math.floor(now / WINDOW_SECONDS);
+
+    let count;
+    try {
+        count = await getCache().incr(`ratelimit:${route}:${getClientIp(req)}:${window}`, WINDOW_SECONDS);
+    } catch (error) {
+        console.error('Rate limit check failed:', error);
+        return true;
+    }
+
+    res.setHeader('X-RateLimit-Limit', String(MAX_REQUESTS));
+    res.setHeader('X-RateLimit-Remaining', String(Math.max(0, MAX_REQUESTS - count)));
+    if (count > MAX_REQUESTS) {
+        const retryAfter = (window + 1) * WINDOW_SECONDS - now;
+        res.setHeader('Retry-After', String(retryAfter));
+        res.status(429).json({ error: `Too many requests, try again in ${retryAfter}s` });
+        return false;
+    }
+    return true;
+}
@@ -0,0 +1,194 @@
+// Aura scoring - weights the wallet's history instead of the raw transaction count,
+// so zero-value self-transfer spam doesn't outrank real on-chain usage
+// Tier thresholds in the registry (minScore) are compared against this score
+
+import { formatEther } from 'viem';
+import { cached } from './cache/index.js';
+import { activityWithFailover, getProviders } from './providers/index.js';
+import { getCacheTtl, getCategories, getTxCount, mergeCounts } from './txcount.js';
+
+// Points per unit of each signal, and the most points a signal can add
+export const SCORE_WEIGHTS = {
+    transactions: { points: 0.5 },              // per transaction that isn't failed or a zero-value self-transfer
+    walletAgeDays: { points: 0.1, max: 36.5 },  // per day since the first transaction, up to a year
+    activeDays: { points: 1 },                  // per distinct UTC day with an outgoing transaction
+    uniqueContracts: { points: 2 },             // per distinct contract called
+    gasSpentEth: { points: 1000, max: 50 },     // per ETH paid in gas by those transactions
+    tokenTransfers: { points: 0.25 },           // per transaction moving ERC-20 tokens
+    nftTransfers: { points: 0.5 },              // per transaction moving NFTs
+};
+
+const DAY_SECONDS = 86400;
+
+// Activity is served from the cache for CACHE_TTL_SECONDS, then topped up from the block it last saw
+// It is kept for a week, like counts, so rescans (the keeper, upgrades) don't read the whole history again
+const ACTIVITY_KEEP_SECONDS = 7 * 86400;
+
+// Spam and failed transactions don't count towards any signal except wallet age
+// Transfers between the scored addresses count as self-transfers
+function isMeaningful(tx, addresses) {
+    if (tx.isError === '1') return false;
+    const isSelfTransfer = addresses.has(tx.from.toLowerCase()) && addresses.has(tx.to?.toLowerCase());
+    return !(isSelfTransfer && tx.value === '0');
+}
+
+// Raw signal values from explorer activity (see getActivity in ./providers/etherscan.js)
+// address may be a list of addresses whose merged activity is scored as one wallet
+export function getSignals(address, activity, now = Date.now()) {
+    const addresses = new Set([address].flat().map((addr) => addr.toLowerCase()));
+    const meaningful = activity.transactions.filter((tx) => isMeaningful(tx, addresses));
+    const outgoing = meaningful.filter((tx) => addresses.has(tx.from.toLowerCase()));
+
+    const firstTimestamp = activity.transactions.reduce((first, tx) => Math.min(first, Number(tx.timeStamp)), Infinity);
+    const gasSpentWei = outgoing.reduce((sum, tx) => sum + BigInt(tx.gasUsed) * BigInt(tx.gasPrice), 0n);
+
+    return {
+        transactions: meaningful.length,
+        walletAgeDays: Number.isFinite(firstTimestamp)
+            ? Math.max(0, Math.floor((now / 1000 - firstTimestamp) / DAY_SECONDS))
+            : 0,
+        activeDays: new Set(outgoing.map((tx) => Math.floor(Number(tx.timeStamp) / DAY_SECONDS))).size,
+        // Calls carry calldata; plain ETH transfers to wallets don't
+        uniqueContracts: new Set(outgoing.filter((tx) => tx.input && tx.input !== '0x' && tx.to)
+            .map((tx) => tx.to.toLowerCase())).size,
+        gasSpentEth: Number(formatEther(gasSpentWei)),
+        tokenTransfers: activity.tokenTxCount,
+        nftTransfers: activity.nftTxCount,
+    };
+}
+
+// Weight each signal into points; the score is the whole-number total
+export function scoreSignals(signals) {
+    const breakdown = {};
+    let total = 0;
+
+    for (const [signal, { points, max = Infinity }] of Object.entries(SCORE_WEIGHTS)) {
+        const earned = Math.min(signals[signal] * points, max);
+        breakdown[signal] = { value: signals[signal], points: Math.round(earned * 100) / 100 };
+        total += earned;
+    }
+    return { score: Math.floor(total), scoreBreakdown: breakdown };
+}
+
+// Merge several addresses' activity; a transaction between two of them appears in both lists but counts once
+// Also adds the activity read since a cached one to it
+function mergeActivity(activities) {
+    const transactions = new Map();
+    for (const activity of activities) {
+        for (const tx of activity.transactions) transactions.set(tx.hash, tx);
+    }
+    return {
+        transactions: [...transactions.values()],
+        tokenTxCount: activities.reduce((sum, activity) => sum + activity.tokenTxCount, 0),
+        nftTxCount: activities.reduce((sum, activity) => sum + activity.nftTxCount, 0),
+        complete: activities.every((activity) => activity.complete),
+    };
+}
+
+// Only the fields getSignals reads are cached, with calldata cut down to its selector
+function trimActivity(activity) {
+    return {
+        ...activity,
+        transactions: activity.transactions.map((tx) => ({
+            hash: tx.hash,
+            timeStamp: tx.timeStamp,
+            from: tx.from,
+            to: tx.to,
+            value: tx.value,
+            input: tx.input?.slice(0, 10),
+            isError: tx.isError,
+            gasUsed: tx.gasUsed,
+            gasPrice: tx.gasPrice,
+        })),
+    };
+}
+
+// Top up complete activity from the provider that read it, if it can read from a block
+// Anything else (nothing cached, a truncated history) is read again in full
+async function refreshActivity(providers, address, categories, previous) {
+    const provider = previous?.complete && previous.activity.complete
+        && providers.find((p) => p.name === previous.provider && p.incremental && p.getActivity);
+    if (provider) {
+        try {
+            const fromBlock = (previous.lastBlock ?? -1) + 1;
+            const { activity, ...counts } = await provider.getActivity(address, categories, { fromBlock });
+            return {
+                ...mergeCounts(previous, counts),
+                activity: mergeActivity([previous.activity, trimActivity(activity)]),
+            };
+        } catch (error) {
+            console.error(`Incremental activity with ${provider.name} failed, reading it again:`, error);
+        }
+    }
+
+    const result = await activityWithFailover(providers, address, categories);
+    return result && { ...result, activity: trimActivity(result.activity) };
+}
+
+// An address's counts and raw activity for scoring, or null without a provider that can return activity
+// Throws when none of them could read it, so a failed read is never cached
+// Concurrent reads of the same address share one lookup
+async function getActivity(address, { include, network }) {
+    const providers = getProviders(network);
+    if (!providers.some((provider) => provider.getActivity)) return null;
+
+    const categories = getCategories(include);
+    const key = `activity:${network.chainId}:${address.toLowerCase()}:${[...categories].sort().join(',')}`;
+    return cached(key, (previous) => refreshActivity(providers, address, categories, previous), {
+        ttl: getCacheTtl(),
+        keep: ACTIVITY_KEEP_SECONDS,
+    });
+}
+
+// Score one address and keep its raw activity (null when it couldn't be read) for aggregation
+// Without activity the tx count stands in for the score and scoreBreakdown is null; callers that sign
+// or refresh tiers refuse that fallback, see /api/attest and ./keeper.js
+async function scoreAddress(address, { include, network }) {
+    try {
+        const result = await getActivity(address, { include, network });
+        if (result) {
+            const { activity, ...counts } = result;
+            return {
+                ...counts,
+                ...scoreSignals(getSignals(address, activity)),
+                complete: counts.complete && activity.complete,
+                activity,
+            };
+        }
+    } catch (error) {
+        console.error('Aura scoring failed, falling back to the tx count:', error);
+    }
+
+    const counts = await getTxCount(address, { include, network });
+    return { ...counts, score: counts.txCount, scoreBreakdown: null, activity: null };
+}
+
+// Count and score an address on a network
+// Without a provider that can return activity (e.g. TX_PROVIDERS=rpc), or when they all fail,
+// the score falls back to the tx count and scoreBreakdown is null
+// Scores are weighed from the cached activity (see getActivity), so the fallback itself is never cached
+export async function getAuraScore(address, { include = [], network }) {
+    const { activity, ...result } = await scoreAddress(address, { include, network });
+    return result;
+}
+
+// Count and score several addresses as one aggregate aura
+// txCount is the sum of the per-address counts listed in `addresses`; the score weighs the merged activity
+// (or sums the tx counts when any address couldn't be scored)
+// Each address's activity is cached like a single address's, and they are read in parallel
+export async function getAggregateScore(addresses, { include = [], network }) {
+    const results = await Promise.all(addresses.map(async (address) => ({
+        address,
+        ...(await scoreAddress(address, { include, network })),
+    })));
+
+    const activities = results.map((result) => result.activity);
+    const perAddress = results.map(({ activity, ...result }) => result);
+    const txCount = perAddress.reduce((sum, result) => sum + result.txCount, 0);
+    const complete = perAddress.every((result) => result.complete);
+
+    if (activities.every(Boolean)) {
+        return { txCount, complete, ...scoreSignals(getSignals(addresses, mergeActivity(activities))), addresses: perAddress };
+    }
+    return { txCount, complete, score: txCount, scoreBreakdown: null, addresses: perAddress };
+}
@@ -0,0 +1,130 @@
+// Share cards and deep-link pages for scanned auras
+// Used by /api/card (the image) and /api/aura/[address] (the /aura/:address page with embed meta tags)
+
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import { Resvg } from '@resvg/resvg-js';
+import { renderAuraSvg } from '../../src/lib/auraRenderer.js';
+import { getAuraEmoji } from '../../src/lib/tiers.js';
+
+const APP_NAME = 'Base Aura';
+const BACKGROUND = '#0a0a0f';
+
+// Serverless runtimes have no system fonts, so PNG cards use bundled DejaVu (vercel.json ships the files
+// with the functions). The card names it first in each font stack, since the rasterizer ignores generic families
+const SANS = 'DejaVu Sans, sans-serif';
+const MONO = 'DejaVu Sans Mono, monospace';
+const FONT_DIR = path.join(path.dirname(createRequire(import.meta.url).resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+const CARD_FONTS = {
+    fontFiles: ['DejaVuSans.ttf', 'DejaVuSans-Bold.ttf', 'DejaVuSansMono.ttf', 'DejaVuSansMono-Bold.ttf']
+        .map((file) => path.join(FONT_DIR, file)),
+    loadSystemFonts: false,
+    defaultFontFamily: 'DejaVu Sans',
+};
+
+// Escape text for SVG/HTML content and attribute values
+export function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+const shortAddress = (addr) => `${addr.slice(0, 6)}...${addr.slice(-4)}`;
+
+// Public origin of the app, e.g. https://base-aura.vercel.app: APP_URL, or the network's collection externalURL
+// Never taken from request headers, which the client controls
+export function getAppUrl(network) {
+    return (process.env.APP_URL || network.deploy.collection.externalURL).replace(/\/$/, '');
+}
+
+// Deep link that opens the app and scans the address
+export function getShareUrl(origin, address, network) {
+    return `${origin}/aura/${address}?chain=${network.key}`;
+}
+
+// Share card URL for the address - a PNG, since crawlers and Farcaster clients don't render SVG embed images
+export function getCardUrl(origin, address, network) {
+    return `${origin}/api/card?address=${address}&chain=${network.key}`;
+}
+
+// 1200x800 (3:2, as Farcaster embeds require) SVG card with the aura artwork, tier, tx count and score
+// tier is null when the address has no transactions yet; emoji: false leaves out the tier emoji
+export function renderShareCard({ address, network, tier, txCount, score, emoji = true }) {
+    const name = tier ? tier.name : 'No aura yet';
+    const artwork = tier
+        ? renderAuraSvg({ imageKey: tier.imageKey, auraName: tier.name, targetAddress: address, txCount })
+            .replace('<svg ', '<svg x="60" y="120" width="560" height="560" ')
+        : '';
+
+    return '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 1200 800" width="1200" height="800">' +
+        `<rect width="1200" height="800" fill="${BACKGROUND}"/>` +
+        artwork +
+        `<text x="680" y="200" font-family="${MONO}" font-size="28" font-weight="700" fill="#3b82f6" letter-spacing="6">⬡ ${APP_NAME.toUpperCase()}</text>` +
+        `<text x="680" y="310" font-family="${SANS}" font-size="64" font-weight="800" fill="#ffffff">${emoji ? `${getAuraEmoji(tier?.imageKey)} ` : ''}${escapeHtml(name)}</text>` +
+        (tier ? `<text x="680" y="365" font-family="${SANS}" font-size="30" fill="#a1a1aa">${escapeHtml(tier.rarity)}</text>` : '') +
+        `<text x="680" y="470" font-family="${MONO}" font-size="40" font-weight="700" fill="#ffffff">${txCount} txs</text>` +
+        `<text x="680" y="530" font-family="${MONO}" font-size="32" fill="#a1a1aa">Aura score ${score}</text>` +
+        `<text x="680" y="620" font-family="${MONO}" font-size="30" fill="#71717a">${shortAddress(address)}</text>` +
+        `<text x="680" y="670" font-family="${MONO}" font-size="26" fill="#71717a">on ${escapeHtml(network.name)}</text>` +
+        '</svg>';
+}
+
+// The share card as a 1200x800 PNG, without the emoji (the bundled fonts have no emoji glyphs)
+export function renderShareCardPng(card) {
+    return new Resvg(renderShareCard({ ...card, emoji: false }), { font: CARD_FONTS }).render().asPng();
+}
+
+// Embed JSON for the fc:miniapp and (legacy) fc:frame meta tags - the launch button opens the deep link
+function getEmbed({ imageUrl, url, origin, actionType }) {
+    return JSON.stringify({
+        version: 'next',
+        imageUrl,
+        button: {
+            title: 'Discover Your Aura',
+            action: {
+                type: actionType,
+                name: APP_NAME,
+                url,
+                splashImageUrl: `${origin}/collection.png`,
+                splashBackgroundColor: BACKGROUND,
+            },
+        },
+    });
+}
+
+// Meta tags for a shared aura
+export function renderShareMeta({ origin, address, network }) {
+    const url = getShareUrl(origin, address, network);
+    const imageUrl = getCardUrl(origin, address, network);
+    const title = `${APP_NAME} of ${shortAddress(address)}`;
+    const description = `See the ${network.name} aura of ${shortAddress(address)} and discover your own.`;
+
+    return [
+        `<title>${escapeHtml(title)}</title>`,
+        `<meta name="description" content="${escapeHtml(description)}">`,
+        `<meta property="og:title" content="${escapeHtml(title)}">`,
+        `<meta property="og:description" content="${escapeHtml(description)}">`,
+        `<meta property="og:image" content="${escapeHtml(imageUrl)}">`,
+        `<meta property="og:url" content="${escapeHtml(url)}">`,
+        '<meta name="twitter:card" content="summary_large_image">',
+        `<meta name="fc:miniapp" content="${escapeHtml(getEmbed({ imageUrl, url, origin, actionType: 'launch_miniapp' }))}">`,
+        `<meta name="fc:frame" content="${escapeHtml(getEmbed({ imageUrl, url, origin, actionType: 'launch_frame' }))}">`,
+    ].join('\n  ');
+}
+
+// Swap the app shell's default title, description, Open Graph and embed tags for the shared aura's
+// Without a shell, a bare page with the tags and a link into the app is returned
+export function renderSharePage(shell, meta, origin) {
+    if (!shell) {
+        return `<!DOCTYPE html>\n<html lang="en">\n<head>\n  <meta charset="UTF-8">\n  ${meta}\n</head>\n` +
+            `<body><a href="${escapeHtml(origin)}">Open ${APP_NAME}</a></body>\n</html>`;
+    }
+
+    return shell
+        .replace(/<title>[\s\S]*?<\/title>\s*/, '')
+        .replace(/<meta\s[^>]*(?:name="description"|property="og:|name="fc:|name="twitter:)[^>]*>\s*/g, '')
+        .replace('</head>', `  ${meta}\n</head>`);
+}
@@ -0,0 +1,46 @@
+// Local JSON store for the aura event index
+// Serverless instances keep the index in memory while warm and persist it to
+// INDEXER_STORE_DIR (the OS temp dir by default), so cold starts only replay new blocks
+
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+const cache = new Map();
+
+// An index that has not seen any blocks yet
+export function emptyIndex() {
+    return { lastBlock: null, tokens: {} };
+}
+
+function storePath(network) {
+    const dir = process.env.INDEXER_STORE_DIR || tmpdir();
+    return path.join(dir, `base-aura-index-${network.key}-${network.contractAddress.toLowerCase()}.json`);
+}
+
+// Load the index for a network's contract, or an empty one
+export async function loadIndex(network) {
+    const file = storePath(network);
+    if (cache.has(file)) return cache.get(file);
+
+    let index;
+    try {
+        index = JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error('Failed to read aura index, rebuilding:', error);
+        index = emptyIndex();
+    }
+    cache.set(file, index);
+    return index;
+}
+
+// Persist the index, writing to a temp file first so readers never see a partial file
+export async function saveIndex(network, index) {
+    const file = storePath(network);
+    cache.set(file, index);
+
+    await mkdir(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await writeFile(tmpFile, JSON.stringify(index));
+    await rename(tmpFile, file);
+}
@@ -0,0 +1,85 @@
+// Shared transaction counting used by the API routes
+// The actual chain data comes from the providers in ./providers, with results cached in ./cache
+
+import { cached } from './cache/index.js';
+import { countWithFailover, getProviders } from './providers/index.js';
+
+// Transaction categories that can be counted
+export const TX_CATEGORIES = ['normal', 'internal', 'erc20', 'erc721'];
+
+// Categories counted unless the caller asks for more
+const DEFAULT_CATEGORIES = ['normal', 'internal'];
+
+// Counts are served from the cache for CACHE_TTL_SECONDS, then topped up from the block they last saw
+// They are kept for a week so returning addresses don't have to be recounted from scratch
+const DEFAULT_CACHE_TTL = 60;
+const COUNT_KEEP_SECONDS = 7 * 86400;
+
+// Seconds counts, scores and metadata are served from the cache; 0 looks them up on every request
+export function getCacheTtl() {
+    const ttl = Number(process.env.CACHE_TTL_SECONDS);
+    return process.env.CACHE_TTL_SECONDS && ttl >= 0 ? ttl : DEFAULT_CACHE_TTL;
+}
+
+// Parse a comma separated include list (e.g. "erc20,erc721") into extra categories
+export function parseInclude(include) {
+    const requested = (include || process.env.TXCOUNT_INCLUDE || '')
+        .split(',')
+        .map((category) => category.trim())
+        .filter(Boolean);
+
+    const invalid = requested.filter((category) => !TX_CATEGORIES.includes(category));
+    if (invalid.length > 0) {
+        throw new Error(`Unknown transaction categories: ${invalid.join(', ')}`);
+    }
+    return requested;
+}
+
+// Categories counted for a request: the defaults plus any extras
+export function getCategories(include = []) {
+    return [...new Set([...DEFAULT_CATEGORIES, ...include])];
+}
+
+// Add the transactions counted since a cached count to it
+export function mergeCounts(previous, delta) {
+    const breakdown = { ...previous.breakdown };
+    for (const [category, count] of Object.entries(delta.breakdown)) {
+        breakdown[category] = (breakdown[category] || 0) + count;
+    }
+    return {
+        txCount: previous.txCount + delta.txCount,
+        breakdown,
+        complete: delta.complete,
+        nonce: delta.nonce,
+        lastBlock: delta.lastBlock ?? previous.lastBlock,
+        provider: previous.provider,
+    };
+}
+
+// Top up a complete count from the provider that made it, if it can count from a block
+// Anything else (no previous count, a lower bound, a provider returning totals) is counted again in full
+async function refreshTxCount(providers, address, categories, previous) {
+    const provider = previous?.complete && providers.find((p) => p.name === previous.provider && p.incremental);
+    if (provider) {
+        try {
+            const fromBlock = (previous.lastBlock ?? -1) + 1;
+            return mergeCounts(previous, await provider.getTxCount(address, categories, { fromBlock }));
+        } catch (error) {
+            console.error(`Incremental count with ${provider.name} failed, recounting:`, error);
+        }
+    }
+    return countWithFailover(providers, address, categories);
+}
+
+// Count unique transactions for an address across the requested categories
+// on a network from config/networks.js
+// Returns a per-category breakdown, whether every list was fully read and which provider answered
+// Concurrent counts of the same address share one provider lookup
+export async function getTxCount(address, { include = [], network }) {
+    const categories = getCategories(include);
+    const key = `txcount:${network.chainId}:${address.toLowerCase()}:${[...categories].sort().join(',')}`;
+    return cached(key, (previous) => refreshTxCount(getProviders(network), address, categories, previous), {
+        ttl: getCacheTtl(),
+        keep: COUNT_KEEP_SECONDS,
+    });
+}
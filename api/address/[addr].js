@@ -0,0 +1,34 @@
+// Vercel Serverless Function for the auras linked to an address
+// Served at /api/address/:addr from the event index built by ../_lib/indexer.js
+
+import { getAddressTokens, syncIndex } from '../_lib/indexer.js';
+import { isValidAddress } from '../_lib/aura.js';
+import { isDeployed, resolveNetwork } from '../_lib/network.js';
+
+export default async function handler(req, res) {
+    const { addr, chain } = req.query;
+
+    // Validate address format
+    if (!addr || !isValidAddress(addr)) {
+        return res.status(400).json({ error: 'Invalid address format' });
+    }
+
+    const network = resolveNetwork(chain);
+    if (!network) {
+        return res.status(400).json({ error: 'Unsupported chain' });
+    }
+    if (!isDeployed(network)) {
+        return res.status(404).json({ error: `Base Aura isn't deployed on ${network.name}` });
+    }
+
+    try {
+        const index = await syncIndex(network);
+        const tokens = await getAddressTokens(index, network, addr);
+
+        res.setHeader('Cache-Control', 's-maxage=30, stale-while-revalidate');
+        return res.status(200).json({ address: addr, chainId: network.chainId, lastBlock: index.lastBlock, ...tokens });
+    } catch (error) {
+        console.error('Address lookup error:', error);
+        return res.status(500).json({ error: 'Failed to load address' });
+    }
+}
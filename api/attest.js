@@ -0,0 +1,147 @@
+// Vercel Serverless Function for signed aura attestations
+// The contract only accepts mints and updates carrying a signature from the attester
+// GET ?address= for a single-address aura; POST { address, chain, linked, signatures, fid } to link addresses
+// into an aggregate aura, each proven by a link signature or a shared Farcaster account (see ./_lib/links.js)
+// &v1TokenId= attests the snapshotted aura of the holder's BaseAura (V1) token, for BaseAuraMigrator only
+// (see ./_lib/migration.js)
+
+import { parseInclude } from './_lib/txcount.js';
+import { getAggregateScore, getAuraScore } from './_lib/score.js';
+import { getAuraToken, getAuraType, isValidAddress } from './_lib/aura.js';
+import { signAttestation } from './_lib/attestation.js';
+import { findUnprovenLinks, parseLinked } from './_lib/links.js';
+import { getSnapshotToken, getV1Aura, isMigrationEnabled, ownsV1Token } from './_lib/migration.js';
+import { lookupAddress } from './_lib/names.js';
+import { isDeployed, resolveNetwork } from './_lib/network.js';
+import { checkRateLimit } from './_lib/ratelimit.js';
+
+export default async function handler(req, res) {
+    const params = req.method === 'POST' ? req.body || {} : req.query;
+    const { address, chain, fid, v1TokenId } = params;
+
+    if (!address) {
+        return res.status(400).json({ error: 'Address is required' });
+    }
+
+    // Validate address format
+    if (!isValidAddress(address)) {
+        return res.status(400).json({ error: 'Invalid address format' });
+    }
+
+    // Attestations are bound to one network's contract via the EIP-712 domain
+    const network = resolveNetwork(chain);
+    if (!network) {
+        return res.status(400).json({ error: 'Unsupported chain' });
+    }
+    if (!isDeployed(network)) {
+        return res.status(404).json({ error: `Base Aura isn't deployed on ${network.name}` });
+    }
+
+    let linked;
+    try {
+        linked = parseLinked(params.linked, address);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    const isMigration = v1TokenId !== undefined;
+    if (isMigration) {
+        if (!isMigrationEnabled(network)) {
+            return res.status(400).json({ error: 'V1 migration is not available on this chain' });
+        }
+        if (!/^\d+$/.test(String(v1TokenId))) {
+            return res.status(400).json({ error: 'Invalid V1 token ID' });
+        }
+        if (linked.length > 0) {
+            return res.status(400).json({ error: 'Migrated auras cannot link addresses' });
+        }
+    }
+
+    // Attesting rescores the addresses
+    if (!(await checkRateLimit(req, res, 'attest'))) return;
+
+    try {
+        // Updates must attest the addresses linked at mint, whichever of them is asked for
+        const existing = await getAuraToken(address, network);
+        const targetAddress = existing ? existing.targetAddress : address;
+        const linkedAddresses = existing ? [...existing.linkedAddresses] : linked;
+
+        // Migrations mint a new V2 aura that keeps the aura type the V1 token had at the snapshot
+        let v1Aura = null;
+        if (isMigration) {
+            if (existing) {
+                return res.status(409).json({ error: `${address} already has an Aura NFT` });
+            }
+            const snapshotToken = getSnapshotToken(network, v1TokenId);
+            if (!snapshotToken) {
+                return res.status(403).json({ error: 'This V1 token is not in the migration snapshot' });
+            }
+            if (!(await ownsV1Token(network, v1TokenId, address))) {
+                return res.status(403).json({ error: 'Address does not own this V1 token' });
+            }
+            // BaseAuraMigrator only migrates a token whose V1 aura still is the attested one
+            const currentAura = await getV1Aura(network, v1TokenId);
+            if (currentAura !== snapshotToken.auraType) {
+                return res.status(409).json({
+                    error: `This V1 token's aura changed to ${currentAura} after the migration snapshot. ` +
+                        `Set it back to ${snapshotToken.auraType} to migrate`,
+                });
+            }
+            v1Aura = snapshotToken.auraType;
+        }
+
+        if (!existing && linked.length > 0) {
+            for (const linkedAddress of linked) {
+                if (await getAuraToken(linkedAddress, network)) {
+                    return res.status(409).json({ error: `${linkedAddress} already has an Aura NFT` });
+                }
+            }
+
+            const signatures = Array.isArray(params.signatures) ? params.signatures : (params.signatures || '').split(',');
+            const unproven = await findUnprovenLinks({
+                targetAddress,
+                links: linked.map((linkedAddress, i) => ({ address: linkedAddress, signature: signatures[i] || undefined })),
+                fid,
+                network,
+            });
+            if (unproven.length > 0) {
+                return res.status(403).json({ error: 'Linked addresses are not proven', unproven });
+            }
+        }
+
+        // Attest with the same categories and score /api/score reports by default
+        const options = { include: parseInclude(), network };
+        const { txCount, score, scoreBreakdown } = linkedAddresses.length > 0
+            ? await getAggregateScore([targetAddress, ...linkedAddresses], options)
+            : await getAuraScore(targetAddress, options);
+        // Tiers are only signed from the weighted score - the unweighted tx count fallback would let spam earn one
+        // Migrations keep their snapshotted aura type, so the fallback's tx count is enough for them
+        if (!scoreBreakdown && !isMigration) {
+            return res.status(503).json({ error: 'Aura scoring is unavailable right now. Please try again later.' });
+        }
+        const auraType = v1Aura || await getAuraType(score, network);
+
+        if (!auraType) {
+            return res.status(422).json({ error: 'No transactions found for this address' });
+        }
+
+        // The target's verified ENS name or Basename goes into the token metadata
+        const { name } = await lookupAddress(targetAddress, network);
+        const signed = await signAttestation({
+            targetAddress,
+            linkedAddresses,
+            txCount,
+            auraType,
+            name: name || '',
+            migration: isMigration,
+            network,
+        });
+
+        // Every attestation carries a fresh nonce, so never cache it
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(200).json(signed);
+    } catch (error) {
+        console.error('Attestation error:', error);
+        return res.status(500).json({ error: 'Failed to sign attestation' });
+    }
+}
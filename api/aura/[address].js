@@ -0,0 +1,38 @@
+// Vercel Serverless Function for /aura/:address deep links (rewritten here in vercel.json)
+// Serves the app shell with per-address Open Graph and Farcaster embed tags; the app then scans the address
+
+import { isValidAddress } from '../_lib/aura.js';
+import { resolveNetwork } from '../_lib/network.js';
+import { getAppUrl, renderShareMeta, renderSharePage } from '../_lib/share.js';
+
+// The built index.html, served statically by the app
+async function fetchShell(origin) {
+    try {
+        const response = await fetch(`${origin}/index.html`);
+        if (!response.ok) throw new Error(`Shell request failed: ${response.status}`);
+        return await response.text();
+    } catch (error) {
+        console.error('Failed to load the app shell:', error);
+        return null;
+    }
+}
+
+export default async function handler(req, res) {
+    const { address, chain } = req.query;
+
+    if (!isValidAddress(address)) {
+        return res.status(400).json({ error: 'Invalid address format' });
+    }
+
+    const network = resolveNetwork(chain);
+    if (!network) {
+        return res.status(400).json({ error: 'Unsupported chain' });
+    }
+
+    const origin = getAppUrl(network);
+    const meta = renderShareMeta({ origin, address, network });
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate');
+    return res.status(200).send(renderSharePage(await fetchShell(origin), meta, origin));
+}
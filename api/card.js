@@ -0,0 +1,51 @@
+// Vercel Serverless Function for aura share cards
+// Returns a PNG card with the tier, tx count and score, used as the og:image and Farcaster embed image
+// GET ?address=&chain=&format=png|svg (the SVG version also shows the tier emoji)
+
+import { getAuraScore } from './_lib/score.js';
+import { getTiers, isValidAddress } from './_lib/aura.js';
+import { isDeployed, resolveNetwork } from './_lib/network.js';
+import { checkRateLimit } from './_lib/ratelimit.js';
+import { renderShareCard, renderShareCardPng } from './_lib/share.js';
+import { parseInclude } from './_lib/txcount.js';
+import { getTierForScore } from '../src/lib/tiers.js';
+
+const FORMATS = ['png', 'svg'];
+
+export default async function handler(req, res) {
+    const { address, chain, format = 'png' } = req.query;
+
+    if (!isValidAddress(address)) {
+        return res.status(400).json({ error: 'Invalid address format' });
+    }
+    if (!FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of ${FORMATS.join(', ')}` });
+    }
+
+    const network = resolveNetwork(chain);
+    if (!network) {
+        return res.status(400).json({ error: 'Unsupported chain' });
+    }
+    if (!isDeployed(network)) {
+        return res.status(404).json({ error: `Base Aura isn't deployed on ${network.name}` });
+    }
+
+    if (!(await checkRateLimit(req, res, 'card'))) return;
+
+    try {
+        const [{ txCount, score }, tiers] = await Promise.all([
+            getAuraScore(address, { include: parseInclude(), network }),
+            getTiers(network),
+        ]);
+        const tier = getTierForScore(tiers, score);
+
+        const card = { address, network, tier, txCount, score };
+
+        res.setHeader('Content-Type', format === 'png' ? 'image/png' : 'image/svg+xml');
+        res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate');
+        return res.status(200).send(format === 'png' ? renderShareCardPng(card) : renderShareCard(card));
+    } catch (error) {
+        console.error('Card error:', error);
+        return res.status(500).json({ error: 'Failed to render card' });
+    }
+}
@@ -0,0 +1,22 @@
+// Vercel Serverless Function for a Farcaster account's verified addresses
+// The frontend offers them as linked addresses for an aggregate aura
+
+import { getFarcasterAddresses } from '../_lib/links.js';
+
+export default async function handler(req, res) {
+    const { fid } = req.query;
+
+    if (!/^\d+$/.test(fid || '')) {
+        return res.status(400).json({ error: 'Invalid fid' });
+    }
+
+    try {
+        const addresses = await getFarcasterAddresses(fid);
+
+        res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate');
+        return res.status(200).json({ fid: Number(fid), addresses });
+    } catch (error) {
+        console.error('Farcaster lookup error:', error);
+        return res.status(500).json({ error: 'Failed to load Farcaster addresses' });
+    }
+}
@@ -0,0 +1,52 @@
+// Vercel Serverless Function for the collection gallery
+// Tokens are listed in mint order from the event index built by ./_lib/indexer.js, each with its decoded tokenURI
+// GET ?chain=&auraType=&rarity=&order=oldest|newest&limit=&offset=
+
+import { getGallery, syncIndex } from './_lib/indexer.js';
+import { getTokenMetadata } from './_lib/metadata.js';
+import { isDeployed, resolveNetwork } from './_lib/network.js';
+
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 48;
+const ORDERS = ['oldest', 'newest'];
+
+export default async function handler(req, res) {
+    const { chain, auraType, rarity, order = 'oldest', limit, offset } = req.query;
+
+    const network = resolveNetwork(chain);
+    if (!network) {
+        return res.status(400).json({ error: 'Unsupported chain' });
+    }
+    if (!isDeployed(network)) {
+        return res.status(404).json({ error: `Base Aura isn't deployed on ${network.name}` });
+    }
+
+    const pageSize = limit === undefined ? DEFAULT_LIMIT : Number(limit);
+    const start = offset === undefined ? 0 : Number(offset);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_LIMIT) {
+        return res.status(400).json({ error: `limit must be between 1 and ${MAX_LIMIT}` });
+    }
+    if (!Number.isInteger(start) || start < 0) {
+        return res.status(400).json({ error: 'offset must be a non-negative integer' });
+    }
+    if (!ORDERS.includes(order)) {
+        return res.status(400).json({ error: `order must be one of ${ORDERS.join(', ')}` });
+    }
+
+    try {
+        const index = await syncIndex(network);
+        const gallery = await getGallery(index, network, { auraType, rarity, order, limit: pageSize, offset: start });
+
+        // Tokens whose tokenURI can't be read are still listed, with null metadata
+        const entries = await Promise.all(gallery.entries.map(async (token) => ({
+            ...token,
+            metadata: await getTokenMetadata(network, token.tokenId),
+        })));
+
+        res.setHeader('Cache-Control', 's-maxage=30, stale-while-revalidate');
+        return res.status(200).json({ chainId: network.chainId, lastBlock: index.lastBlock, total: gallery.total, entries });
+    } catch (error) {
+        console.error('Gallery error:', error);
+        return res.status(500).json({ error: 'Failed to load gallery' });
+    }
+}
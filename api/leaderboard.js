@@ -0,0 +1,40 @@
+// Vercel Serverless Function for the aura leaderboard
+// Tokens are ranked from the event index built by ./_lib/indexer.js
+
+import { getLeaderboard, syncIndex } from './_lib/indexer.js';
+import { isDeployed, resolveNetwork } from './_lib/network.js';
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+export default async function handler(req, res) {
+    const { chain, limit, offset } = req.query;
+
+    const network = resolveNetwork(chain);
+    if (!network) {
+        return res.status(400).json({ error: 'Unsupported chain' });
+    }
+    if (!isDeployed(network)) {
+        return res.status(404).json({ error: `Base Aura isn't deployed on ${network.name}` });
+    }
+
+    const pageSize = limit === undefined ? DEFAULT_LIMIT : Number(limit);
+    const start = offset === undefined ? 0 : Number(offset);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_LIMIT) {
+        return res.status(400).json({ error: `limit must be between 1 and ${MAX_LIMIT}` });
+    }
+    if (!Number.isInteger(start) || start < 0) {
+        return res.status(400).json({ error: 'offset must be a non-negative integer' });
+    }
+
+    try {
+        const index = await syncIndex(network);
+        const leaderboard = await getLeaderboard(index, network, { limit: pageSize, offset: start });
+
+        res.setHeader('Cache-Control', 's-maxage=30, stale-while-revalidate');
+        return res.status(200).json({ chainId: network.chainId, lastBlock: index.lastBlock, ...leaderboard });
+    } catch (error) {
+        console.error('Leaderboard error:', error);
+        return res.status(500).json({ error: 'Failed to load leaderboard' });
+    }
+}
@@ -0,0 +1,52 @@
+// Vercel Serverless Function for ENS name and Basename lookups
+// ?name=jesse.base.eth resolves a name to its address; ?address=0x... returns the address's primary name.
+// Both return the name's avatar
+
+import { isValidAddress } from './_lib/aura.js';
+import { getAvatar, lookupAddress, parseAddressInput, resolveName } from './_lib/names.js';
+import { resolveNetwork } from './_lib/network.js';
+
+export default async function handler(req, res) {
+    const { address, name, chain } = req.query;
+
+    if (!name && !isValidAddress(address)) {
+        return res.status(400).json({ error: 'A valid address or name is required' });
+    }
+
+    // Primary names and address records are per chain (ENSIP-19, ENSIP-11), so lookups use the network's chain ID
+    const network = resolveNetwork(chain);
+    if (!network) {
+        return res.status(400).json({ error: 'Unsupported chain' });
+    }
+
+    let normalized;
+    if (name) {
+        try {
+            normalized = parseAddressInput(name).name;
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+        if (!normalized) {
+            return res.status(400).json({ error: 'Invalid name' });
+        }
+    }
+
+    try {
+        let result;
+        if (normalized) {
+            const resolved = await resolveName(normalized, network);
+            if (!resolved) {
+                return res.status(404).json({ error: `${normalized} doesn't resolve to an address` });
+            }
+            result = { address: resolved, name: normalized, avatar: await getAvatar(normalized) };
+        } else {
+            result = { address, ...(await lookupAddress(address, network)) };
+        }
+
+        res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate');
+        return res.status(200).json(result);
+    } catch (error) {
+        console.error('Name lookup error:', error);
+        return res.status(500).json({ error: 'Failed to resolve name' });
+    }
+}
@@ -0,0 +1,68 @@
+// Vercel Serverless Function (cron) that refreshes auras whose tier changed
+// Tokens are rescanned from the event index and updated with refreshAuras by the UPDATER_PRIVATE_KEY wallet
+
+import { createPublicClient, createWalletClient, http } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { findStaleAuras, getScanCursor, refreshStaleAuras, setScanCursor } from './_lib/keeper.js';
+import { getChain, isDeployed, resolveNetwork } from './_lib/network.js';
+
+// Tokens rescanned per call unless ?limit= says otherwise, so one call stays within the function timeout
+// Each call continues from the stored cursor where the previous one stopped, unless ?offset= is given
+const DEFAULT_LIMIT = Number(process.env.KEEPER_SCAN_LIMIT) || 25;
+
+export default async function handler(req, res) {
+    const { chain, offset, limit } = req.query;
+    // ?dryRun=1 reports stale auras without sending a transaction
+    const dryRun = req.query.dryRun === '1' || req.query.dryRun === 'true';
+
+    // Vercel cron sends the CRON_SECRET as a bearer token
+    const secret = process.env.CRON_SECRET;
+    if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const network = resolveNetwork(chain);
+    if (!network) {
+        return res.status(400).json({ error: 'Unsupported chain' });
+    }
+    if (!isDeployed(network)) {
+        return res.status(404).json({ error: `Base Aura isn't deployed on ${network.name}` });
+    }
+
+    const privateKey = process.env.UPDATER_PRIVATE_KEY;
+    if (!privateKey && !dryRun) {
+        return res.status(500).json({ error: 'UPDATER_PRIVATE_KEY must be configured' });
+    }
+
+    try {
+        const resume = offset === undefined;
+        const scan = await findStaleAuras(network, {
+            offset: resume ? await getScanCursor(network) : Number(offset) || 0,
+            limit: Number(limit) || DEFAULT_LIMIT,
+        });
+
+        let transactions = [];
+        let errors = scan.errors;
+        if (!dryRun && scan.stale.length > 0) {
+            const transport = http(network.rpcUrl);
+            const walletClient = createWalletClient({
+                account: privateKeyToAccount(privateKey),
+                chain: getChain(network),
+                transport,
+            });
+            const publicClient = createPublicClient({ chain: getChain(network), transport });
+            const refreshed = await refreshStaleAuras(network, walletClient, publicClient, scan.stale);
+            transactions = refreshed.transactions;
+            errors = [...errors, ...refreshed.errors];
+        }
+        // Only advanced once the refreshes went through, so a failed run is retried. Tokens whose refresh would
+        // revert are reported in errors and skipped, so they can't hold the cursor. Dry runs leave it alone
+        if (resume && !dryRun) await setScanCursor(network, scan.nextOffset);
+
+        res.setHeader('Cache-Control', 'no-store');
+        return res.status(200).json({ chainId: network.chainId, ...scan, errors, transactions });
+    } catch (error) {
+        console.error('Aura refresh error:', error);
+        return res.status(500).json({ error: 'Failed to refresh auras' });
+    }
+}
@@ -0,0 +1,81 @@
+// Vercel Serverless Function for aura scores
+// Returns the tx count, the weighted aura score with its breakdown and the tier it earns
+// ?linked=0x...,0x... scores the address together with linked addresses as one aggregate aura
+
+import { getAggregateScore, getAuraScore } from './_lib/score.js';
+import { getTiers } from './_lib/aura.js';
+import { parseLinked } from './_lib/links.js';
+import { parseAddressInput, resolveAddressInput } from './_lib/names.js';
+import { parseInclude } from './_lib/txcount.js';
+import { isDeployed, resolveNetwork } from './_lib/network.js';
+import { checkRateLimit } from './_lib/ratelimit.js';
+import { getTierForScore } from '../src/lib/tiers.js';
+
+export default async function handler(req, res) {
+    const { address, include, chain, linked } = req.query;
+
+    if (!address) {
+        return res.status(400).json({ error: 'Address is required' });
+    }
+
+    // An address, or an ENS name / Basename to resolve
+    let target;
+    try {
+        target = parseAddressInput(address);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    const network = resolveNetwork(chain);
+    if (!network) {
+        return res.status(400).json({ error: 'Unsupported chain' });
+    }
+    if (!isDeployed(network)) {
+        return res.status(404).json({ error: `Base Aura isn't deployed on ${network.name}` });
+    }
+
+    // Optional extra categories for the tx count, e.g. ?include=erc20,erc721
+    let extraCategories;
+    let linkedAddresses;
+    try {
+        extraCategories = parseInclude(include);
+        linkedAddresses = parseLinked(linked, target.address || target.name);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    // Scoring reads the full history of every address
+    if (!(await checkRateLimit(req, res, 'score'))) return;
+
+    try {
+        const resolved = await resolveAddressInput(target, network);
+        if (!resolved) {
+            return res.status(404).json({ error: `${target.name} doesn't resolve to an address` });
+        }
+        if (linkedAddresses.some((linkedAddress) => linkedAddress.toLowerCase() === resolved.toLowerCase())) {
+            return res.status(400).json({ error: 'Linked addresses must be unique and differ from the target address' });
+        }
+
+        const options = { include: extraCategories, network };
+        const [result, tiers] = await Promise.all([
+            linkedAddresses.length > 0
+                ? getAggregateScore([resolved, ...linkedAddresses], options)
+                : getAuraScore(resolved, options),
+            getTiers(network),
+        ]);
+        const tier = getTierForScore(tiers, result.score);
+
+        res.setHeader('Cache-Control', 's-maxage=60, stale-while-revalidate');
+        return res.status(200).json({
+            address: resolved,
+            name: target.name,
+            linkedAddresses,
+            chainId: network.chainId,
+            ...result,
+            auraType: tier ? tier.id : null,
+        });
+    } catch (error) {
+        console.error('Score error:', error);
+        return res.status(500).json({ error: 'Failed to score address' });
+    }
+}
@@ -0,0 +1,37 @@
+// Vercel Serverless Function for a token's mint/upgrade/transfer timeline
+// Served at /api/token/:id/history from the event index built by ../../_lib/indexer.js
+
+import { getTokenHistory, syncIndex } from '../../_lib/indexer.js';
+import { isDeployed, resolveNetwork } from '../../_lib/network.js';
+
+export default async function handler(req, res) {
+    const { id, chain } = req.query;
+
+    if (!/^\d+$/.test(id || '')) {
+        return res.status(400).json({ error: 'Invalid token ID' });
+    }
+
+    const network = resolveNetwork(chain);
+    if (!network) {
+        return res.status(400).json({ error: 'Unsupported chain' });
+    }
+    if (!isDeployed(network)) {
+        return res.status(404).json({ error: `Base Aura isn't deployed on ${network.name}` });
+    }
+
+    try {
+        const index = await syncIndex(network);
+        const tokenId = BigInt(id).toString();
+        const history = await getTokenHistory(index, network, tokenId);
+
+        if (!history) {
+            return res.status(404).json({ error: 'Token not found' });
+        }
+
+        res.setHeader('Cache-Control', 's-maxage=30, stale-while-revalidate');
+        return res.status(200).json({ chainId: network.chainId, lastBlock: index.lastBlock, ...history });
+    } catch (error) {
+        console.error('Token history error:', error);
+        return res.status(500).json({ error: 'Failed to load token history' });
+    }
+}
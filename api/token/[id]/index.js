@@ -0,0 +1,41 @@
+// Vercel Serverless Function for a token's detail view
+// Served at /api/token/:id with the indexed owner, target and linked addresses plus the decoded tokenURI
+// The token's timeline is served separately by ./history.js
+
+import { getTokenSummary, syncIndex } from '../../_lib/indexer.js';
+import { getTokenMetadata } from '../../_lib/metadata.js';
+import { isDeployed, resolveNetwork } from '../../_lib/network.js';
+
+export default async function handler(req, res) {
+    const { id, chain } = req.query;
+
+    if (!/^\d+$/.test(id || '')) {
+        return res.status(400).json({ error: 'Invalid token ID' });
+    }
+
+    const network = resolveNetwork(chain);
+    if (!network) {
+        return res.status(400).json({ error: 'Unsupported chain' });
+    }
+    if (!isDeployed(network)) {
+        return res.status(404).json({ error: `Base Aura isn't deployed on ${network.name}` });
+    }
+
+    try {
+        const index = await syncIndex(network);
+        const tokenId = BigInt(id).toString();
+        const token = await getTokenSummary(index, network, tokenId);
+
+        if (!token) {
+            return res.status(404).json({ error: 'Token not found' });
+        }
+
+        const metadata = await getTokenMetadata(network, tokenId);
+
+        res.setHeader('Cache-Control', 's-maxage=30, stale-while-revalidate');
+        return res.status(200).json({ chainId: network.chainId, lastBlock: index.lastBlock, token, metadata });
+    } catch (error) {
+        console.error('Token detail error:', error);
+        return res.status(500).json({ error: 'Failed to load token' });
+    }
+}
@@ -1,65 +1,54 @@
-// Vercel Serverless Function for Basescan API
-// This avoids CORS issues when calling Basescan from the frontend
+// Vercel Serverless Function for transaction counts
+// This avoids CORS issues when calling explorers from the frontend
+
+import { getTxCount, parseInclude } from './_lib/txcount.js';
+import { parseAddressInput, resolveAddressInput } from './_lib/names.js';
+import { resolveNetwork } from './_lib/network.js';
+import { checkRateLimit } from './_lib/ratelimit.js';
 
 export default async function handler(req, res) {
-    const { address } = req.query;
+    const { address, include, chain } = req.query;
 
     if (!address) {
         return res.status(400).json({ error: 'Address is required' });
     }
 
-    // Validate address format
-    if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
-        return res.status(400).json({ error: 'Invalid address format' });
-    }
-
+    // An address, or an ENS name / Basename to resolve
+    let target;
     try {
-        // Get the API key from environment variable
-        const apiKey = process.env.BASESCAN_API_KEY || '';
-        const baseUrl = 'https://api-sepolia.basescan.org/api';
-
-        // Method 1: Get transaction count (nonce) - this is the total outgoing tx count
-        const nonceResponse = await fetch(
-            `${baseUrl}?module=proxy&action=eth_getTransactionCount&address=${address}&tag=latest${apiKey ? `&apikey=${apiKey}` : ''}`
-        );
-        const nonceData = await nonceResponse.json();
-        const nonceTxCount = parseInt(nonceData.result, 16) || 0;
+        target = parseAddressInput(address);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
 
-        // Method 2: Get transaction list to count all transactions (including incoming)
-        const txListResponse = await fetch(
-            `${baseUrl}?module=account&action=txlist&address=${address}&startblock=0&endblock=99999999&page=1&offset=10000&sort=asc${apiKey ? `&apikey=${apiKey}` : ''}`
-        );
-        const txListData = await txListResponse.json();
+    // Network key or chain ID, e.g. ?chain=baseMainnet or ?chain=8453
+    const network = resolveNetwork(chain);
+    if (!network) {
+        return res.status(400).json({ error: 'Unsupported chain' });
+    }
 
-        let totalTxCount = nonceTxCount;
-        if (txListData.status === '1' && Array.isArray(txListData.result)) {
-            totalTxCount = txListData.result.length;
-        }
+    // Optional extra categories, e.g. ?include=erc20,erc721
+    let extraCategories;
+    try {
+        extraCategories = parseInclude(include);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
 
-        // Also get internal transactions count
-        const internalTxResponse = await fetch(
-            `${baseUrl}?module=account&action=txlistinternal&address=${address}&startblock=0&endblock=99999999&page=1&offset=10000&sort=asc${apiKey ? `&apikey=${apiKey}` : ''}`
-        );
-        const internalTxData = await internalTxResponse.json();
+    // Counting walks the explorer history, so clients are limited per IP
+    if (!(await checkRateLimit(req, res, 'txcount'))) return;
 
-        let internalTxCount = 0;
-        if (internalTxData.status === '1' && Array.isArray(internalTxData.result)) {
-            internalTxCount = internalTxData.result.length;
+    try {
+        const resolved = await resolveAddressInput(target, network);
+        if (!resolved) {
+            return res.status(404).json({ error: `${target.name} doesn't resolve to an address` });
         }
-
-        // Combine regular + internal transactions for a complete picture
-        const combinedCount = totalTxCount + internalTxCount;
+        const counts = await getTxCount(resolved, { include: extraCategories, network });
 
         res.setHeader('Cache-Control', 's-maxage=60, stale-while-revalidate');
-        return res.status(200).json({
-            address,
-            txCount: combinedCount,
-            regularTxCount: totalTxCount,
-            internalTxCount: internalTxCount,
-            nonce: nonceTxCount,
-        });
+        return res.status(200).json({ address: resolved, name: target.name, chainId: network.chainId, ...counts });
     } catch (error) {
-        console.error('Basescan API error:', error);
+        console.error('Tx count error:', error);
         return res.status(500).json({ error: 'Failed to fetch transaction count' });
     }
 }
@@ -0,0 +1,89 @@
+// Collect candidate addresses, score them with api/_lib/score.js and save them to backend/content.json
+//
+//   npm run fetch:addresses -- [--chain baseSepolia] [--blocks 20] [--limit 100] [--min-tx 1] [--input addresses.txt]
+//
+// Candidates are the senders of the latest --blocks blocks, or one address per line from --input.
+// Addresses that already have an Aura NFT or no tier are left out.
+
+import { readFileSync } from 'node:fs';
+import { getAuraScore } from '../api/_lib/score.js';
+import { parseInclude } from '../api/_lib/txcount.js';
+import { getTiers, isValidAddress } from '../api/_lib/aura.js';
+import { getTierForScore } from '../src/lib/tiers.js';
+import { CONTENT_FILE, getNetwork, getPublicClient, parseArgs, writeJson } from './lib.mjs';
+
+async function collectFromBlocks(client, blockCount) {
+    const latest = await client.getBlockNumber();
+    const senders = new Set();
+
+    for (let i = 0n; i < BigInt(blockCount) && latest - i >= 0n; i++) {
+        const block = await client.getBlock({ blockNumber: latest - i, includeTransactions: true });
+        for (const tx of block.transactions) senders.add(tx.from.toLowerCase());
+    }
+    return [...senders];
+}
+
+function collectFromFile(file) {
+    const lines = readFileSync(file, 'utf8').split('\n').map((line) => line.trim()).filter(Boolean);
+    const invalid = lines.filter((line) => !isValidAddress(line));
+    if (invalid.length > 0) {
+        throw new Error(`Invalid addresses in ${file}: ${invalid.join(', ')}`);
+    }
+    return [...new Set(lines.map((line) => line.toLowerCase()))];
+}
+
+async function main() {
+    const args = parseArgs();
+    const network = getNetwork(args.chain);
+    const client = getPublicClient(network);
+    const limit = Number(args.limit || 100);
+    const minTx = Number(args['min-tx'] || 1);
+
+    const addresses = args.input
+        ? collectFromFile(args.input)
+        : await collectFromBlocks(client, Number(args.blocks || 20));
+    console.log(`Scoring ${addresses.length} addresses on ${network.name}...`);
+
+    const tiers = await getTiers(network);
+    const include = parseInclude();
+    const candidates = [];
+
+    // Sequential on purpose - explorer APIs rate limit bursts
+    for (const address of addresses) {
+        try {
+            const minted = await client.readContract({
+                address: network.contractAddress,
+                abi: network.contractAbi,
+                functionName: 'hasMinted',
+                args: [address],
+            });
+            if (minted) continue;
+
+            const { txCount, score, scoreBreakdown, complete, provider } = await getAuraScore(address, { include, network });
+            if (!scoreBreakdown) throw new Error('aura scoring unavailable');
+            const tier = getTierForScore(tiers, score);
+            if (!tier || txCount < minTx) continue;
+
+            candidates.push({ address, txCount, score, auraType: tier.id, complete, provider });
+            console.log(`  ${address} score ${score} (${txCount} txs) -> ${tier.id}`);
+        } catch (error) {
+            console.error(`  ${address} skipped: ${error.message}`);
+        }
+    }
+
+    candidates.sort((a, b) => b.score - a.score);
+    const selected = candidates.slice(0, limit);
+
+    writeJson(CONTENT_FILE, {
+        network: network.key,
+        chainId: network.chainId,
+        generatedAt: new Date().toISOString(),
+        candidates: selected,
+    });
+    console.log(`\nSaved ${selected.length} candidates to ${CONTENT_FILE}`);
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
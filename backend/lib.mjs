@@ -0,0 +1,95 @@
+// Shared helpers for the backend CLI scripts (npm run fetch:addresses, mint:once, mint:batch, mint:stop, snapshot:v1)
+// Scoring and attestations reuse the API modules, so batch mints follow the same rules as the app
+
+import 'dotenv/config';
+import { existsSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createPublicClient, createWalletClient, http } from 'viem';
+import { privateKeyToAccount } from 'viem/accounts';
+import { getChain, isDeployed, resolveNetwork } from '../api/_lib/network.js';
+
+const BACKEND_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+// Local state, all gitignored
+export const CONTENT_FILE = path.join(BACKEND_DIR, 'content.json');
+export const PROGRESS_FILE = path.join(BACKEND_DIR, '_progress.json');
+export const PID_FILE = path.join(BACKEND_DIR, '_mint.pid');
+export const STOP_FILE = path.join(BACKEND_DIR, '_mint.stop');
+const KEY_FILE = path.join(BACKEND_DIR, '.key.local');
+
+// V1 holder snapshots, committed next to the deployment manifests: /api/attest only signs migrations for them
+export const V1_SNAPSHOT_DIR = path.join(BACKEND_DIR, '..', 'deployments', 'v1-holders');
+
+// Parse "--name value" and "--flag" arguments; everything else is positional
+export function parseArgs(argv = process.argv.slice(2)) {
+    const args = { _: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) {
+            args._.push(argv[i]);
+        } else if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) {
+            args[argv[i].slice(2)] = true;
+        } else {
+            args[argv[i].slice(2)] = argv[++i];
+        }
+    }
+    return args;
+}
+
+// Resolve a network key or chain ID like the API routes do, with BaseAuraV2 deployed on it
+export function getNetwork(chain) {
+    const network = resolveNetwork(chain);
+    if (!network) {
+        throw new Error(`Unsupported chain: ${chain}`);
+    }
+    if (!isDeployed(network)) {
+        throw new Error(`Base Aura isn't deployed on ${network.name}: deployments/${network.key}.json is missing`);
+    }
+    return network;
+}
+
+// Read-only client for a network
+export function getPublicClient(network) {
+    return createPublicClient({
+        chain: getChain(network),
+        transport: http(network.rpcUrl),
+    });
+}
+
+// Wallet client for the given key, falling back to MINTER_PRIVATE_KEY or backend/.key.local
+export function getWalletClient(network, privateKey = process.env.MINTER_PRIVATE_KEY) {
+    if (!privateKey && existsSync(KEY_FILE)) {
+        privateKey = readFileSync(KEY_FILE, 'utf8').trim();
+    }
+    if (!privateKey) {
+        throw new Error('Set MINTER_PRIVATE_KEY or put the minter key in backend/.key.local');
+    }
+
+    return createWalletClient({
+        account: privateKeyToAccount(privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`),
+        chain: getChain(network),
+        transport: http(network.rpcUrl),
+    });
+}
+
+export function readJson(file, fallback) {
+    return existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : fallback;
+}
+
+// Write through a temp file so an interrupted run never leaves half a file behind
+export function writeJson(file, data) {
+    writeFileSync(`${file}.tmp`, `${JSON.stringify(data, null, 2)}\n`);
+    renameSync(`${file}.tmp`, file);
+}
+
+// Whether a process from a stale pid file is still alive
+export function isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
@@ -0,0 +1,147 @@
+// Mint the candidates in backend/content.json with mintBatch, in resumable batches
+//
+//   npm run mint:batch -- [--size 20] [--delay 2000]
+//
+// Per-address results are recorded in backend/_progress.json, so a rerun continues where the last
+// one stopped and retries failed batches. npm run mint:stop ends the run after the current batch.
+
+import { existsSync, readFileSync, unlinkSync, writeFileSync } from 'node:fs';
+import { parseEventLogs } from 'viem';
+import { signAttestation, toContractAttestation } from '../api/_lib/attestation.js';
+import { lookupAddress } from '../api/_lib/names.js';
+import {
+    CONTENT_FILE,
+    PID_FILE,
+    PROGRESS_FILE,
+    STOP_FILE,
+    getNetwork,
+    getPublicClient,
+    getWalletClient,
+    isRunning,
+    parseArgs,
+    readJson,
+    sleep,
+    writeJson,
+} from './lib.mjs';
+
+const DONE = ['minted', 'skipped'];
+
+function removeFile(file) {
+    if (existsSync(file)) unlinkSync(file);
+}
+
+// Mint one batch and return the status of each address in it
+async function mintBatch(client, wallet, network, batch) {
+    const contract = { address: network.contractAddress, abi: network.contractAbi };
+
+    // Already minted targets would be skipped on-chain anyway - leave them out to save gas
+    const minted = await Promise.all(batch.map((candidate) =>
+        client.readContract({ ...contract, functionName: 'hasMinted', args: [candidate.address] })));
+    const results = Object.fromEntries(batch.filter((_, i) => minted[i]).map((c) => [c.address, { status: 'skipped' }]));
+    const pending = batch.filter((_, i) => !minted[i]);
+    if (pending.length === 0) return results;
+
+    const signed = [];
+    let fee = 0n;
+    for (const { address, txCount, auraType } of pending) {
+        const { name } = await lookupAddress(address, network);
+        signed.push(await signAttestation({ targetAddress: address, txCount, auraType, name: name || '', network }));
+        fee += await client.readContract({
+            ...contract,
+            functionName: 'getMintFee',
+            args: [wallet.account.address, address],
+        });
+    }
+
+    const { request } = await client.simulateContract({
+        ...contract,
+        account: wallet.account,
+        functionName: 'mintBatch',
+        args: [signed.map((s) => toContractAttestation(s.attestation)), signed.map((s) => s.signature)],
+        value: fee,
+    });
+    const hash = await wallet.writeContract(request);
+    const receipt = await client.waitForTransactionReceipt({ hash });
+    if (receipt.status !== 'success') {
+        throw new Error(`mintBatch reverted: ${hash}`);
+    }
+
+    const skipped = new Set(parseEventLogs({ abi: network.contractAbi, eventName: 'AuraMintSkipped', logs: receipt.logs })
+        .map((log) => log.args.targetAddress.toLowerCase()));
+    for (const { address } of pending) {
+        results[address] = { status: skipped.has(address.toLowerCase()) ? 'skipped' : 'minted', tx: hash };
+    }
+    return results;
+}
+
+async function main() {
+    const args = parseArgs();
+    const batchSize = Number(args.size || process.env.MINT_BATCH_SIZE || 20);
+    const delay = Number(args.delay || 2000);
+
+    const content = readJson(CONTENT_FILE, null);
+    if (!content) {
+        throw new Error(`${CONTENT_FILE} not found - run npm run fetch:addresses first`);
+    }
+
+    const network = getNetwork(content.network);
+    const client = getPublicClient(network);
+    const wallet = getWalletClient(network);
+
+    const progress = readJson(PROGRESS_FILE, { network: network.key, entries: {} });
+    if (progress.network !== network.key) {
+        throw new Error(`${PROGRESS_FILE} belongs to ${progress.network} - move it away to mint on ${network.key}`);
+    }
+
+    if (existsSync(PID_FILE) && isRunning(Number(readFileSync(PID_FILE, 'utf8')))) {
+        throw new Error('Another mint:batch is already running - use npm run mint:stop first');
+    }
+    writeFileSync(PID_FILE, String(process.pid));
+    removeFile(STOP_FILE);
+    process.on('exit', () => removeFile(PID_FILE));
+    process.on('SIGINT', () => process.exit(130));
+    process.on('SIGTERM', () => process.exit(143));
+
+    const todo = content.candidates.filter((c) => !DONE.includes(progress.entries[c.address]?.status));
+    console.log(`Minting ${todo.length} of ${content.candidates.length} candidates on ${network.name} as ${wallet.account.address}`);
+
+    for (let start = 0; start < todo.length; start += batchSize) {
+        if (existsSync(STOP_FILE)) {
+            console.log('Stop requested - exiting');
+            removeFile(STOP_FILE);
+            break;
+        }
+
+        const batch = todo.slice(start, start + batchSize);
+        const label = `Batch ${start / batchSize + 1}/${Math.ceil(todo.length / batchSize)}`;
+        let results;
+        try {
+            results = await mintBatch(client, wallet, network, batch);
+        } catch (error) {
+            const message = error.shortMessage || error.message;
+            console.error(`${label} failed: ${message}`);
+            results = Object.fromEntries(batch.map((c) => [c.address, { status: 'failed', error: message }]));
+        }
+
+        const at = new Date().toISOString();
+        for (const [address, result] of Object.entries(results)) {
+            progress.entries[address] = { ...result, at };
+        }
+        writeJson(PROGRESS_FILE, progress);
+
+        const counts = Object.values(results).reduce((acc, r) => ({ ...acc, [r.status]: (acc[r.status] || 0) + 1 }), {});
+        console.log(`${label}: ${Object.entries(counts).map(([status, n]) => `${n} ${status}`).join(', ')}`);
+
+        if (start + batchSize < todo.length) await sleep(delay);
+    }
+
+    const statuses = Object.values(progress.entries).map((entry) => entry.status);
+    console.log(`\nDone: ${statuses.filter((s) => s === 'minted').length} minted, ` +
+        `${statuses.filter((s) => s === 'skipped').length} skipped, ` +
+        `${statuses.filter((s) => s === 'failed').length} failed (see ${PROGRESS_FILE})`);
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,63 @@
+// Score and mint a single address with the backend minter wallet
+//
+//   npm run mint:once -- 0xTarget [--chain baseSepolia]
+
+import { signAttestation, toContractAttestation } from '../api/_lib/attestation.js';
+import { lookupAddress } from '../api/_lib/names.js';
+import { getAuraType, isValidAddress } from '../api/_lib/aura.js';
+import { getAuraScore } from '../api/_lib/score.js';
+import { parseInclude } from '../api/_lib/txcount.js';
+import { getNetwork, getPublicClient, getWalletClient, parseArgs } from './lib.mjs';
+
+async function main() {
+    const args = parseArgs();
+    const [targetAddress] = args._;
+    if (!targetAddress || !isValidAddress(targetAddress)) {
+        throw new Error('Usage: npm run mint:once -- 0xTarget [--chain baseSepolia]');
+    }
+
+    const network = getNetwork(args.chain);
+    const client = getPublicClient(network);
+    const wallet = getWalletClient(network);
+    const contract = { address: network.contractAddress, abi: network.contractAbi };
+
+    if (await client.readContract({ ...contract, functionName: 'hasMinted', args: [targetAddress] })) {
+        console.log(`${targetAddress} already has an Aura NFT on ${network.name}`);
+        return;
+    }
+
+    const { txCount, score, scoreBreakdown } = await getAuraScore(targetAddress, { include: parseInclude(), network });
+    if (!scoreBreakdown) {
+        throw new Error(`Aura scoring is unavailable for ${targetAddress} - not minting from the unweighted tx count`);
+    }
+    const auraType = await getAuraType(score, network);
+    if (!auraType) {
+        throw new Error(`No transactions found for ${targetAddress} on ${network.name}`);
+    }
+
+    const { name } = await lookupAddress(targetAddress, network);
+    const { attestation, signature } = await signAttestation({ targetAddress, txCount, auraType, name: name || '', network });
+    const fee = await client.readContract({
+        ...contract,
+        functionName: 'getMintFee',
+        args: [wallet.account.address, targetAddress],
+    });
+
+    console.log(`Minting ${auraType} (score ${score}, ${txCount} txs) for ${targetAddress} on ${network.name}...`);
+    const hash = await wallet.writeContract({
+        ...contract,
+        functionName: 'mint',
+        args: [toContractAttestation(attestation), signature],
+        value: fee,
+    });
+    const receipt = await client.waitForTransactionReceipt({ hash });
+    if (receipt.status !== 'success') {
+        throw new Error(`Mint reverted: ${network.explorerUrl}/tx/${hash}`);
+    }
+    console.log(`✅ Minted: ${network.explorerUrl}/tx/${hash}`);
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
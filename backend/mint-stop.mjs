@@ -0,0 +1,15 @@
+// Ask a running mint:batch to stop after its current batch
+//
+//   npm run mint:stop
+
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { PID_FILE, STOP_FILE, isRunning } from './lib.mjs';
+
+const pid = existsSync(PID_FILE) ? Number(readFileSync(PID_FILE, 'utf8')) : null;
+
+if (!pid || !isRunning(pid)) {
+    console.log('No batch mint is running');
+} else {
+    writeFileSync(STOP_FILE, `${new Date().toISOString()}\n`);
+    console.log(`Stop requested - mint:batch (pid ${pid}) will stop after its current batch`);
+}
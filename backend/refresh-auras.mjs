@@ -0,0 +1,42 @@
+// Rescan every minted target address and refresh tokens whose tier changed
+//
+//   npm run refresh:auras -- [--chain baseSepolia] [--dry-run] [--size 20]
+//
+// Sends refreshAuras from UPDATER_PRIVATE_KEY (or the minter key), which must be an authorized updater
+
+import { findStaleAuras, refreshStaleAuras } from '../api/_lib/keeper.js';
+import { getNetwork, getPublicClient, getWalletClient, parseArgs } from './lib.mjs';
+
+async function main() {
+    const args = parseArgs();
+    const network = getNetwork(args.chain);
+
+    console.log(`Rescanning minted auras on ${network.name}...`);
+    const { checked, stale, errors } = await findStaleAuras(network);
+
+    for (const { tokenId, targetAddress, from, to, txCount, score } of stale) {
+        console.log(`  #${tokenId} ${targetAddress} ${from} -> ${to} (score ${score}, ${txCount} txs)`);
+    }
+    for (const { tokenId, error } of errors) {
+        console.error(`  #${tokenId} not checked: ${error}`);
+    }
+    console.log(`Checked ${checked} tokens, ${stale.length} need a refresh`);
+
+    if (args['dry-run'] || stale.length === 0) return;
+
+    const wallet = getWalletClient(network, process.env.UPDATER_PRIVATE_KEY || undefined);
+    const refreshed = await refreshStaleAuras(network, wallet, getPublicClient(network), stale, {
+        batchSize: Number(args.size || 20),
+    });
+    for (const hash of refreshed.transactions) {
+        console.log(`✅ ${network.explorerUrl}/tx/${hash}`);
+    }
+    for (const { tokenId, error } of refreshed.errors) {
+        console.error(`  #${tokenId} not refreshed: ${error}`);
+    }
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,78 @@
+// Snapshot BaseAura (V1) holders into deployments/v1-holders/<network>.json
+//
+//   npm run snapshot:v1 -- [--chain baseSepolia] [--from-block 0] [--block <cutoff, defaults to the latest block>]
+//
+// Replays V1 Transfer events up to the cutoff block for the owner of every token, then reads its aura and
+// whether the owner can still migrate. Tokens already moved in by BaseAuraMigrator are listed as migrated.
+// V1 mints stay open, so commit the snapshot: /api/attest only signs migrations for the tokens in it,
+// with the aura type they had at the cutoff
+
+import { mkdirSync } from 'node:fs';
+import path from 'node:path';
+import { parseAbi, parseAbiItem } from 'viem';
+import { V1_SNAPSHOT_DIR, getNetwork, getPublicClient, parseArgs, writeJson } from './lib.mjs';
+
+const TRANSFER_EVENT = parseAbiItem('event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)');
+const V1_ABI = parseAbi(['function getAura(uint256 tokenId) view returns (string)']);
+
+// Blocks per eth_getLogs request, like the aura indexer
+const BLOCK_RANGE = BigInt(Number(process.env.INDEXER_BLOCK_RANGE) || 10000);
+
+async function main() {
+    const args = parseArgs();
+    const network = getNetwork(args.chain);
+    if (!network.v1ContractAddress) {
+        throw new Error(`Set ${network.envPrefix}_V1_CONTRACT_ADDRESS to the BaseAura (V1) contract`);
+    }
+    const client = getPublicClient(network);
+
+    const cutoff = args.block ? BigInt(args.block) : await client.getBlockNumber();
+    const owners = new Map();
+    for (let fromBlock = BigInt(args['from-block'] || 0); fromBlock <= cutoff; fromBlock += BLOCK_RANGE) {
+        const toBlock = fromBlock + BLOCK_RANGE - 1n < cutoff ? fromBlock + BLOCK_RANGE - 1n : cutoff;
+        const logs = await client.getLogs({ address: network.v1ContractAddress, event: TRANSFER_EVENT, fromBlock, toBlock });
+        for (const { args: { to, tokenId } } of logs) owners.set(tokenId, to);
+    }
+    console.log(`Found ${owners.size} V1 tokens on ${network.name} up to block ${cutoff}`);
+
+    const migrator = network.migratorAddress?.toLowerCase();
+    const holders = [];
+    // Sequential on purpose - public RPCs rate limit bursts
+    for (const [tokenId, owner] of [...owners].sort(([a], [b]) => (a < b ? -1 : 1))) {
+        const auraType = await client.readContract({
+            address: network.v1ContractAddress,
+            abi: V1_ABI,
+            functionName: 'getAura',
+            args: [tokenId],
+            blockNumber: cutoff,
+        });
+        const migrated = owner.toLowerCase() === migrator;
+        const hasV2 = !migrated && await client.readContract({
+            address: network.contractAddress,
+            abi: network.contractAbi,
+            functionName: 'hasMinted',
+            args: [owner],
+            blockNumber: cutoff,
+        });
+        holders.push({ tokenId: tokenId.toString(), owner, auraType, migrated, hasV2 });
+    }
+
+    const file = path.join(V1_SNAPSHOT_DIR, `${network.key}.json`);
+    mkdirSync(V1_SNAPSHOT_DIR, { recursive: true });
+    writeJson(file, {
+        network: network.key,
+        chainId: network.chainId,
+        v1ContractAddress: network.v1ContractAddress,
+        block: cutoff.toString(),
+        generatedAt: new Date().toISOString(),
+        holders,
+    });
+
+    const pending = holders.filter((holder) => !holder.migrated && !holder.hasV2).length;
+    console.log(`Saved ${holders.length} holders to ${file} (${pending} can migrate) - commit it to open their migrations`);
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,145 @@
+// Network configuration shared by the frontend, the API routes and the deploy script
+// Keys match the Hardhat network names in hardhat.config.cjs
+// Contract addresses and ABIs come from the deployment manifests (deployments/<network>.json) the deploy
+// scripts write, so nothing here points at a contract until it is deployed
+
+export const NETWORKS = {
+    baseSepolia: {
+        key: 'baseSepolia',
+        name: 'Base Sepolia',
+        chainId: 84532,
+        testnet: true,
+        // Per-network env overrides use this prefix, e.g. BASE_SEPOLIA_CONTRACT_ADDRESS
+        envPrefix: 'BASE_SEPOLIA',
+        // BaseAuraV2, from the manifest or BASE_SEPOLIA_CONTRACT_ADDRESS
+        contractAddress: null,
+        // BaseAura (V1) holders move into V2 through BaseAuraMigrator; both unset until deployed
+        v1ContractAddress: null,
+        migratorAddress: null,
+        rpcUrl: 'https://sepolia.base.org',
+        explorerApiUrl: 'https://api-sepolia.basescan.org/api',
+        explorerUrl: 'https://sepolia.basescan.org',
+        indexerApiUrl: 'https://base-sepolia.blockscout.com',
+        // First block the aura indexer scans; the manifest records the real deploy block
+        startBlock: 0,
+        // BaseAuraV2 constructor params and setup used by scripts/deploy.cjs
+        deploy: {
+            baseImageURI: '', // empty renders the artwork on-chain as SVG
+            feeRecipient: '0xB8D6CbB3C4C3594a8B6C4221530ABFC1e06b8B85',
+            mintFee: '0.00001', // ETH
+            soulbound: false,
+            royaltyBps: 250, // ERC-2981 royalty paid to the fee recipient on secondary sales
+            // contractURI metadata; externalURL is the app origin each token's external_url links into
+            collection: {
+                description: 'Dynamic auras earned by on-chain activity on Base',
+                image: 'https://base-aura.vercel.app/collection.png',
+                externalURL: 'https://base-aura.vercel.app',
+                animationURI: '',
+            },
+        },
+    },
+    baseMainnet: {
+        key: 'baseMainnet',
+        name: 'Base',
+        chainId: 8453,
+        testnet: false,
+        envPrefix: 'BASE_MAINNET',
+        contractAddress: null,
+        v1ContractAddress: null,
+        migratorAddress: null,
+        rpcUrl: 'https://mainnet.base.org',
+        explorerApiUrl: 'https://api.basescan.org/api',
+        explorerUrl: 'https://basescan.org',
+        indexerApiUrl: 'https://base.blockscout.com',
+        startBlock: 0,
+        deploy: {
+            baseImageURI: '',
+            feeRecipient: '0xB8D6CbB3C4C3594a8B6C4221530ABFC1e06b8B85',
+            mintFee: '0.00001',
+            soulbound: false,
+            royaltyBps: 250,
+            collection: {
+                description: 'Dynamic auras earned by on-chain activity on Base',
+                image: 'https://base-aura.vercel.app/collection.png',
+                externalURL: 'https://base-aura.vercel.app',
+                animationURI: '',
+            },
+        },
+    },
+};
+
+export const DEFAULT_NETWORK = 'baseSepolia';
+
+// Env keys that can override a network's defaults, e.g. BASE_MAINNET_RPC_URL
+const OVERRIDES = {
+    contractAddress: 'CONTRACT_ADDRESS',
+    v1ContractAddress: 'V1_CONTRACT_ADDRESS',
+    migratorAddress: 'MIGRATOR_ADDRESS',
+    rpcUrl: 'RPC_URL',
+    explorerApiUrl: 'EXPLORER_API_URL',
+    indexerApiUrl: 'INDEXER_API_URL',
+    startBlock: 'START_BLOCK',
+};
+
+// Find a network by key ("baseSepolia") or chain ID (84532 or "84532")
+export function findNetwork(keyOrChainId) {
+    if (NETWORKS[keyOrChainId]) return NETWORKS[keyOrChainId];
+    return Object.values(NETWORKS).find((network) => String(network.chainId) === String(keyOrChainId)) || null;
+}
+
+// The contracts in a network's deployment manifest (deployments/<network>.json, written by scripts/deploy.cjs
+// and scripts/deploy-migrator.cjs): BaseAuraV2's ABI and address, the migrator's ABI and address, and the V1
+// contract it migrates from, and the block the indexer starts at. Everything is null for contracts that aren't
+// deployed or a manifest of another chain
+export function getDeployment(network, manifest) {
+    const matches = manifest?.network === network.key && manifest.chainId === network.chainId;
+    const { BaseAuraV2: aura, BaseAuraMigrator: migrator } = (matches && manifest.contracts) || {};
+
+    return {
+        contractAbi: aura?.abi || null,
+        contractAddress: aura?.address || null,
+        migratorAbi: migrator?.abi || null,
+        migratorAddress: migrator?.address || null,
+        v1ContractAddress: migrator?.constructorArgs?.[0] || null,
+        startBlock: aura?.blockNumber || null,
+    };
+}
+
+// A V1 token's entry ({ tokenId, owner, auraType, ... }) in a V1 holder snapshot (deployments/v1-holders/<network>.json,
+// written by backend/snapshot-v1.mjs), or null if the token isn't in it or the snapshot is of another chain or V1 contract
+export function findSnapshotHolder(network, snapshot, tokenId) {
+    const matches = snapshot?.network === network.key && snapshot.chainId === network.chainId &&
+        snapshot.v1ContractAddress?.toLowerCase() === network.v1ContractAddress.toLowerCase();
+    if (!matches) return null;
+    return snapshot.holders.find((holder) => holder.tokenId === String(tokenId)) || null;
+}
+
+// Resolve a network with its deployment manifest and env overrides, which win over the manifest addresses
+// env is process.env on the server and import.meta.env (with envPrefix "VITE_") in the browser
+export function getNetwork(keyOrChainId, env = {}, envPrefix = '', manifest = null) {
+    const network = findNetwork(keyOrChainId);
+    if (!network) return null;
+
+    const resolved = { ...network, contractAbi: null, migratorAbi: null };
+    for (const [field, value] of Object.entries(getDeployment(network, manifest))) {
+        if (value) resolved[field] = value;
+    }
+    for (const [field, suffix] of Object.entries(OVERRIDES)) {
+        const value = env[`${envPrefix}${network.envPrefix}_${suffix}`];
+        if (value) resolved[field] = value;
+    }
+    return resolved;
+}
+
+// Every network with its manifest (from `manifests`) and env overrides applied, default network first
+export function getNetworks(env = {}, envPrefix = '', manifests = []) {
+    const defaultKey = env[`${envPrefix}DEFAULT_NETWORK`] || DEFAULT_NETWORK;
+    return Object.keys(NETWORKS)
+        .sort((a, b) => (a === defaultKey ? -1 : b === defaultKey ? 1 : 0))
+        .map((key) => getNetwork(key, env, envPrefix, manifests.find((manifest) => manifest.network === key)));
+}
+
+// Whether BaseAuraV2 is deployed on a resolved network: its address and ABI are both known
+export function isDeployed(network) {
+    return Boolean(network.contractAddress && network.contractAbi);
+}
@@ -0,0 +1,201 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+
+/**
+ * @title AuraMetadata
+ * @dev Token (tokenURI) and collection (contractURI) metadata JSON for Base Aura tokens
+ * Every string field is JSON-escaped, so tier text, names and owner-set URIs can't break the JSON
+ */
+library AuraMetadata {
+    using Strings for uint256;
+
+    bytes16 private constant HEX_DIGITS = "0123456789abcdef";
+
+    // Everything tokenURI reports about one token
+    // external_url links to the app's share page, <appURL>/aura/<target address>?chain=<chainId>, and
+    // animation_url is <animationURI><tokenId>; either is left out of the JSON while its base is empty
+    struct Token {
+        uint256 tokenId;
+        string auraName;
+        string description;
+        string rarity;
+        string image;
+        string appURL;
+        string animationURI;
+        uint256 chainId;
+        address targetAddress;
+        address[] linkedAddresses;
+        uint256 txCount;
+        string name;
+    }
+
+    // Everything contractURI reports about the collection
+    // The royalty fields are left out when royaltyBps is 0
+    struct Collection {
+        string name;
+        string description;
+        string image;
+        string externalLink;
+        address royaltyRecipient;
+        uint256 royaltyBps;
+    }
+
+    /**
+     * @dev Token metadata as a data:application/json;base64 URI
+     */
+    function tokenURI(Token memory token) public pure returns (string memory) {
+        string memory json = string(
+            abi.encodePacked(
+                '{"name": "Base Aura #',
+                token.tokenId.toString(),
+                " - ",
+                escape(token.auraName),
+                '", "description": "',
+                escape(token.description),
+                '", "image": "',
+                escape(token.image),
+                '"',
+                _optional("external_url", bytes(token.appURL).length > 0 ? _shareURL(token) : ""),
+                _optional(
+                    "animation_url",
+                    bytes(token.animationURI).length > 0 ? string.concat(token.animationURI, token.tokenId.toString()) : ""
+                ),
+                ', "linked_addresses": ',
+                _addressesJSON(token.linkedAddresses),
+                ', "attributes": ',
+                _attributes(token),
+                "}"
+            )
+        );
+        return _dataURI(json);
+    }
+
+    /**
+     * @dev Collection metadata (ERC-7572, with OpenSea's royalty fields) as a data:application/json;base64 URI
+     */
+    function contractURI(Collection memory collection) public pure returns (string memory) {
+        string memory json = string(
+            abi.encodePacked(
+                '{"name": "',
+                escape(collection.name),
+                '", "description": "',
+                escape(collection.description),
+                '"',
+                _optional("image", collection.image),
+                _optional("external_link", collection.externalLink),
+                collection.royaltyBps > 0
+                    ? string(
+                        abi.encodePacked(
+                            ', "seller_fee_basis_points": ',
+                            collection.royaltyBps.toString(),
+                            ', "fee_recipient": "',
+                            Strings.toHexString(uint160(collection.royaltyRecipient), 20),
+                            '"'
+                        )
+                    )
+                    : "",
+                "}"
+            )
+        );
+        return _dataURI(json);
+    }
+
+    /**
+     * @dev Escape a string for use inside a double-quoted JSON string
+     * Unlike Strings.escapeJSON, every control character is escaped (as \u00XX), so the output always parses
+     */
+    function escape(string memory value) public pure returns (string memory) {
+        bytes memory input = bytes(value);
+        uint256 extra;
+        for (uint256 i = 0; i < input.length; i++) {
+            bytes1 char = input[i];
+            if (char == '"' || char == "\\") extra += 1;
+            else if (uint8(char) < 0x20) extra += 5;
+        }
+        if (extra == 0) return value;
+
+        bytes memory output = new bytes(input.length + extra);
+        uint256 j;
+        for (uint256 i = 0; i < input.length; i++) {
+            bytes1 char = input[i];
+            if (char == '"' || char == "\\") {
+                output[j++] = "\\";
+                output[j++] = char;
+            } else if (uint8(char) < 0x20) {
+                output[j++] = "\\";
+                output[j++] = "u";
+                output[j++] = "0";
+                output[j++] = "0";
+                output[j++] = HEX_DIGITS[uint8(char) >> 4];
+                output[j++] = HEX_DIGITS[uint8(char) & 0x0f];
+            } else {
+                output[j++] = char;
+            }
+        }
+        return string(output);
+    }
+
+    /**
+     * @dev Metadata attributes array for a token
+     */
+    function _attributes(Token memory token) private pure returns (string memory) {
+        return string(
+            abi.encodePacked(
+                '[{"trait_type": "Aura Type", "value": "',
+                escape(token.auraName),
+                '"}, {"trait_type": "Tier", "value": "',
+                bytes(token.rarity).length > 0 ? escape(token.rarity) : "Unknown",
+                '"}, {"trait_type": "Target Address", "value": "',
+                Strings.toHexString(uint160(token.targetAddress), 20),
+                '"}, {"display_type": "number", "trait_type": "Transactions", "value": ',
+                token.txCount.toString(),
+                '}, {"display_type": "number", "trait_type": "Linked Addresses", "value": ',
+                token.linkedAddresses.length.toString(),
+                bytes(token.name).length > 0
+                    ? string(abi.encodePacked('}, {"trait_type": "Name", "value": "', escape(token.name), '"}]'))
+                    : "}]"
+            )
+        );
+    }
+
+    /**
+     * @dev The app's share page for a token's target address
+     */
+    function _shareURL(Token memory token) private pure returns (string memory) {
+        return string.concat(
+            token.appURL,
+            "/aura/",
+            Strings.toHexString(uint160(token.targetAddress), 20),
+            "?chain=",
+            token.chainId.toString()
+        );
+    }
+
+    /**
+     * @dev JSON array of addresses
+     */
+    function _addressesJSON(address[] memory addresses) private pure returns (string memory json) {
+        json = "[";
+        for (uint256 i = 0; i < addresses.length; i++) {
+            json = string(
+                abi.encodePacked(json, i > 0 ? ', "' : '"', Strings.toHexString(uint160(addresses[i]), 20), '"')
+            );
+        }
+        return string(abi.encodePacked(json, "]"));
+    }
+
+    /**
+     * @dev `, "key": "value"` for a non-empty value, otherwise nothing
+     */
+    function _optional(string memory key, string memory value) private pure returns (string memory) {
+        if (bytes(value).length == 0) return "";
+        return string(abi.encodePacked(', "', key, '": "', escape(value), '"'));
+    }
+
+    function _dataURI(string memory json) private pure returns (string memory) {
+        return string(abi.encodePacked("data:application/json;base64,", Base64.encode(bytes(json))));
+    }
+}
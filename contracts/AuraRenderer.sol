@@ -0,0 +1,166 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+
+/**
+ * @title AuraRenderer
+ * @dev Generative on-chain SVG artwork for Base Aura tokens
+ * Must stay pixel-identical to src/lib/auraRenderer.js, which renders the frontend preview
+ */
+library AuraRenderer {
+    using Strings for uint256;
+
+    /**
+     * @dev Render the aura as a data:image/svg+xml;base64 URI
+     */
+    function renderDataURI(
+        string memory imageKey,
+        string memory auraName,
+        address targetAddress,
+        uint256 tokenId,
+        uint256 txCount
+    ) public pure returns (string memory) {
+        return string(
+            abi.encodePacked(
+                "data:image/svg+xml;base64,",
+                Base64.encode(bytes(render(imageKey, auraName, targetAddress, tokenId, txCount)))
+            )
+        );
+    }
+
+    /**
+     * @dev Render the raw SVG: tier palette, one ring per digit of the tx count,
+     * orbs placed by the target address bytes, and the token details as text
+     * @param imageKey The tier's image key, which selects the palette
+     */
+    function render(
+        string memory imageKey,
+        string memory auraName,
+        address targetAddress,
+        uint256 tokenId,
+        uint256 txCount
+    ) public pure returns (string memory) {
+        (string memory color, string memory glow) = _palette(imageKey);
+
+        return string(
+            abi.encodePacked(
+                '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 400">',
+                '<defs><radialGradient id="a" cx="50%" cy="45%" r="60%"><stop offset="0%" stop-color="',
+                glow,
+                '"/><stop offset="55%" stop-color="',
+                color,
+                '" stop-opacity="0.55"/><stop offset="100%" stop-color="#0a0a0f" stop-opacity="0"/></radialGradient></defs>',
+                '<rect width="400" height="400" fill="#0a0a0f"/><circle cx="200" cy="180" r="150" fill="url(#a)"/>',
+                _rings(glow, txCount),
+                _orbs(glow, targetAddress),
+                _labels(auraName, glow, targetAddress, tokenId, txCount),
+                "</svg>"
+            )
+        );
+    }
+
+    /**
+     * @dev Tier colors, matching the aura colors in src/index.css
+     * Image keys without a built-in palette get a hue derived from the key, so new tiers need no redeploy
+     */
+    function _palette(string memory imageKey) private pure returns (string memory color, string memory glow) {
+        bytes32 keyHash = keccak256(bytes(imageKey));
+        if (keyHash == keccak256("fire")) return ("#f97316", "#fdba74");
+        if (keyHash == keccak256("water")) return ("#06b6d4", "#67e8f9");
+        if (keyHash == keccak256("tide")) return ("#14b8a6", "#5eead4");
+        if (keyHash == keccak256("rock")) return ("#eab308", "#fde047");
+
+        string memory hue = ((uint256(uint8(keyHash[0])) * 360) / 256).toString();
+        return (
+            string(abi.encodePacked("hsl(", hue, ",85%,55%)")),
+            string(abi.encodePacked("hsl(", hue, ",95%,75%)"))
+        );
+    }
+
+    function _rings(string memory glow, uint256 txCount) private pure returns (string memory rings) {
+        uint256 count = bytes(txCount.toString()).length;
+        if (count > 6) count = 6;
+
+        for (uint256 i = 0; i < count; i++) {
+            rings = string(
+                abi.encodePacked(
+                    rings,
+                    '<circle cx="200" cy="180" r="',
+                    (40 + i * 18).toString(),
+                    '" fill="none" stroke="',
+                    glow,
+                    '" stroke-opacity="0.35" stroke-width="2"/>'
+                )
+            );
+        }
+    }
+
+    function _orbs(string memory glow, address targetAddress) private pure returns (string memory orbs) {
+        bytes20 addr = bytes20(targetAddress);
+
+        for (uint256 i = 0; i < 4; i++) {
+            uint256 x = 60 + (uint256(uint8(addr[i * 2])) * 280) / 255;
+            uint256 y = 40 + (uint256(uint8(addr[i * 2 + 1])) * 240) / 255;
+            uint256 r = 4 + (uint256(uint8(addr[i + 8])) % 8);
+            orbs = string(
+                abi.encodePacked(
+                    orbs,
+                    '<circle cx="',
+                    x.toString(),
+                    '" cy="',
+                    y.toString(),
+                    '" r="',
+                    r.toString(),
+                    '" fill="',
+                    glow,
+                    '" fill-opacity="0.8"/>'
+                )
+            );
+        }
+    }
+
+    /**
+     * @dev Escape a string for an SVG text node: &, <, >, " and ' become entities
+     * Tier names are owner-set, so they can't be trusted to be valid markup
+     */
+    function _escapeXML(string memory value) private pure returns (string memory) {
+        bytes memory input = bytes(value);
+        bytes memory output;
+        for (uint256 i = 0; i < input.length; i++) {
+            bytes1 char = input[i];
+            if (char == "&") output = abi.encodePacked(output, "&amp;");
+            else if (char == "<") output = abi.encodePacked(output, "&lt;");
+            else if (char == ">") output = abi.encodePacked(output, "&gt;");
+            else if (char == '"') output = abi.encodePacked(output, "&quot;");
+            else if (char == "'") output = abi.encodePacked(output, "&#39;");
+            else output = abi.encodePacked(output, char);
+        }
+        return string(output);
+    }
+
+    function _labels(
+        string memory auraName,
+        string memory glow,
+        address targetAddress,
+        uint256 tokenId,
+        uint256 txCount
+    ) private pure returns (string memory) {
+        return string(
+            abi.encodePacked(
+                '<text x="200" y="330" font-family="monospace" font-size="22" font-weight="700" fill="#ffffff" text-anchor="middle">',
+                _escapeXML(auraName),
+                '</text><text x="200" y="356" font-family="monospace" font-size="13" fill="',
+                glow,
+                '" text-anchor="middle">#',
+                tokenId.toString(),
+                " | ",
+                txCount.toString(),
+                ' txs</text><text x="200" y="378" font-family="monospace" font-size="11" fill="#71717a" text-anchor="middle">',
+                Strings.toHexString(uint160(targetAddress), 20),
+                "</text>"
+            )
+        );
+    }
+}
@@ -0,0 +1,55 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./BaseAura.sol";
+import "./BaseAuraV2.sol";
+
+/**
+ * @title BaseAuraMigrator
+ * @dev Moves BaseAura (V1) holders into BaseAuraV2
+ * V1 has no burn, so migrated V1 tokens are locked in this contract for good, and a V2 aura of the
+ * same type is minted for the holder's address. V2 mints still need an attestation from the V2 attester,
+ * which the migrator pins to the holder and the V1 token's aura type. Migration attestations are signed
+ * as AuraMigration, which only BaseAuraV2.mintMigrated accepts and only from the migrator set on V2,
+ * so none can be minted without locking its V1 token here
+ */
+contract BaseAuraMigrator {
+    BaseAura public immutable v1;
+    BaseAuraV2 public immutable v2;
+
+    event AuraMigrated(address indexed holder, uint256 indexed v1TokenId, uint256 indexed v2TokenId, string auraType);
+
+    constructor(address _v1, address _v2) {
+        require(_v1 != address(0) && _v2 != address(0), "Invalid contract address");
+        v1 = BaseAura(_v1);
+        v2 = BaseAuraV2(_v2);
+    }
+
+    /**
+     * @dev Lock a V1 token and mint the holder's V2 aura
+     * @param v1TokenId V1 token owned by the caller, with this contract approved to transfer it
+     * @param attestation Attester-signed AuraMigration for the caller carrying the V1 token's aura type
+     * @param signature EIP-712 signature of the AuraMigration by the V2 attester
+     * msg.value is passed on as the V2 mint fee (BaseAuraV2.getMintFee for this contract and the caller)
+     * @return v2TokenId The minted V2 token
+     */
+    function migrate(uint256 v1TokenId, BaseAuraV2.AuraAttestation calldata attestation, bytes calldata signature)
+        external
+        payable
+        returns (uint256 v2TokenId)
+    {
+        require(v1.ownerOf(v1TokenId) == msg.sender, "Not the V1 token owner");
+        require(attestation.targetAddress == msg.sender, "Attestation target mismatch");
+        require(attestation.linkedAddresses.length == 0, "Migrated auras cannot link addresses");
+        require(
+            keccak256(bytes(attestation.auraType)) == keccak256(bytes(v1.getAura(v1TokenId))),
+            "Aura type mismatch"
+        );
+
+        v1.transferFrom(msg.sender, address(this), v1TokenId);
+        v2.mintMigrated{value: msg.value}(attestation, signature);
+        v2TokenId = v2.getTokenByTargetAddress(msg.sender);
+
+        emit AuraMigrated(msg.sender, v1TokenId, v2TokenId, attestation.auraType);
+    }
+}
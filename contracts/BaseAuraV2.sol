@@ -3,17 +3,65 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
+import "@openzeppelin/contracts/token/common/ERC2981.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/Strings.sol";
-import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "./AuraMetadata.sol";
+import "./AuraRenderer.sol";
+import "./IERC5192.sol";
 
 /**
  * @title BaseAuraV2
  * @dev Dynamic ERC-721 NFT that tracks Base transaction activity
  * Like Bitcoin Aura: Anyone can mint for any address, but each target address can only be minted once
+ * Aura types are not self-declared: every mint and update must carry an EIP-712 attestation signed by the attester
+ * An aggregate aura also covers linked addresses, whose activity is attested together with the target's
+ * Marketplaces get ERC-2981 royalties and collection metadata from contractURI (ERC-7572)
  */
-contract BaseAuraV2 is ERC721, ERC721URIStorage, Ownable {
-    using Strings for uint256;
+contract BaseAuraV2 is ERC721, ERC721URIStorage, ERC2981, Ownable, EIP712, IERC5192 {
+    // Attester-signed statement of a target address's activity and earned aura
+    // linkedAddresses is empty for a single-address aura; for an aggregate aura txCount covers every address
+    // name is the target's reverse-resolved ENS name or Basename, or empty
+    struct AuraAttestation {
+        address targetAddress;
+        address[] linkedAddresses;
+        uint256 txCount;
+        string auraType;
+        string name;
+        uint256 expiry;
+        uint256 nonce;
+    }
+
+    // Aura tier definition, managed by the owner in the tier registry
+    struct Tier {
+        string id;
+        string name;
+        string description;
+        string rarity;
+        uint256 minScore; // lowest aura score (the API's weighted score, not the tx count) that earns the tier
+        string imageKey;
+    }
+
+    // Owner-set collection metadata for contractURI, plus the links added to every token's metadata:
+    // external_url is <externalURL>/aura/<target address>?chain=<chain ID> (the app's share page), and
+    // animation_url is <animationURI><token ID>; either is left out while its field is empty
+    struct CollectionMetadata {
+        string description;
+        string image;
+        string externalURL;
+        string animationURI;
+    }
+
+    bytes32 public constant ATTESTATION_TYPEHASH = keccak256(
+        "AuraAttestation(address targetAddress,address[] linkedAddresses,uint256 txCount,string auraType,string name,uint256 expiry,uint256 nonce)"
+    );
+
+    // Same fields, signed for V1 migrations: only mintMigrated accepts it, so a migration attestation can't be
+    // minted without the migrator locking the V1 token it was issued for
+    bytes32 public constant MIGRATION_TYPEHASH = keccak256(
+        "AuraMigration(address targetAddress,address[] linkedAddresses,uint256 txCount,string auraType,string name,uint256 expiry,uint256 nonce)"
+    );
 
     // Token ID counter
     uint256 private _nextTokenId;
@@ -27,68 +75,177 @@ contract BaseAuraV2 is ERC721, ERC721URIStorage, Ownable {
     // Mapping from token ID to target address (the address the NFT represents)
     mapping(uint256 => address) private _tokenToTargetAddress;
 
+    // Mapping from token ID to the addresses linked into its aggregate aura
+    mapping(uint256 => address[]) private _tokenLinkedAddresses;
+
     // Mapping from token ID to aura type
     mapping(uint256 => string) private _tokenAuras;
 
-    // Base URI for images (Supabase)
+    // Mapping from token ID to the attested tx count of its target address
+    mapping(uint256 => uint256) private _tokenTxCounts;
+
+    // Mapping from token ID to the attested name of its target address
+    mapping(uint256 => string) private _tokenNames;
+
+    // Optional image URI override; when empty, images are rendered on-chain as SVG
     string public baseImageURI;
 
-    // Mint fee configuration
-    uint256 public constant MINT_FEE = 0.00001 ether;
-    address payable public constant FEE_RECIPIENT = payable(0xB8D6CbB3C4C3594a8B6C4221530ABFC1e06b8B85);
+    // Signer whose attestations are accepted by mint and updateAura
+    address public attester;
+
+    // Mapping of attestation nonces that have already been consumed
+    mapping(uint256 => bool) private _usedNonces;
+
+    // Keepers allowed to refresh any token's aura with attested counts
+    mapping(address => bool) public updaters;
 
-    // Aura types
-    string public constant FIRE_WHALE = "fire";
-    string public constant WAVE_RIDER = "water";
-    string public constant TIDE_WATCHER = "tide";
-    string public constant ROCK_HOLDER = "rock";
+    // BaseAuraMigrator, the only caller of mintMigrated; unset until the owner points it at one
+    address public migrator;
+
+    // Mint fee configuration - fees stay in the contract until withdrawn to the recipient
+    uint256 public mintFee;
+    address payable public feeRecipient;
+
+    // When enabled, an address minting its own aura pays no fee
+    bool public freeSelfMint;
+
+    // When enabled, tokens are locked to their holder (ERC-5192) so each aura stays with its target address
+    // The lock is collection-wide: toggling it is reported by SoulboundUpdated, not per-token Locked/Unlocked
+    bool public soulbound;
+
+    // Collection metadata and token links (see CollectionMetadata)
+    CollectionMetadata private _collection;
+
+    // Tier registry: ordered tier IDs plus tier data keyed by keccak256(id)
+    string[] private _tierIds;
+    mapping(bytes32 => Tier) private _tiers;
+    mapping(bytes32 => bool) private _tierExists;
 
     // Events
     event AuraMinted(address indexed minter, address indexed targetAddress, uint256 indexed tokenId, string auraType);
     event AuraUpdated(uint256 indexed tokenId, string oldAura, string newAura);
-
-    constructor(string memory _baseImageURI) ERC721("Base Aura", "BAURA") Ownable(msg.sender) {
+    event AuraMintSkipped(address indexed targetAddress);
+    event AuraLinked(uint256 indexed tokenId, address indexed linkedAddress);
+    event AttesterUpdated(address indexed oldAttester, address indexed newAttester);
+    event UpdaterSet(address indexed updater, bool authorized);
+    event MigratorUpdated(address indexed oldMigrator, address indexed newMigrator);
+    event TierSet(string id, string name, uint256 minScore);
+    event TierRemoved(string id);
+    event MintFeeUpdated(uint256 oldFee, uint256 newFee);
+    event FeeRecipientUpdated(address indexed oldRecipient, address indexed newRecipient);
+    event FreeSelfMintUpdated(bool enabled);
+    event FeesWithdrawn(address indexed recipient, uint256 amount);
+    event SoulboundUpdated(bool enabled);
+    event RoyaltyUpdated(address indexed receiver, uint96 feeNumerator);
+    // ERC-7572: contractURI changed
+    event ContractURIUpdated();
+
+    constructor(string memory _baseImageURI, address _attester, address payable _feeRecipient, uint256 _mintFee)
+        ERC721("Base Aura", "BAURA")
+        Ownable(msg.sender)
+        EIP712("Base Aura", "1")
+    {
+        require(_attester != address(0), "Invalid attester");
+        require(_feeRecipient != address(0), "Invalid fee recipient");
         baseImageURI = _baseImageURI;
+        attester = _attester;
+        feeRecipient = _feeRecipient;
+        mintFee = _mintFee;
+
+        // Default tiers - more can be added later with setTier
+        _setTier(Tier("fire", "Fire Whale", "DeFi Power User - aura score 500+", "Legendary", 500, "fire"));
+        _setTier(Tier("water", "Wave Rider", "Active Explorer - aura score 100-499", "Rare", 100, "water"));
+        _setTier(Tier("tide", "Tide Watcher", "Getting Started - aura score 10-99", "Uncommon", 10, "tide"));
+        _setTier(Tier("rock", "Rock Holder", "Diamond Hands HODLer - aura score 1-9", "Common", 1, "rock"));
     }
 
     /**
      * @dev Mint a new Base Aura NFT for a target address
-     * @param targetAddress The Base address this NFT represents (the address that was scanned)
-     * @param auraType The type of aura (fire, water, tide, rock)
+     * @param attestation Attester-signed target address, tx count and aura type (a registered tier ID)
+     * @param signature EIP-712 signature of the attestation by the current attester
      * Anyone can mint for any address, but each target address can only be minted once
      */
-    function mint(address targetAddress, string memory auraType) public payable {
-        require(targetAddress != address(0), "Invalid target address");
-        require(!_targetAddressMinted[targetAddress], "This address already has an Aura NFT");
-        require(_isValidAura(auraType), "Invalid aura type");
-        require(msg.value == MINT_FEE, "Incorrect mint fee");
-
-        uint256 tokenId = _nextTokenId++;
-        _safeMint(targetAddress, tokenId);
-        _tokenAuras[tokenId] = auraType;
-        _targetAddressToTokenId[targetAddress] = tokenId;
-        _targetAddressMinted[targetAddress] = true;
-        _tokenToTargetAddress[tokenId] = targetAddress;
+    function mint(AuraAttestation calldata attestation, bytes calldata signature) public payable {
+        _mintOnce(attestation, signature, ATTESTATION_TYPEHASH);
+    }
 
-        (bool sent, ) = FEE_RECIPIENT.call{value: msg.value}("");
-        require(sent, "Fee transfer failed");
+    /**
+     * @dev Mint a V1 holder's aura for the migrator, which has locked the holder's V1 token (migrator only)
+     * @param attestation Attester-signed AuraMigration for the holder carrying the V1 token's aura type
+     * @param signature EIP-712 signature of the AuraMigration by the current attester
+     */
+    function mintMigrated(AuraAttestation calldata attestation, bytes calldata signature) public payable {
+        require(msg.sender == migrator, "Not the migrator");
+        _mintOnce(attestation, signature, MIGRATION_TYPEHASH);
+    }
 
-        emit AuraMinted(msg.sender, targetAddress, tokenId, auraType);
+    /**
+     * @dev Mint NFTs for several target addresses in one transaction
+     * @param attestations One attestation per target address
+     * @param signatures EIP-712 signatures of the attestations, in the same order
+     * Targets that already have an Aura NFT (including repeats within the batch) are skipped
+     * and not charged; any other invalid entry reverts the whole batch.
+     * msg.value must cover the fees of the minted targets and any excess is refunded
+     * @return minted Number of NFTs minted
+     */
+    function mintBatch(AuraAttestation[] calldata attestations, bytes[] calldata signatures)
+        public
+        payable
+        returns (uint256 minted)
+    {
+        require(attestations.length > 0, "Empty batch");
+        require(attestations.length == signatures.length, "Length mismatch");
+
+        uint256 totalFee;
+        for (uint256 i = 0; i < attestations.length; i++) {
+            address targetAddress = attestations[i].targetAddress;
+            if (_targetAddressMinted[targetAddress]) {
+                emit AuraMintSkipped(targetAddress);
+                continue;
+            }
+
+            totalFee += getMintFee(msg.sender, targetAddress);
+            _mintAura(attestations[i], signatures[i], ATTESTATION_TYPEHASH);
+            minted++;
+        }
+
+        require(msg.value >= totalFee, "Insufficient mint fee");
+        if (msg.value > totalFee) {
+            (bool success, ) = payable(msg.sender).call{value: msg.value - totalFee}("");
+            require(success, "Refund failed");
+        }
     }
 
     /**
      * @dev Update the aura type of an existing NFT
      * @param tokenId The token ID to update
-     * @param newAura The new aura type
+     * @param attestation Attester-signed aura for the token's target address
+     * @param signature EIP-712 signature of the attestation by the current attester
      */
-    function updateAura(uint256 tokenId, string memory newAura) public {
+    function updateAura(uint256 tokenId, AuraAttestation calldata attestation, bytes calldata signature) public {
         require(ownerOf(tokenId) == msg.sender, "Not the token owner");
-        require(_isValidAura(newAura), "Invalid aura type");
-
-        string memory oldAura = _tokenAuras[tokenId];
-        _tokenAuras[tokenId] = newAura;
+        _setAura(tokenId, attestation, signature);
+    }
 
-        emit AuraUpdated(tokenId, oldAura, newAura);
+    /**
+     * @dev Refresh tokens to newly attested auras without their owners (authorized updaters only)
+     * Like updateAura it sets whichever aura is attested, up or down a tier, so auras follow the attested activity
+     * @param tokenIds Tokens to refresh
+     * @param attestations Attested aura for each token's target address, in the same order
+     * @param signatures EIP-712 signatures of the attestations by the current attester
+     */
+    function refreshAuras(
+        uint256[] calldata tokenIds,
+        AuraAttestation[] calldata attestations,
+        bytes[] calldata signatures
+    ) public {
+        require(updaters[msg.sender], "Not an authorized updater");
+        require(tokenIds.length == attestations.length && tokenIds.length == signatures.length, "Length mismatch");
+
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            require(tokenIds[i] < _nextTokenId, "Token does not exist");
+            _setAura(tokenIds[i], attestations[i], signatures[i]);
+        }
     }
 
     /**
@@ -108,12 +265,53 @@ contract BaseAuraV2 is ERC721, ERC721URIStorage, Ownable {
     }
 
     /**
-     * @dev Check if a target address has been minted
+     * @dev Get the attested ENS name or Basename of a token's target address (empty if it has none)
+     */
+    function getName(uint256 tokenId) public view returns (string memory) {
+        require(tokenId < _nextTokenId, "Token does not exist");
+        return _tokenNames[tokenId];
+    }
+
+    /**
+     * @dev Get the addresses linked into a token's aggregate aura (empty for a single-address aura)
+     */
+    function getLinkedAddresses(uint256 tokenId) public view returns (address[] memory) {
+        require(tokenId < _nextTokenId, "Token does not exist");
+        return _tokenLinkedAddresses[tokenId];
+    }
+
+    /**
+     * @dev Check if a target address has been minted (or linked into an aggregate aura)
      */
     function hasMinted(address targetAddress) public view returns (bool) {
         return _targetAddressMinted[targetAddress];
     }
 
+    /**
+     * @dev Get the fee a minter pays to mint for a target address
+     */
+    function getMintFee(address minter, address targetAddress) public view returns (uint256) {
+        if (freeSelfMint && minter == targetAddress) return 0;
+        return mintFee;
+    }
+
+    /**
+     * @dev Check if an attestation nonce has already been consumed
+     */
+    function isNonceUsed(uint256 nonce) public view returns (bool) {
+        return _usedNonces[nonce];
+    }
+
+    /**
+     * @dev ERC-5192 lock status - every token follows the collection-wide soulbound switch
+     * Only mints while soulbound emit Locked; existing tokens get no Locked/Unlocked event when the
+     * switch is toggled, so read this (or follow SoulboundUpdated) rather than relying on those events
+     */
+    function locked(uint256 tokenId) public view returns (bool) {
+        require(tokenId < _nextTokenId, "Token does not exist");
+        return soulbound;
+    }
+
     /**
      * @dev Get the aura type for a token
      */
@@ -122,108 +320,374 @@ contract BaseAuraV2 is ERC721, ERC721URIStorage, Ownable {
         return _tokenAuras[tokenId];
     }
 
+    /**
+     * @dev Get a tier from the registry
+     */
+    function getTier(string memory id) public view returns (Tier memory) {
+        bytes32 key = keccak256(bytes(id));
+        require(_tierExists[key], "Tier does not exist");
+        return _tiers[key];
+    }
+
+    /**
+     * @dev Get every registered tier
+     */
+    function getTiers() public view returns (Tier[] memory tiers) {
+        tiers = new Tier[](_tierIds.length);
+        for (uint256 i = 0; i < _tierIds.length; i++) {
+            tiers[i] = _tiers[keccak256(bytes(_tierIds[i]))];
+        }
+    }
+
+    /**
+     * @dev Get the attested tx count recorded for a token
+     */
+    function getTxCount(uint256 tokenId) public view returns (uint256) {
+        require(tokenId < _nextTokenId, "Token does not exist");
+        return _tokenTxCounts[tokenId];
+    }
+
     /**
      * @dev Generate on-chain metadata with dynamic aura
      */
     function tokenURI(uint256 tokenId) public view override(ERC721, ERC721URIStorage) returns (string memory) {
         require(tokenId < _nextTokenId, "Token does not exist");
 
-        string memory auraType = _tokenAuras[tokenId];
-        string memory auraName = _getAuraName(auraType);
-        string memory auraDescription = _getAuraDescription(auraType);
-        string memory imageUrl = string(abi.encodePacked(baseImageURI, auraType, ".png"));
-        address targetAddr = _tokenToTargetAddress[tokenId];
-
-        string memory json = Base64.encode(
-            bytes(
-                string(
-                    abi.encodePacked(
-                        '{"name": "Base Aura #',
-                        tokenId.toString(),
-                        ' - ',
-                        auraName,
-                        '", "description": "',
-                        auraDescription,
-                        '", "image": "',
-                        imageUrl,
-                        '", "attributes": [{"trait_type": "Aura Type", "value": "',
-                        auraName,
-                        '"}, {"trait_type": "Tier", "value": "',
-                        _getAuraTier(auraType),
-                        '"}, {"trait_type": "Target Address", "value": "',
-                        Strings.toHexString(uint160(targetAddr), 20),
-                        '"}]}'
-                    )
-                )
+        Tier memory tier = _tiers[keccak256(bytes(_tokenAuras[tokenId]))];
+        AuraMetadata.Token memory token;
+        token.tokenId = tokenId;
+        token.auraName = bytes(tier.name).length > 0 ? tier.name : "Unknown";
+        token.description = bytes(tier.description).length > 0 ? tier.description : "Base Aura NFT";
+        token.rarity = tier.rarity;
+        token.image = _imageURI(tokenId, tier.imageKey, token.auraName);
+        token.targetAddress = _tokenToTargetAddress[tokenId];
+        token.linkedAddresses = _tokenLinkedAddresses[tokenId];
+        token.txCount = _tokenTxCounts[tokenId];
+        token.name = _tokenNames[tokenId];
+
+        token.appURL = _collection.externalURL;
+        token.animationURI = _collection.animationURI;
+        token.chainId = block.chainid;
+
+        return AuraMetadata.tokenURI(token);
+    }
+
+    /**
+     * @dev Collection metadata (ERC-7572) with the default royalty, for marketplaces
+     */
+    function contractURI() public view returns (string memory) {
+        // Without per-token royalties, any token's royalty on the fee denominator is the default rate in basis points
+        (address royaltyRecipient, uint256 royaltyBps) = royaltyInfo(0, _feeDenominator());
+        CollectionMetadata storage collection = _collection;
+
+        return AuraMetadata.contractURI(
+            AuraMetadata.Collection(
+                name(),
+                collection.description,
+                collection.image,
+                collection.externalURL,
+                royaltyRecipient,
+                royaltyBps
             )
         );
+    }
 
-        return string(abi.encodePacked("data:application/json;base64,", json));
+    /**
+     * @dev Image for a token: the base image URI override if set, otherwise the on-chain SVG
+     */
+    function _imageURI(uint256 tokenId, string memory imageKey, string memory auraName)
+        internal
+        view
+        returns (string memory)
+    {
+        if (bytes(baseImageURI).length > 0) {
+            return string(abi.encodePacked(baseImageURI, imageKey, ".png"));
+        }
+        return AuraRenderer.renderDataURI(
+            imageKey,
+            auraName,
+            _tokenToTargetAddress[tokenId],
+            tokenId,
+            _tokenTxCounts[tokenId]
+        );
     }
 
     /**
-     * @dev Set the base image URI (owner only)
+     * @dev Set the base image URI override (owner only)
+     * Set to an empty string to use the on-chain SVG renderer
      */
     function setBaseImageURI(string memory newBaseURI) public onlyOwner {
         baseImageURI = newBaseURI;
+        _refreshAllMetadata();
     }
 
     /**
-     * @dev Check if aura type is valid
+     * @dev Set the collection metadata and token links (owner only)
      */
-    function _isValidAura(string memory aura) internal pure returns (bool) {
-        bytes32 auraHash = keccak256(bytes(aura));
-        return (
-            auraHash == keccak256(bytes(FIRE_WHALE)) ||
-            auraHash == keccak256(bytes(WAVE_RIDER)) ||
-            auraHash == keccak256(bytes(TIDE_WATCHER)) ||
-            auraHash == keccak256(bytes(ROCK_HOLDER))
+    function setCollectionMetadata(CollectionMetadata calldata metadata) public onlyOwner {
+        _collection = metadata;
+        emit ContractURIUpdated();
+        _refreshAllMetadata();
+    }
+
+    /**
+     * @dev Set the ERC-2981 royalty paid on every sale, in basis points (owner only)
+     * Set feeNumerator to 0 to stop charging royalties
+     */
+    function setDefaultRoyalty(address receiver, uint96 feeNumerator) public onlyOwner {
+        _setDefaultRoyalty(receiver, feeNumerator);
+        emit RoyaltyUpdated(receiver, feeNumerator);
+        emit ContractURIUpdated();
+    }
+
+    /**
+     * @dev Set the mint fee (owner only)
+     */
+    function setMintFee(uint256 newFee) public onlyOwner {
+        emit MintFeeUpdated(mintFee, newFee);
+        mintFee = newFee;
+    }
+
+    /**
+     * @dev Set the address fees are withdrawn to (owner only)
+     */
+    function setFeeRecipient(address payable newRecipient) public onlyOwner {
+        require(newRecipient != address(0), "Invalid fee recipient");
+        emit FeeRecipientUpdated(feeRecipient, newRecipient);
+        feeRecipient = newRecipient;
+    }
+
+    /**
+     * @dev Enable or disable free mints for addresses minting their own aura (owner only)
+     */
+    function setFreeSelfMint(bool enabled) public onlyOwner {
+        freeSelfMint = enabled;
+        emit FreeSelfMintUpdated(enabled);
+    }
+
+    /**
+     * @dev Lock or unlock every token (owner only)
+     * Emits one SoulboundUpdated and an ERC-4906 refresh instead of a Locked/Unlocked event per token,
+     * which would cost gas for every token ever minted; tokens minted while soulbound emit Locked
+     */
+    function setSoulbound(bool enabled) public onlyOwner {
+        soulbound = enabled;
+        emit SoulboundUpdated(enabled);
+        _refreshAllMetadata();
+    }
+
+    /**
+     * @dev Send collected fees to the fee recipient (owner or fee recipient)
+     * Pull-based so a recipient that can't receive ETH never blocks minting
+     */
+    function withdraw() public {
+        require(msg.sender == owner() || msg.sender == feeRecipient, "Not authorized to withdraw");
+        uint256 amount = address(this).balance;
+        require(amount > 0, "Nothing to withdraw");
+
+        (bool sent, ) = feeRecipient.call{value: amount}("");
+        require(sent, "Withdraw failed");
+
+        emit FeesWithdrawn(feeRecipient, amount);
+    }
+
+    /**
+     * @dev Rotate the attestation signer (owner only)
+     */
+    function setAttester(address newAttester) public onlyOwner {
+        require(newAttester != address(0), "Invalid attester");
+        emit AttesterUpdated(attester, newAttester);
+        attester = newAttester;
+    }
+
+    /**
+     * @dev Authorize or revoke a keeper that can call refreshAuras (owner only)
+     */
+    function setUpdater(address updater, bool authorized) public onlyOwner {
+        updaters[updater] = authorized;
+        emit UpdaterSet(updater, authorized);
+    }
+
+    /**
+     * @dev Set the BaseAuraMigrator allowed to call mintMigrated, or the zero address to stop migrations (owner only)
+     */
+    function setMigrator(address newMigrator) public onlyOwner {
+        emit MigratorUpdated(migrator, newMigrator);
+        migrator = newMigrator;
+    }
+
+    /**
+     * @dev Add or update a tier in the registry (owner only)
+     */
+    function setTier(Tier calldata tier) public onlyOwner {
+        _setTier(tier);
+        _refreshAllMetadata();
+    }
+
+    /**
+     * @dev Remove a tier from the registry (owner only)
+     * Tokens already holding the tier keep it but can no longer be minted or updated into it
+     */
+    function removeTier(string calldata id) public onlyOwner {
+        bytes32 key = keccak256(bytes(id));
+        require(_tierExists[key], "Tier does not exist");
+
+        for (uint256 i = 0; i < _tierIds.length; i++) {
+            if (keccak256(bytes(_tierIds[i])) == key) {
+                _tierIds[i] = _tierIds[_tierIds.length - 1];
+                _tierIds.pop();
+                break;
+            }
+        }
+        delete _tiers[key];
+        delete _tierExists[key];
+
+        emit TierRemoved(id);
+        _refreshAllMetadata();
+    }
+
+    /**
+     * @dev Mint a target that has no NFT yet for exactly its mint fee
+     */
+    function _mintOnce(AuraAttestation calldata attestation, bytes calldata signature, bytes32 typeHash) internal {
+        require(!_targetAddressMinted[attestation.targetAddress], "This address already has an Aura NFT");
+        require(msg.value == getMintFee(msg.sender, attestation.targetAddress), "Incorrect mint fee");
+        _mintAura(attestation, signature, typeHash);
+    }
+
+    /**
+     * @dev Verify an attestation of the given type and mint its target's NFT
+     * Linked addresses count as minted too, so their activity can't back a second aura
+     * State is recorded before _safeMint, so an onERC721Received hook can't mint the same target twice
+     */
+    function _mintAura(AuraAttestation calldata attestation, bytes calldata signature, bytes32 typeHash) internal {
+        address targetAddress = attestation.targetAddress;
+        string memory auraType = attestation.auraType;
+
+        require(targetAddress != address(0), "Invalid target address");
+        require(_isValidAura(auraType), "Invalid aura type");
+        _useAttestation(attestation, signature, typeHash);
+
+        uint256 tokenId = _nextTokenId++;
+        _tokenAuras[tokenId] = auraType;
+        _tokenTxCounts[tokenId] = attestation.txCount;
+        _tokenNames[tokenId] = attestation.name;
+        _targetAddressToTokenId[targetAddress] = tokenId;
+        _targetAddressMinted[targetAddress] = true;
+        _tokenToTargetAddress[tokenId] = targetAddress;
+
+        for (uint256 i = 0; i < attestation.linkedAddresses.length; i++) {
+            address linked = attestation.linkedAddresses[i];
+            require(linked != address(0) && linked != targetAddress, "Invalid linked address");
+            require(!_targetAddressMinted[linked], "Linked address already has an Aura NFT");
+            _targetAddressToTokenId[linked] = tokenId;
+            _targetAddressMinted[linked] = true;
+            _tokenLinkedAddresses[tokenId].push(linked);
+            emit AuraLinked(tokenId, linked);
+        }
+        _safeMint(targetAddress, tokenId);
+
+        emit AuraMinted(msg.sender, targetAddress, tokenId, auraType);
+        if (soulbound) emit Locked(tokenId);
+    }
+
+    /**
+     * @dev Verify an attestation for a token's target address and store its aura, tx count and name
+     * The linked addresses are fixed at mint, so the attestation must list the same ones
+     */
+    function _setAura(uint256 tokenId, AuraAttestation calldata attestation, bytes calldata signature) internal {
+        require(attestation.targetAddress == _tokenToTargetAddress[tokenId], "Attestation target mismatch");
+        require(
+            keccak256(abi.encodePacked(attestation.linkedAddresses)) ==
+                keccak256(abi.encodePacked(_tokenLinkedAddresses[tokenId])),
+            "Linked addresses mismatch"
+        );
+
+        string memory newAura = attestation.auraType;
+        require(_isValidAura(newAura), "Invalid aura type");
+        _useAttestation(attestation, signature, ATTESTATION_TYPEHASH);
+
+        string memory oldAura = _tokenAuras[tokenId];
+        _tokenAuras[tokenId] = newAura;
+        _tokenTxCounts[tokenId] = attestation.txCount;
+        _tokenNames[tokenId] = attestation.name;
+
+        emit AuraUpdated(tokenId, oldAura, newAura);
+        emit MetadataUpdate(tokenId);
+    }
+
+    /**
+     * @dev Signal marketplaces (ERC-4906) that every token's metadata changed
+     */
+    function _refreshAllMetadata() internal {
+        if (_nextTokenId > 0) {
+            emit BatchMetadataUpdate(0, _nextTokenId - 1);
+        }
+    }
+
+    /**
+     * @dev Verify an attestation of the given type (ATTESTATION_TYPEHASH or MIGRATION_TYPEHASH) against the
+     * current attester and consume its nonce
+     */
+    function _useAttestation(AuraAttestation calldata attestation, bytes calldata signature, bytes32 typeHash) internal {
+        require(block.timestamp <= attestation.expiry, "Attestation expired");
+        require(!_usedNonces[attestation.nonce], "Attestation already used");
+
+        bytes32 structHash = keccak256(
+            abi.encode(
+                typeHash,
+                attestation.targetAddress,
+                keccak256(abi.encodePacked(attestation.linkedAddresses)),
+                attestation.txCount,
+                keccak256(bytes(attestation.auraType)),
+                keccak256(bytes(attestation.name)),
+                attestation.expiry,
+                attestation.nonce
+            )
         );
+        require(ECDSA.recover(_hashTypedDataV4(structHash), signature) == attester, "Invalid attestation signature");
+
+        _usedNonces[attestation.nonce] = true;
     }
 
     /**
-     * @dev Get human-readable aura name
+     * @dev Check if aura type is a registered tier
      */
-    function _getAuraName(string memory aura) internal pure returns (string memory) {
-        bytes32 auraHash = keccak256(bytes(aura));
-        if (auraHash == keccak256(bytes(FIRE_WHALE))) return "Fire Whale";
-        if (auraHash == keccak256(bytes(WAVE_RIDER))) return "Wave Rider";
-        if (auraHash == keccak256(bytes(TIDE_WATCHER))) return "Tide Watcher";
-        if (auraHash == keccak256(bytes(ROCK_HOLDER))) return "Rock Holder";
-        return "Unknown";
+    function _isValidAura(string memory aura) internal view returns (bool) {
+        return _tierExists[keccak256(bytes(aura))];
     }
 
     /**
-     * @dev Get aura description
+     * @dev Add a tier or overwrite an existing tier with the same ID
      */
-    function _getAuraDescription(string memory aura) internal pure returns (string memory) {
-        bytes32 auraHash = keccak256(bytes(aura));
-        if (auraHash == keccak256(bytes(FIRE_WHALE))) return "DeFi Power User - 500+ transactions on Base";
-        if (auraHash == keccak256(bytes(WAVE_RIDER))) return "Active Explorer - 100-499 transactions on Base";
-        if (auraHash == keccak256(bytes(TIDE_WATCHER))) return "Getting Started - 10-99 transactions on Base";
-        if (auraHash == keccak256(bytes(ROCK_HOLDER))) return "Diamond Hands HODLer - 1-9 transactions on Base";
-        return "Base Aura NFT";
+    function _setTier(Tier memory tier) internal {
+        require(bytes(tier.id).length > 0, "Invalid tier ID");
+        bytes32 key = keccak256(bytes(tier.id));
+
+        if (!_tierExists[key]) {
+            _tierExists[key] = true;
+            _tierIds.push(tier.id);
+        }
+        _tiers[key] = tier;
+
+        emit TierSet(tier.id, tier.name, tier.minScore);
     }
 
     /**
-     * @dev Get aura tier number
+     * @dev Block transfers of minted tokens while soulbound
      */
-    function _getAuraTier(string memory aura) internal pure returns (string memory) {
-        bytes32 auraHash = keccak256(bytes(aura));
-        if (auraHash == keccak256(bytes(FIRE_WHALE))) return "Legendary";
-        if (auraHash == keccak256(bytes(WAVE_RIDER))) return "Rare";
-        if (auraHash == keccak256(bytes(TIDE_WATCHER))) return "Uncommon";
-        if (auraHash == keccak256(bytes(ROCK_HOLDER))) return "Common";
-        return "Unknown";
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address) {
+        require(!soulbound || _ownerOf(tokenId) == address(0), "Aura is soulbound");
+        return super._update(to, tokenId, auth);
     }
 
     // Required overrides
     function supportsInterface(bytes4 interfaceId)
         public
         view
-        override(ERC721, ERC721URIStorage)
+        override(ERC721, ERC721URIStorage, ERC2981)
         returns (bool)
     {
-        return super.supportsInterface(interfaceId);
+        return interfaceId == type(IERC5192).interfaceId || super.supportsInterface(interfaceId);
     }
 }
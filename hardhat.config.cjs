@@ -1,11 +1,22 @@
-const { vars } = require("hardhat/config");
+const path = require("path");
+const { subtask, vars } = require("hardhat/config");
+const { TASK_TEST_GET_TEST_FILES } = require("hardhat/builtin-tasks/task-names");
 require("@nomicfoundation/hardhat-ethers");
+require("@nomicfoundation/hardhat-chai-matchers");
 require("@nomicfoundation/hardhat-verify");
 require("dotenv").config();
 
 // Get encrypted private key from Hardhat vars
 const PRIVATE_KEY = vars.get("PRIVATE_KEY", "");
 
+// `hardhat test` without file arguments leaves out test/e2e, which runs on its own network
+// config (hardhat.e2e.config.cjs, `npm run test:e2e`)
+subtask(TASK_TEST_GET_TEST_FILES).setAction(async (args, hre, runSuper) => {
+    const files = await runSuper(args);
+    if (args.testFiles.length > 0) return files;
+    return files.filter((file) => !path.relative(hre.config.paths.tests, file).startsWith(`e2e${path.sep}`));
+});
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
     solidity: {
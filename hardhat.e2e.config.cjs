@@ -0,0 +1,20 @@
+const config = require("./hardhat.config.cjs");
+
+// End-to-end tests (test/e2e) run on an in-process network with Base Sepolia's chain ID, so the
+// API routes under test attest for it as they would for Base Sepolia. The other tests keep 31337
+//
+//   npm run test:e2e
+
+/** @type import('hardhat/config').HardhatUserConfig */
+module.exports = {
+    ...config,
+    networks: {
+        ...config.networks,
+        hardhat: {
+            chainId: 84532,
+        },
+    },
+    paths: {
+        tests: "./test/e2e",
+    },
+};
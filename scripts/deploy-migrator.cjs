@@ -0,0 +1,55 @@
+const path = require("path");
+const hre = require("hardhat");
+const { describeDeployment, getDeployedNetwork, readManifest, verifyDeployment, writeManifest } = require("./deployments.cjs");
+
+// Deploy BaseAuraMigrator between a network's BaseAura (V1) contract and its BaseAuraV2 contract,
+// then point BaseAuraV2 at it so it can mint migrations (run by the BaseAuraV2 owner)
+// Usage: BASE_SEPOLIA_V1_CONTRACT_ADDRESS=0x... npm run deploy:migrator
+async function main() {
+    const network = await getDeployedNetwork(hre);
+    if (!network.contractAddress) {
+        throw new Error(`BaseAuraV2 is not deployed on ${network.name}: deployments/${network.key}.json is missing`);
+    }
+    if (!network.v1ContractAddress) {
+        throw new Error(`${network.envPrefix}_V1_CONTRACT_ADDRESS is not set`);
+    }
+
+    console.log(`Deploying BaseAuraMigrator to ${network.name} (chain ${network.chainId})...`);
+    console.log("V1 contract:", network.v1ContractAddress);
+    console.log("V2 contract:", network.contractAddress);
+
+    const constructorArgs = [network.v1ContractAddress, network.contractAddress];
+    const BaseAuraMigrator = await hre.ethers.getContractFactory("BaseAuraMigrator");
+    const migrator = await BaseAuraMigrator.deploy(...constructorArgs);
+    await migrator.waitForDeployment();
+
+    const migratorAddress = await migrator.getAddress();
+    console.log("\n✅ BaseAuraMigrator deployed to:", migratorAddress);
+    console.log("🔎 Explorer:", `${network.explorerUrl}/address/${migratorAddress}`);
+
+    // Migration attestations only mint through BaseAuraV2.mintMigrated, called by this migrator
+    const baseAura = await hre.ethers.getContractAt("BaseAuraV2", network.contractAddress);
+    await (await baseAura.setMigrator(migratorAddress)).wait();
+    console.log("BaseAuraV2 migrator: set");
+
+    // The app and the API find the migrator (and the V1 contract, its first constructor arg) in the manifest
+    const manifest = readManifest(network);
+    const entry = await describeDeployment(hre, "BaseAuraMigrator", migrator, { constructorArgs });
+    manifest.contracts.BaseAuraMigrator = entry;
+    const manifestFile = writeManifest(network, manifest);
+    console.log(`\n📝 Wrote ${manifestFile}`);
+
+    entry.verified = await verifyDeployment(hre, "BaseAuraMigrator", entry);
+    writeManifest(network, manifest);
+
+    console.log("\n📋 Next steps:");
+    console.log(`1. Commit ${path.relative(process.cwd(), manifestFile)} so the app shows the migration banner and the API can attest`);
+    console.log(`2. Snapshot V1 holders and commit the snapshot: npm run snapshot:v1 -- --chain ${network.key}`);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -1,52 +1,108 @@
-const fs = require("fs");
 const path = require("path");
 const hre = require("hardhat");
+const { describeDeployment, verifyDeployment, writeManifest } = require("./deployments.cjs");
 
-function upsertEnvVar(envPath, key, value) {
-    let envText = "";
-    if (fs.existsSync(envPath)) {
-        envText = fs.readFileSync(envPath, "utf8");
-    }
-
-    const line = `${key}=${value}`;
-    const regex = new RegExp(`^${key}=.*$`, "m");
-
-    if (regex.test(envText)) {
-        envText = envText.replace(regex, line);
-    } else {
-        const separator = envText.endsWith("\n") || envText.length === 0 ? "" : "\n";
-        envText = `${envText}${separator}${line}\n`;
+async function main() {
+    const { getNetwork } = await import("../config/networks.js");
+    const network = getNetwork(hre.network.name, process.env);
+    if (!network) {
+        throw new Error(`Network ${hre.network.name} is not configured in config/networks.js`);
     }
 
-    fs.writeFileSync(envPath, envText);
-}
-
-async function main() {
-    const baseImageURI = "https://esolvhnpvfoavgycrwgy.supabase.co/storage/v1/object/public/base-aura/images/";
+    // Constructor params come from the network's deploy config; the env vars override them for one-off deploys
+    const params = network.deploy;
+    const [deployer] = await hre.ethers.getSigners();
+    // Optional image override - leave empty to render the artwork on-chain as SVG
+    const baseImageURI = process.env.BASE_IMAGE_URI ?? params.baseImageURI;
+    // Attestation signer; defaults to the deployer and can be rotated later with setAttester
+    const attester = process.env.ATTESTER_ADDRESS || deployer.address;
+    // Mint fees accrue in the contract and are pulled to this address with withdraw()
+    const feeRecipient = process.env.FEE_RECIPIENT || params.feeRecipient;
+    const mintFee = hre.ethers.parseEther(process.env.MINT_FEE || params.mintFee);
+    const soulbound = process.env.SOULBOUND ? process.env.SOULBOUND === "true" : params.soulbound;
+    // ERC-2981 royalty in basis points, paid to the fee recipient
+    const royaltyBps = Number(process.env.ROYALTY_BPS ?? params.royaltyBps);
 
-    console.log("Deploying BaseAuraV2 contract...");
-    console.log("Base Image URI:", baseImageURI);
+    console.log(`Deploying BaseAuraV2 contract to ${network.name} (chain ${network.chainId})...`);
+    console.log("Base Image URI:", baseImageURI || "(on-chain SVG)");
+    console.log("Attester:", attester);
+    console.log("Fee recipient:", feeRecipient);
+    console.log("Mint fee:", hre.ethers.formatEther(mintFee), "ETH");
+    console.log("Royalty:", `${royaltyBps / 100}%`);
 
-    const BaseAuraV2 = await hre.ethers.getContractFactory("BaseAuraV2");
+    const AuraMetadata = await hre.ethers.getContractFactory("AuraMetadata");
+    const metadata = await AuraMetadata.deploy();
+    await metadata.waitForDeployment();
+    const metadataAddress = await metadata.getAddress();
+    console.log("AuraMetadata library deployed to:", metadataAddress);
 
-    // Deploy with explicit gas limit to avoid estimation issues
-    const baseAura = await BaseAuraV2.deploy(baseImageURI, {
-        gasLimit: 3000000n,
-    });
+    const AuraRenderer = await hre.ethers.getContractFactory("AuraRenderer");
+    const renderer = await AuraRenderer.deploy();
+    await renderer.waitForDeployment();
+    const rendererAddress = await renderer.getAddress();
+    console.log("AuraRenderer library deployed to:", rendererAddress);
 
+    const libraries = { AuraMetadata: metadataAddress, AuraRenderer: rendererAddress };
+    const BaseAuraV2 = await hre.ethers.getContractFactory("BaseAuraV2", { libraries });
+    const constructorArgs = [baseImageURI, attester, feeRecipient, mintFee];
+    // DEPLOY_GAS_LIMIT skips estimation for RPCs that estimate large deployments badly
+    const overrides = process.env.DEPLOY_GAS_LIMIT ? { gasLimit: BigInt(process.env.DEPLOY_GAS_LIMIT) } : {};
+    const baseAura = await BaseAuraV2.deploy(...constructorArgs, overrides);
     await baseAura.waitForDeployment();
 
     const contractAddress = await baseAura.getAddress();
     console.log("\n✅ BaseAuraV2 deployed to:", contractAddress);
 
-    const envPath = path.join(__dirname, "..", ".env");
-    upsertEnvVar(envPath, "CONTRACT_ADDRESS", contractAddress);
-    upsertEnvVar(envPath, "VITE_CONTRACT_ADDRESS", contractAddress);
-    console.log(`\n📝 Updated ${envPath} with CONTRACT_ADDRESS and VITE_CONTRACT_ADDRESS`);
+    // Marketplace metadata: contractURI, token external_url/animation_url and royalties; all can be changed later
+    await (await baseAura.setCollectionMetadata(params.collection)).wait();
+    console.log("Collection metadata: set (app links to", params.collection.externalURL + ")");
+    if (royaltyBps > 0) {
+        await (await baseAura.setDefaultRoyalty(feeRecipient, royaltyBps)).wait();
+        console.log("Royalty recipient:", feeRecipient);
+    }
+
+    // Lock every aura to its target address (ERC-5192); can be switched later with setSoulbound
+    if (soulbound) {
+        await (await baseAura.setSoulbound(true)).wait();
+        console.log("Soulbound: enabled");
+    }
+
+    // Keeper wallet for /api/refresh and npm run refresh:auras
+    if (process.env.UPDATER_ADDRESS) {
+        await (await baseAura.setUpdater(process.env.UPDATER_ADDRESS, true)).wait();
+        console.log("Authorized updater:", process.env.UPDATER_ADDRESS);
+    }
+
+    console.log("🔎 Explorer:", `${network.explorerUrl}/address/${contractAddress}`);
+
+    // A new V2 contract starts a new manifest; a migrator deployed for the old one no longer applies
+    const manifest = {
+        network: network.key,
+        chainId: network.chainId,
+        deployedAt: new Date().toISOString(),
+        contracts: {
+            AuraMetadata: await describeDeployment(hre, "AuraMetadata", metadata),
+            AuraRenderer: await describeDeployment(hre, "AuraRenderer", renderer),
+            BaseAuraV2: await describeDeployment(hre, "BaseAuraV2", baseAura, { constructorArgs, libraries }),
+        },
+    };
+    const manifestFile = writeManifest(network, manifest);
+    console.log(`\n📝 Wrote ${manifestFile}`);
+
+    // The aura indexer (api/_lib/indexer.js) starts scanning events from the deploy block in the manifest
+    console.log("Deploy block:", manifest.contracts.BaseAuraV2.blockNumber);
+
+    for (const [name, entry] of Object.entries(manifest.contracts)) {
+        entry.verified = await verifyDeployment(hre, name, entry);
+    }
+    writeManifest(network, manifest);
 
     console.log("\n📋 Next steps:");
-    console.log("1. Restart your dev server so Vite picks up the new VITE_CONTRACT_ADDRESS");
-    console.log("2. Verify contract: npx hardhat verify --network baseMainnet", contractAddress, `"${baseImageURI}"`);
+    console.log(`1. Commit ${path.relative(process.cwd(), manifestFile)} so the app and the API pick up the new contract`);
+    console.log("2. Set ATTESTER_PRIVATE_KEY (for", attester + ") in the API environment");
+    if (Object.values(manifest.contracts).some((entry) => !entry.verified)) {
+        console.log(`3. Verify the rest once BASESCAN_API_KEY is set: npx hardhat --config hardhat.config.cjs run scripts/verify-deployment.cjs --network ${hre.network.name}`);
+    }
 }
 
 main()
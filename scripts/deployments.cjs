@@ -0,0 +1,80 @@
+const fs = require("fs");
+const path = require("path");
+
+// Deployment manifests: deployments/<network>.json holds every deployed contract's address,
+// deploy transaction, block, constructor args, linked libraries and ABI, and whether it was verified.
+// The frontend (src/lib/deployments.js) and the API (api/_lib/deployments.js) read the contract ABIs and addresses from them
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+const VERIFY_CONFIRMATIONS = 5;
+
+function manifestPath(networkKey) {
+    return path.join(DEPLOYMENTS_DIR, `${networkKey}.json`);
+}
+
+// The network's manifest, or an empty one
+function readManifest(network) {
+    const file = manifestPath(network.key);
+    if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, "utf8"));
+    return { network: network.key, chainId: network.chainId, contracts: {} };
+}
+
+function writeManifest(network, manifest) {
+    fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+    fs.writeFileSync(manifestPath(network.key), `${JSON.stringify(manifest, null, 2)}\n`);
+    return manifestPath(network.key);
+}
+
+// The Hardhat network's entry in config/networks.js with the contracts from its manifest, resolved like the
+// app and API do (<PREFIX>_CONTRACT_ADDRESS and friends override it). Throws for networks that aren't configured
+async function getDeployedNetwork(hre) {
+    const { findNetwork, getNetwork } = await import("../config/networks.js");
+    const network = findNetwork(hre.network.name);
+    if (!network) {
+        throw new Error(`Network ${hre.network.name} is not configured in config/networks.js`);
+    }
+    return getNetwork(network.key, process.env, "", readManifest(network));
+}
+
+// Manifest entry for a deployed ethers contract
+async function describeDeployment(hre, name, contract, { constructorArgs = [], libraries } = {}) {
+    const receipt = await contract.deploymentTransaction().wait();
+    const { abi } = await hre.artifacts.readArtifact(name);
+
+    return {
+        address: await contract.getAddress(),
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        deployer: receipt.from,
+        constructorArgs: constructorArgs.map((arg) => (typeof arg === "bigint" ? arg.toString() : arg)),
+        ...(libraries ? { libraries } : {}),
+        abi,
+        verified: false,
+    };
+}
+
+// Verify a manifest entry on the network's explorer when BASESCAN_API_KEY is set
+// Returns whether the contract is verified; failures are logged, not thrown, so the deploy still completes
+async function verifyDeployment(hre, name, entry) {
+    if (!process.env.BASESCAN_API_KEY) {
+        console.log(`Skipping ${name} verification: BASESCAN_API_KEY is not set`);
+        return false;
+    }
+
+    try {
+        // The explorer has to have indexed the bytecode before it can match it
+        await hre.ethers.provider.waitForTransaction(entry.transactionHash, VERIFY_CONFIRMATIONS);
+        await hre.run("verify:verify", {
+            address: entry.address,
+            constructorArguments: entry.constructorArgs,
+            libraries: entry.libraries,
+        });
+        return true;
+    } catch (error) {
+        if (/already verified/i.test(error.message)) return true;
+        console.error(`${name} verification failed:`, error.message);
+        return false;
+    }
+}
+
+module.exports = { readManifest, writeManifest, getDeployedNetwork, describeDeployment, verifyDeployment };
@@ -0,0 +1,38 @@
+const hre = require("hardhat");
+const { getDeployedNetwork } = require("./deployments.cjs");
+
+// Add or update a tier in the BaseAuraV2 tier registry of the network's deployment
+// (deployments/<network>.json, or <PREFIX>_CONTRACT_ADDRESS, e.g. BASE_SEPOLIA_CONTRACT_ADDRESS)
+// Usage: TIER='{"id":"storm","name":"Storm Leviathan","description":"...","rarity":"Mythic","minScore":2000,"imageKey":"storm"}' \
+//        npx hardhat --config hardhat.config.cjs run scripts/set-tier.cjs --network baseSepolia
+async function main() {
+    if (!process.env.TIER) throw new Error("TIER is not set");
+    const network = await getDeployedNetwork(hre);
+    const { contractAddress } = network;
+    if (!contractAddress) {
+        throw new Error(`BaseAuraV2 is not deployed on ${network.name}: no deployments/${network.key}.json or ${network.envPrefix}_CONTRACT_ADDRESS`);
+    }
+
+    const tier = JSON.parse(process.env.TIER);
+    const baseAura = await hre.ethers.getContractAt("BaseAuraV2", contractAddress);
+
+    console.log(`Setting tier "${tier.id}" (${tier.name}, score ${tier.minScore}+) on ${contractAddress}...`);
+    const tx = await baseAura.setTier({
+        id: tier.id,
+        name: tier.name,
+        description: tier.description || "",
+        rarity: tier.rarity || "",
+        minScore: tier.minScore,
+        imageKey: tier.imageKey || tier.id,
+    });
+    await tx.wait();
+
+    console.log("✅ Tier set in tx", tx.hash);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
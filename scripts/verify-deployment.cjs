@@ -0,0 +1,33 @@
+const hre = require("hardhat");
+const { readManifest, verifyDeployment, writeManifest } = require("./deployments.cjs");
+
+// Verify every contract in deployments/<network>.json that isn't verified yet
+// Usage: npx hardhat --config hardhat.config.cjs run scripts/verify-deployment.cjs --network baseSepolia
+async function main() {
+    const { getNetwork } = await import("../config/networks.js");
+    const network = getNetwork(hre.network.name, process.env);
+    if (!network) {
+        throw new Error(`Network ${hre.network.name} is not configured in config/networks.js`);
+    }
+
+    const manifest = readManifest(network);
+    const pending = Object.entries(manifest.contracts).filter(([, entry]) => !entry.verified);
+    if (pending.length === 0) {
+        console.log(`Nothing to verify on ${network.name}`);
+        return;
+    }
+
+    for (const [name, entry] of pending) {
+        console.log(`Verifying ${name} at ${entry.address}...`);
+        entry.verified = await verifyDeployment(hre, name, entry);
+        console.log(entry.verified ? `✅ ${name} verified` : `❌ ${name} not verified`);
+    }
+    writeManifest(network, manifest);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error(error);
+        process.exit(1);
+    });
@@ -1,43 +1,100 @@
 import { useState, useEffect } from 'react';
 import { ConnectWallet, Wallet, WalletDropdown, WalletDropdownDisconnect } from '@coinbase/onchainkit/wallet';
-import { useAccount, useWriteContract, useWaitForTransactionReceipt, useReadContract } from 'wagmi';
-import { parseAbi, parseEther } from 'viem';
+import { useAccount, useWriteContract, useWaitForTransactionReceipt, useReadContract, usePublicClient, useSignMessage, useSwitchChain } from 'wagmi';
+import { formatEther } from 'viem';
 import { sdk } from '@farcaster/miniapp-sdk';
-
-// NFT Images - Supabase Storage
-const AURA_IMAGES = {
-    fire: 'https://esolvhnpvfoavgycrwgy.supabase.co/storage/v1/object/public/base-aura/images/fire.png',
-    water: 'https://esolvhnpvfoavgycrwgy.supabase.co/storage/v1/object/public/base-aura/images/water.png',
-    tide: 'https://esolvhnpvfoavgycrwgy.supabase.co/storage/v1/object/public/base-aura/images/tide.png',
-    rock: 'https://esolvhnpvfoavgycrwgy.supabase.co/storage/v1/object/public/base-aura/images/rock.png',
-    collection: 'https://esolvhnpvfoavgycrwgy.supabase.co/storage/v1/object/public/base-aura/images/collection.png',
+import { renderAuraDataUri } from './lib/auraRenderer';
+import { getAuraEmoji, getTierRank } from './lib/tiers';
+import { getLinkMessage } from './lib/links';
+import { getAttestation, getExistingToken, scanAura } from './lib/scan';
+import { getNetworks, isDeployed as hasDeployment } from '../config/networks';
+import { MANIFESTS } from './lib/deployments';
+import Leaderboard from './components/Leaderboard';
+import AuraTimeline from './components/AuraTimeline';
+import Gallery from './components/Gallery';
+import TokenDetail from './components/TokenDetail';
+import AddressIdentity from './components/AddressIdentity';
+import MigrationBanner from './components/MigrationBanner';
+
+// Collection artwork shown before a scan - individual auras are rendered as SVG
+const COLLECTION_IMAGE = '/collection.png';
+
+
+// Labels for the /api/score breakdown, in display order
+const SCORE_SIGNALS = {
+    transactions: 'Transactions',
+    walletAgeDays: 'Wallet age (days)',
+    activeDays: 'Active days',
+    uniqueContracts: 'Contracts used',
+    gasSpentEth: 'Gas spent (ETH)',
+    tokenTransfers: 'Token transfers',
+    nftTransfers: 'NFT transfers',
 };
 
-const AURA_CONFIG = {
-    fire: { name: 'Fire Whale', emoji: '🔥', tagline: 'DeFi Power User', minTx: 500, tier: 4 },
-    water: { name: 'Wave Rider', emoji: '💧', tagline: 'Active Explorer', minTx: 100, tier: 3 },
-    tide: { name: 'Tide Watcher', emoji: '🌊', tagline: 'Getting Started', minTx: 10, tier: 2 },
-    rock: { name: 'Rock Holder', emoji: '🪨', tagline: 'Diamond Hands HODLer', minTx: 1, tier: 1 },
+// Supported networks (default first) with their deployment manifests and VITE_<NETWORK>_CONTRACT_ADDRESS etc. overrides
+const NETWORKS = getNetworks(import.meta.env, 'VITE_', MANIFESTS);
+
+// Share path for a scanned address - /aura/:address serves per-address embed tags (api/aura/[address].js)
+const getSharePath = (addr, network) => `/aura/${addr}?chain=${network.key}`;
+
+// Gallery path, optionally opening one token - token IDs are per network, so the chain is always included
+const getGalleryPath = (tokenId, network) => `/gallery${tokenId ? `/${tokenId}` : ''}?chain=${network.key}`;
+
+// Deep links pick the network from ?chain=; /aura/:address scans the address on load,
+// /gallery and /gallery/:tokenId open the gallery (on load and on back/forward navigation)
+const getDeepLink = () => {
+    const aura = window.location.pathname.match(/^\/aura\/(0x[a-fA-F0-9]{40})\/?$/);
+    const gallery = window.location.pathname.match(/^\/gallery(?:\/(\d+))?\/?$/);
+    if (!aura && !gallery) return null;
+    const chain = new URLSearchParams(window.location.search).get('chain');
+    const network = NETWORKS.find((n) => n.key === chain || String(n.chainId) === chain);
+    return aura
+        ? { view: 'scan', address: aura[1], networkKey: network?.key }
+        : { view: 'gallery', tokenId: gallery[1] || null, networkKey: network?.key };
 };
-
-// Contract address - V2 with target address tracking (Base Mainnet)
-const CONTRACT_ADDRESS = import.meta.env.VITE_CONTRACT_ADDRESS || '0x810BFa0A3aEa3aF7187a853A75f9827bD213f5b4';
-const MINT_FEE = parseEther('0.00001');
-const CONTRACT_ABI = parseAbi([
-    'function mint(address targetAddress, string auraType) public',
-    'function updateAura(uint256 tokenId, string newAura) public',
-    'function getTokenByTargetAddress(address targetAddress) public view returns (uint256)',
-    'function hasMinted(address targetAddress) public view returns (bool)',
-    'function getAura(uint256 tokenId) public view returns (string)',
-]);
+const DEEP_LINK = getDeepLink();
 
 function App() {
-    const { address, isConnected } = useAccount();
-    const [targetAddress, setTargetAddress] = useState('');
+    const { address, addresses: connectedAddresses, isConnected, chainId: walletChainId } = useAccount();
+    const [networkKey, setNetworkKey] = useState(DEEP_LINK?.networkKey || NETWORKS[0].key);
+    const network = NETWORKS.find((n) => n.key === networkKey);
+    const isDeployed = hasDeployment(network); // no manifest means no contract to talk to yet
+    const publicClient = usePublicClient({ chainId: network.chainId });
+    const { switchChainAsync } = useSwitchChain();
+    const { signMessageAsync } = useSignMessage();
+    const [targetAddress, setTargetAddress] = useState(DEEP_LINK?.address || '');
+    const [isScanPending, setIsScanPending] = useState(Boolean(DEEP_LINK?.address));
+    const [linkedAddresses, setLinkedAddresses] = useState([]); // extra wallets scanned into an aggregate aura
+    const [linkInput, setLinkInput] = useState('');
+    const [farcasterFid, setFarcasterFid] = useState(null); // set once linked addresses come from Farcaster
+    const [isMiniApp, setIsMiniApp] = useState(false);
     const [scanResult, setScanResult] = useState(null);
     const [isLoading, setIsLoading] = useState(false);
     const [error, setError] = useState('');
-    const [existingNft, setExistingNft] = useState(null); // { tokenId, currentAura }
+    const [existingNft, setExistingNft] = useState(null); // { tokenId, currentAura, txCount, owner, isLocked, image }
+    const [isAttesting, setIsAttesting] = useState(false);
+    const [view, setView] = useState(DEEP_LINK?.view || 'scan'); // 'scan' | 'leaderboard' | 'gallery'
+    const [galleryToken, setGalleryToken] = useState(DEEP_LINK?.tokenId || null); // token open in the gallery
+
+    // Tier registry from the contract
+    const { data: tiers, isError: isTiersError } = useReadContract({
+        address: network.contractAddress,
+        abi: network.contractAbi,
+        chainId: network.chainId,
+        functionName: 'getTiers',
+        query: { enabled: isDeployed },
+    });
+    const getTierById = (id) => tiers?.find((tier) => tier.id === id);
+
+    // Live mint fee - owner-configurable, and free for self-mints when enabled
+    const { data: mintFee } = useReadContract({
+        address: network.contractAddress,
+        abi: network.contractAbi,
+        chainId: network.chainId,
+        functionName: 'getMintFee',
+        args: [address, scanResult?.address],
+        query: { enabled: Boolean(isDeployed && address && scanResult) },
+    });
 
     // Write contract hooks - Mint
     const { data: mintHash, writeContract: writeMint, isPending: isMinting, reset: resetMint } = useWriteContract();
@@ -57,6 +114,7 @@ function App() {
             try {
                 await sdk.actions.ready({ disableNativeGestures: false });
                 console.log('MiniApp SDK ready called successfully');
+                setIsMiniApp(await sdk.isInMiniApp());
             } catch (error) {
                 console.log('Not running in MiniApp context:', error);
             }
@@ -71,66 +129,105 @@ function App() {
         }
     }, [isConnected, address, targetAddress]);
 
-    // Calculate aura type from transaction count
-    const getAuraType = (txCount) => {
-        if (txCount >= 500) return 'fire';
-        if (txCount >= 100) return 'water';
-        if (txCount >= 10) return 'tide';
-        if (txCount >= 1) return 'rock';
-        return null;
-    };
+    // Scan a deep-linked or just-migrated address once the tier registry has loaded
+    useEffect(() => {
+        if (!isScanPending || !tiers) return;
+        setIsScanPending(false);
+        handleScan();
+    }, [isScanPending, tiers]);
 
-    // Fetch transaction count from Basescan API
-    const fetchTxCount = async (addr) => {
-        try {
-            const response = await fetch(`/api/txcount?address=${addr}`);
-            if (!response.ok) throw new Error('Failed to fetch transaction count');
-            const data = await response.json();
-            return data.txCount || 0;
-        } catch (err) {
-            console.error('Error fetching tx count:', err);
-            try {
-                const baseUrl = 'https://api-sepolia.basescan.org/api';
-                const response = await fetch(
-                    `${baseUrl}?module=account&action=txlist&address=${addr}&startblock=0&endblock=99999999&page=1&offset=1&sort=desc`
-                );
-                const data = await response.json();
-                if (data.status === '1') {
-                    const countResponse = await fetch(
-                        `${baseUrl}?module=proxy&action=eth_getTransactionCount&address=${addr}&tag=latest`
-                    );
-                    const countData = await countResponse.json();
-                    return parseInt(countData.result, 16) || 0;
-                }
-                return 0;
-            } catch (fallbackErr) {
-                console.error('Fallback also failed:', fallbackErr);
-                return 0;
-            }
+    // Follow back/forward navigation between gallery pages
+    useEffect(() => {
+        const handlePopState = () => {
+            const link = getDeepLink();
+            setView(link?.view === 'gallery' ? 'gallery' : 'scan');
+            setGalleryToken(link?.tokenId || null);
+        };
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, []);
+
+    // Link signatures for linked addresses the wallet holds; the rest must share the target's Farcaster account
+    const signLinks = async (target, linked) => {
+        const held = new Set((connectedAddresses || []).map((a) => a.toLowerCase()));
+        const signatures = [];
+        for (const linkedAddress of linked) {
+            signatures.push(held.has(linkedAddress.toLowerCase())
+                ? await signMessageAsync({ account: linkedAddress, message: getLinkMessage(target, linkedAddress, network.chainId) })
+                : '');
         }
+        return signatures;
+    };
+
+    // Fetch a signed aura attestation with the wallet's link signatures, see getAttestation in ./lib/scan.js
+    const fetchAttestation = async (addr, linked = [], { v1TokenId } = {}) => getAttestation({
+        network,
+        address: addr,
+        linked,
+        signatures: linked.length > 0 ? await signLinks(addr, linked) : [],
+        fid: farcasterFid,
+        v1TokenId,
+    });
+
+    // An aura token from getExistingToken in ./lib/scan.js, with its artwork rendered for the card
+    const withArtwork = (existing) => {
+        if (!existing) return null;
+
+        const tier = getTierById(existing.currentAura);
+        return {
+            ...existing,
+            txCount: Number(existing.txCount),
+            image: renderAuraDataUri({
+                imageKey: tier?.imageKey || existing.currentAura,
+                auraName: tier?.name || 'Unknown',
+                targetAddress: existing.targetAddress,
+                tokenId: existing.tokenId,
+                txCount: existing.txCount,
+            }),
+        };
     };
 
     // Check if address already has NFT
-    const checkExistingNft = async (addr) => {
+    const checkExistingNft = async (addr) => withArtwork(await getExistingToken({ network, publicClient, address: addr }));
+
+    // Refresh the existing NFT once a mint or upgrade lands
+    useEffect(() => {
+        if (!scanResult || !(isMintConfirmed || isUpdateConfirmed)) return;
+        checkExistingNft(scanResult.address)
+            .then(setExistingNft)
+            .catch((err) => console.error('Error refreshing NFT:', err));
+    }, [isMintConfirmed, isUpdateConfirmed]);
+
+    // ENS name / Basename lookups from /api/name - { address, name, avatar }, or null if there's no match
+    const fetchName = async (query) => {
         try {
-            // We'll do this check manually after deploying V2
-            // For now, return null (no existing NFT)
-            return null;
+            const response = await fetch(`/api/name?${query}&chain=${network.key}`);
+            if (response.status === 404) return null;
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+            return data;
         } catch (err) {
-            console.error('Error checking existing NFT:', err);
+            console.error('Error resolving name:', err);
             return null;
         }
     };
 
-    // Scan address for aura
+    // Scan address (or ENS name / Basename) for aura
     const handleScan = async () => {
-        if (!targetAddress) {
-            setError('Please enter a Base address');
+        const input = targetAddress.trim();
+        if (!input) {
+            setError('Please enter a Base address or name');
             return;
         }
 
-        if (!/^0x[a-fA-F0-9]{40}$/.test(targetAddress)) {
-            setError('Invalid Ethereum address format');
+        const isAddressInput = /^0x[a-fA-F0-9]{40}$/.test(input);
+        if (!isAddressInput && !input.includes('.')) {
+            setError('Enter a 0x address or a name like jesse.base.eth');
+            return;
+        }
+
+        if (!tiers) {
+            setError(isTiersError ? 'Failed to load aura tiers. Please try again.' : 'Loading aura tiers...');
             return;
         }
 
@@ -142,67 +239,238 @@ function App() {
         resetUpdate?.();
 
         try {
-            const txCount = await fetchTxCount(targetAddress);
-            const auraType = getAuraType(txCount);
-
-            if (!auraType) {
-                setError('No transactions found for this address on Base Sepolia');
-                setIsLoading(false);
+            // Forward-resolve names to the address to scan
+            const scanAddress = isAddressInput ? input : (await fetchName(`name=${encodeURIComponent(input)}`))?.address;
+            if (!scanAddress) {
+                setError(`${input} doesn't resolve to an address`);
                 return;
             }
 
-            const auraInfo = AURA_CONFIG[auraType];
+            // Find the address's NFT, score it over the addresses it links and pick its tier, see scanAura in ./lib/scan.js
+            // Reverse-resolved names and avatars for every scanned address are looked up alongside
+            const scan = await scanAura({
+                network,
+                publicClient,
+                address: scanAddress,
+                linked: linkedAddresses,
+                tiers,
+                identify: async (addrs) => {
+                    const names = await Promise.all(addrs.map((addr) => fetchName(`address=${addr}`)));
+                    return Object.fromEntries(names.filter(Boolean).map((n) => [n.address.toLowerCase(), n]));
+                },
+            });
+            const { linked, identities, txCount, score, scoreBreakdown, addresses, tier } = scan;
+            const existing = withArtwork(scan.existing);
+
+            if (!tier) {
+                setError(`No transactions found for this address on ${network.name}`);
+                return;
+            }
 
-            // Check if this address already has an NFT
-            const existing = await checkExistingNft(targetAddress);
             setExistingNft(existing);
 
             setScanResult({
-                address: targetAddress,
+                address: scanAddress,
+                identities,
+                linkedAddresses: linked,
+                addresses,
                 txCount,
-                auraType,
-                auraName: auraInfo.name,
-                auraEmoji: auraInfo.emoji,
-                tagline: auraInfo.tagline,
-                image: AURA_IMAGES[auraType],
-                tier: auraInfo.tier,
+                score,
+                scoreBreakdown,
+                auraType: tier.id,
+                auraName: tier.name,
+                auraEmoji: getAuraEmoji(tier.imageKey),
+                tagline: tier.description,
+                rarity: tier.rarity,
+                image: renderAuraDataUri({
+                    imageKey: tier.imageKey,
+                    auraName: tier.name,
+                    targetAddress: scanAddress,
+                    tokenId: existing?.tokenId,
+                    txCount,
+                }),
             });
+
+            // Keep the URL shareable as /aura/:address
+            window.history.replaceState(null, '', getSharePath(scanAddress, network));
         } catch (err) {
-            setError('Failed to scan address. Please try again.');
+            setError(err.rateLimited ? err.message : 'Failed to scan address. Please try again.');
             console.error(err);
         } finally {
             setIsLoading(false);
         }
     };
 
+    // Add linked wallets for an aggregate aura, skipping the target and duplicates
+    const addLinkedAddresses = (candidates) => {
+        const seen = new Set([targetAddress, ...linkedAddresses].map((a) => a.toLowerCase()));
+        const added = [];
+        for (const candidate of candidates) {
+            if (!/^0x[a-fA-F0-9]{40}$/.test(candidate) || seen.has(candidate.toLowerCase())) continue;
+            seen.add(candidate.toLowerCase());
+            added.push(candidate);
+        }
+        setLinkedAddresses((current) => [...current, ...added]);
+        return added;
+    };
+
+    const handleAddLink = () => {
+        if (!/^0x[a-fA-F0-9]{40}$/.test(linkInput.trim())) {
+            setError('Invalid Ethereum address format');
+            return;
+        }
+        addLinkedAddresses([linkInput.trim()]);
+        setLinkInput('');
+        setError('');
+    };
+
+    // Link the Farcaster account's verified addresses - the attest API checks them against the same fid
+    const handleAddFarcaster = async () => {
+        try {
+            const { user } = await sdk.context;
+            const response = await fetch(`/api/farcaster/${user.fid}`);
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
+
+            setFarcasterFid(user.fid);
+            if (addLinkedAddresses(data.addresses).length === 0) {
+                setError('No other verified addresses on your Farcaster account');
+            }
+        } catch (err) {
+            setError('Failed to load your Farcaster addresses. Please try again.');
+            console.error(err);
+        }
+    };
+
+    // Share the scan as a cast - the embed URL renders the share card (api/card.js)
+    // Outside a Farcaster client, open the web composer instead
+    const handleShare = async () => {
+        if (!scanResult) return;
+
+        const text = `${scanResult.auraEmoji} ${scanResult.auraName} aura on ${network.name} - ` +
+            `${scanResult.txCount} txs, aura score ${scanResult.score}. What's yours?`;
+        const embed = `${window.location.origin}${getSharePath(scanResult.address, network)}`;
+
+        try {
+            if (await sdk.isInMiniApp()) {
+                await sdk.actions.composeCast({ text, embeds: [embed] });
+                return;
+            }
+        } catch (err) {
+            console.error('Error composing cast:', err);
+        }
+        window.open(
+            `https://farcaster.xyz/~/compose?text=${encodeURIComponent(text)}&embeds[]=${encodeURIComponent(embed)}`,
+            '_blank',
+            'noopener,noreferrer'
+        );
+    };
+
+    // Switch the scanned network, keeping the wallet on the same chain
+    const handleNetworkChange = async (key) => {
+        if (key === networkKey) return;
+
+        setNetworkKey(key);
+        setScanResult(null);
+        setExistingNft(null);
+        setError('');
+        resetMint?.();
+        resetUpdate?.();
+
+        const next = NETWORKS.find((n) => n.key === key);
+        if (view === 'gallery') {
+            setGalleryToken(null);
+            window.history.replaceState(null, '', getGalleryPath(null, next));
+        }
+        if (isConnected && walletChainId !== next.chainId) {
+            try {
+                await switchChainAsync({ chainId: next.chainId });
+            } catch (err) {
+                console.error('Error switching chain:', err);
+            }
+        }
+    };
+
+    // Switch views; the gallery and its tokens get their own history entries so they can be shared
+    const showView = (next, tokenId = null) => {
+        setView(next);
+        setGalleryToken(tokenId);
+        if (next === 'gallery') {
+            window.history.pushState(null, '', getGalleryPath(tokenId, network));
+        } else if (window.location.pathname.startsWith('/gallery')) {
+            window.history.pushState(null, '', '/');
+        }
+    };
+
+    // Make sure the wallet is on the selected network before writing
+    const ensureWalletChain = async () => {
+        if (walletChainId !== network.chainId) {
+            await switchChainAsync({ chainId: network.chainId });
+        }
+    };
+
     // Mint new NFT
-    const handleMint = () => {
-        if (!scanResult || !isConnected) return;
-
-        writeMint({
-            address: CONTRACT_ADDRESS,
-            abi: CONTRACT_ABI,
-            functionName: 'mint',
-            args: [scanResult.address, scanResult.auraType],
-            value: MINT_FEE,
-        });
+    const handleMint = async () => {
+        if (!scanResult || !isConnected || mintFee === undefined) return;
+
+        setIsAttesting(true);
+        setError('');
+        try {
+            const { attestation, signature } = await fetchAttestation(scanResult.address, scanResult.linkedAddresses);
+            await ensureWalletChain();
+            writeMint({
+                address: network.contractAddress,
+                abi: network.contractAbi,
+                chainId: network.chainId,
+                functionName: 'mint',
+                args: [attestation, signature],
+                value: mintFee,
+            });
+        } catch (err) {
+            setError(err.message ? `Failed to verify your aura: ${err.message}` : 'Failed to verify your aura. Please try again.');
+            console.error(err);
+        } finally {
+            setIsAttesting(false);
+        }
     };
 
     // Upgrade existing NFT
-    const handleUpgrade = () => {
+    const handleUpgrade = async () => {
         if (!scanResult || !isConnected || !existingNft) return;
 
-        writeUpdate({
-            address: CONTRACT_ADDRESS,
-            abi: CONTRACT_ABI,
-            functionName: 'updateAura',
-            args: [existingNft.tokenId, scanResult.auraType],
-        });
+        setIsAttesting(true);
+        setError('');
+        try {
+            const { attestation, signature } = await fetchAttestation(scanResult.address);
+            await ensureWalletChain();
+            writeUpdate({
+                address: network.contractAddress,
+                abi: network.contractAbi,
+                chainId: network.chainId,
+                functionName: 'updateAura',
+                args: [existingNft.tokenId, attestation, signature],
+            });
+        } catch (err) {
+            setError(err.message ? `Failed to verify your aura: ${err.message}` : 'Failed to verify your aura. Please try again.');
+            console.error(err);
+        } finally {
+            setIsAttesting(false);
+        }
     };
 
+    // Only the holder can upgrade (updateAura checks ownerOf)
+    const isNftOwner = existingNft && address && existingNft.owner.toLowerCase() === address.toLowerCase();
+
     // Check if upgrade is available (new tier > current tier)
     const canUpgrade = existingNft && scanResult &&
-        AURA_CONFIG[scanResult.auraType]?.tier > AURA_CONFIG[existingNft.currentAura]?.tier;
+        getTierRank(tiers, scanResult.auraType) > getTierRank(tiers, existingNft.currentAura);
+
+    // The card shows the minted token when there is one, otherwise the scan preview
+    const existingTier = existingNft && getTierById(existingNft.currentAura);
+    const cardImage = existingNft?.image || scanResult?.image || COLLECTION_IMAGE;
+    const cardTitle = existingNft
+        ? `${getAuraEmoji(existingTier?.imageKey)} ${existingTier?.name || existingNft.currentAura} #${existingNft.tokenId}`
+        : scanResult ? `${scanResult.auraEmoji} ${scanResult.auraName}` : 'Base Aura Collection';
 
     return (
         <div className="container">
@@ -211,26 +479,44 @@ function App() {
                 <p className="subtitle">
                     Discover your on-chain identity based on your Base transaction history
                 </p>
-                <span className="network-badge">Base Sepolia Testnet</span>
+                <div className="network-switcher">
+                    {NETWORKS.map((n) => (
+                        <button
+                            key={n.key}
+                            className={`network-option ${n.key === networkKey ? 'active' : ''}`}
+                            onClick={() => handleNetworkChange(n.key)}
+                        >
+                            {n.testnet ? `${n.name} Testnet` : n.name}
+                        </button>
+                    ))}
+                </div>
+                <div className="view-tabs">
+                    <button className={`view-tab ${view === 'scan' ? 'active' : ''}`} onClick={() => showView('scan')}>
+                        ⚡ Scan
+                    </button>
+                    <button className={`view-tab ${view === 'leaderboard' ? 'active' : ''}`} onClick={() => showView('leaderboard')}>
+                        🏆 Leaderboard
+                    </button>
+                    <button className={`view-tab ${view === 'gallery' ? 'active' : ''}`} onClick={() => showView('gallery')}>
+                        🖼️ Gallery
+                    </button>
+                </div>
             </header>
 
             {/* Aura Card Display */}
-            <div className="aura-section">
-                <div className="aura-card">
-                    <img
-                        src={scanResult?.image || AURA_IMAGES.collection}
-                        alt={scanResult?.auraName || 'Base Aura Collection'}
-                    />
+            {view === 'scan' && (
+                <div className="aura-section">
+                    <div className="aura-card">
+                        <img src={cardImage} alt={cardTitle} />
+                    </div>
+                    <p className="aura-title">{cardTitle}</p>
                 </div>
-                <p className="aura-title">
-                    {scanResult ? `${scanResult.auraEmoji} ${scanResult.auraName}` : 'Base Aura Collection'}
-                </p>
-            </div>
+            )}
 
             {/* Wallet Connection */}
             <div className="wallet-section">
                 <div className="wallet-info">
-                    <span className="network-badge" style={{ marginTop: 0 }}>Base Sepolia</span>
+                    <span className="network-badge" style={{ marginTop: 0 }}>{network.name}</span>
                     <p className={`wallet-status ${isConnected ? 'connected' : ''}`}>
                         {isConnected ? `Connected: ${address?.slice(0, 6)}...${address?.slice(-4)}` : 'Not connected'}
                     </p>
@@ -243,15 +529,70 @@ function App() {
                 </Wallet>
             </div>
 
+            {view === 'leaderboard' && <Leaderboard network={network} tiers={tiers} />}
+
+            {/* The grid stays mounted behind an open token so its filters and loaded pages survive going back */}
+            {view === 'gallery' && (
+                <div hidden={Boolean(galleryToken)}>
+                    <Gallery network={network} tiers={tiers} onSelect={(tokenId) => showView('gallery', tokenId)} />
+                </div>
+            )}
+            {view === 'gallery' && galleryToken && (
+                <TokenDetail network={network} tokenId={galleryToken} tiers={tiers} onBack={() => showView('gallery')} />
+            )}
+
+            {view === 'scan' && !isDeployed && (
+                <p className="timeline-empty">Base Aura isn't deployed on {network.name} yet</p>
+            )}
+
+            {view === 'scan' && isDeployed && isConnected && (
+                <MigrationBanner
+                    network={network}
+                    address={address}
+                    tiers={tiers}
+                    fetchAttestation={fetchAttestation}
+                    ensureWalletChain={ensureWalletChain}
+                    onMigrated={() => { setTargetAddress(address); setIsScanPending(true); }}
+                />
+            )}
+
             {/* Scan Section - Only show when connected */}
-            {isConnected && (
+            {view === 'scan' && isDeployed && isConnected && (
                 <div className="scan-section">
                     <input
                         type="text"
                         value={targetAddress}
                         onChange={(e) => setTargetAddress(e.target.value)}
-                        placeholder="Enter Base address (0x...)"
+                        placeholder="Enter a Base address or name (0x... / jesse.base.eth)"
                     />
+                    <div className="linked-wallets">
+                        <p className="token-label">Linked wallets (optional, scanned as one aura)</p>
+                        {linkedAddresses.map((linked) => (
+                            <span key={linked} className="linked-chip">
+                                {linked.slice(0, 6)}...{linked.slice(-4)}
+                                <button onClick={() => setLinkedAddresses((current) => current.filter((a) => a !== linked))}>×</button>
+                            </span>
+                        ))}
+                        <div className="linked-add">
+                            <input
+                                type="text"
+                                value={linkInput}
+                                onChange={(e) => setLinkInput(e.target.value)}
+                                placeholder="Add another address (0x...)"
+                            />
+                            <button className="btn-link" onClick={handleAddLink}>Add</button>
+                        </div>
+                        <div className="linked-actions">
+                            {connectedAddresses?.length > 1 && (
+                                <button className="btn-link" onClick={() => addLinkedAddresses(connectedAddresses)}>
+                                    + Connected wallets
+                                </button>
+                            )}
+                            {isMiniApp && (
+                                <button className="btn-link" onClick={handleAddFarcaster}>+ Farcaster verified</button>
+                            )}
+                        </div>
+                    </div>
                     <button
                         className="btn-scan"
                         onClick={handleScan}
@@ -268,7 +609,7 @@ function App() {
             )}
 
             {/* Results */}
-            {scanResult && (
+            {view === 'scan' && scanResult && (
                 <div className="result-area">
                     <h2 className={`aura-result-title ${scanResult.auraType}`}>
                         {scanResult.auraEmoji} {scanResult.auraName.toUpperCase()}
@@ -281,10 +622,49 @@ function App() {
                     />
 
                     <div className="stats">
+                        <p>
+                            <strong>Target Address:</strong>{' '}
+                            <AddressIdentity address={scanResult.address} identity={scanResult.identities[scanResult.address.toLowerCase()]} />
+                        </p>
                         <p><strong>Total Transactions:</strong> {scanResult.txCount}</p>
+                        <p><strong>Aura Score:</strong> {scanResult.score}</p>
+                        {scanResult.addresses && (
+                            <ul className="score-breakdown">
+                                {scanResult.addresses.map((entry) => (
+                                    <li key={entry.address}>
+                                        <AddressIdentity address={entry.address} identity={scanResult.identities[entry.address.toLowerCase()]} />
+                                        <span>{entry.txCount} txs · score {entry.score}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                        {scanResult.scoreBreakdown && (
+                            <ul className="score-breakdown">
+                                {Object.entries(SCORE_SIGNALS).map(([signal, label]) => (
+                                    <li key={signal}>
+                                        <span>{label}: {scanResult.scoreBreakdown[signal].value}</span>
+                                        <span>+{scanResult.scoreBreakdown[signal].points}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
                         <p><strong>Trait:</strong> {scanResult.tagline}</p>
+                        <p><strong>Rarity:</strong> {scanResult.rarity}</p>
+                        {!existingNft && mintFee !== undefined && (
+                            <p><strong>Mint Fee:</strong> {mintFee === 0n ? 'Free' : `${formatEther(mintFee)} ETH`}</p>
+                        )}
+                        {existingNft && (
+                            <p>
+                                <strong>Current NFT:</strong> #{existingNft.tokenId.toString()}{' '}
+                                {existingTier?.name || existingNft.currentAura}
+                                {' '}({existingNft.txCount} txs)
+                            </p>
+                        )}
                         {existingNft && (
-                            <p><strong>Current NFT:</strong> {AURA_CONFIG[existingNft.currentAura]?.name || existingNft.currentAura}</p>
+                            <p>
+                                <strong>Transfers:</strong>{' '}
+                                {existingNft.isLocked ? '🔒 Soulbound - stays with its target address' : 'Transferable'}
+                            </p>
                         )}
                     </div>
 
@@ -294,27 +674,36 @@ function App() {
                             <button
                                 className="btn-mint"
                                 onClick={handleMint}
-                                disabled={isMinting || isMintConfirming}
+                                disabled={mintFee === undefined || isAttesting || isMinting || isMintConfirming}
                             >
-                                {isMinting ? '⏳ Confirm in wallet...' :
-                                    isMintConfirming ? '⏳ Minting...' :
-                                        isMintConfirmed ? '✅ Minted!' : '🚀 MINT NFT'}
+                                {isAttesting ? '⏳ Verifying aura...' :
+                                    isMinting ? '⏳ Confirm in wallet...' :
+                                        isMintConfirming ? '⏳ Minting...' :
+                                            isMintConfirmed ? '✅ Minted!' : '🚀 MINT NFT'}
                             </button>
                         )}
 
                         {/* Show Upgrade button if existing NFT and can upgrade */}
-                        {existingNft && canUpgrade && (
+                        {existingNft && canUpgrade && isNftOwner && (
                             <button
                                 className="btn-upgrade"
                                 onClick={handleUpgrade}
-                                disabled={isUpdating || isUpdateConfirming}
+                                disabled={isAttesting || isUpdating || isUpdateConfirming}
                             >
-                                {isUpdating ? '⏳ Confirm in wallet...' :
-                                    isUpdateConfirming ? '⏳ Upgrading...' :
-                                        isUpdateConfirmed ? '✅ Upgraded!' : '⬆️ UPGRADE AURA'}
+                                {isAttesting ? '⏳ Verifying aura...' :
+                                    isUpdating ? '⏳ Confirm in wallet...' :
+                                        isUpdateConfirming ? '⏳ Upgrading...' :
+                                            isUpdateConfirmed ? '✅ Upgraded!' : '⬆️ UPGRADE AURA'}
                             </button>
                         )}
 
+                        {/* Upgrades need the holder's wallet */}
+                        {existingNft && canUpgrade && !isNftOwner && (
+                            <p style={{ color: '#fbbf24', marginTop: '8px' }}>
+                                ⬆️ A higher tier is available - connect the holder wallet to upgrade
+                            </p>
+                        )}
+
                         {/* Show message if already at max tier or same tier */}
                         {existingNft && !canUpgrade && (
                             <p style={{ color: '#fbbf24', marginTop: '8px' }}>
@@ -323,14 +712,31 @@ function App() {
                                     : '🏆 Your NFT is already at a higher tier!'}
                             </p>
                         )}
+
+                        <button className="btn-share" onClick={handleShare}>
+                            📣 Share to Farcaster
+                        </button>
                     </div>
 
+                    {/* Upgrade history of the minted token */}
+                    {existingNft && (
+                        <div className="nft-status">
+                            <p className="token-label">Aura history</p>
+                            <AuraTimeline
+                                key={`${existingNft.tokenId}-${existingNft.currentAura}`}
+                                network={network}
+                                tokenId={existingNft.tokenId.toString()}
+                                tiers={tiers}
+                            />
+                        </div>
+                    )}
+
                     {/* Transaction links */}
                     {(mintHash || updateHash) && (
                         <p className="tx-status">
                             View on{' '}
                             <a
-                                href={`https://sepolia.basescan.org/tx/${mintHash || updateHash}`}
+                                href={`${network.explorerUrl}/tx/${mintHash || updateHash}`}
                                 target="_blank"
                                 rel="noopener noreferrer"
                             >
@@ -0,0 +1,20 @@
+// An address with its reverse-resolved ENS name or Basename and avatar, from /api/name
+function AddressIdentity({ address, identity }) {
+    const shortAddress = `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+    return (
+        <span className="address-identity" title={address}>
+            {identity?.avatar && <img className="identity-avatar" src={identity.avatar} alt="" />}
+            {identity?.name ? (
+                <>
+                    <span className="identity-name">{identity.name}</span>
+                    <span className="identity-address">({shortAddress})</span>
+                </>
+            ) : (
+                <span className="identity-address">{shortAddress}</span>
+            )}
+        </span>
+    );
+}
+
+export default AddressIdentity;
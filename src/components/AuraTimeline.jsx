@@ -0,0 +1,66 @@
+import { useState, useEffect } from 'react';
+import { getAuraEmoji, getTierRank } from '../lib/tiers';
+
+const shortAddress = (addr) => `${addr.slice(0, 6)}...${addr.slice(-4)}`;
+
+// Mint, upgrade and transfer timeline of one token, from /api/token/:id/history
+function AuraTimeline({ network, tokenId, tiers }) {
+    const [history, setHistory] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        setHistory(null);
+        setError('');
+
+        fetch(`/api/token/${tokenId}/history?chain=${network.key}`)
+            .then(async (response) => {
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'Failed to load history');
+                if (!cancelled) setHistory(data.history);
+            })
+            .catch((err) => {
+                console.error('Error loading token history:', err);
+                if (!cancelled) setError('Timeline unavailable right now');
+            });
+
+        return () => { cancelled = true; };
+    }, [network.key, tokenId]);
+
+    const describe = (entry) => {
+        const tier = tiers?.find((t) => t.id === entry.auraType);
+        const label = `${getAuraEmoji(tier?.imageKey)} ${tier?.name || entry.auraType}`;
+
+        if (entry.event === 'minted') return `Minted as ${label}`;
+        if (entry.event === 'updated') {
+            // Updates and keeper refreshes set whichever tier is attested, so a token can also move down
+            const isDowngrade = tiers && getTierRank(tiers, entry.auraType) < getTierRank(tiers, entry.previousAura);
+            return `${isDowngrade ? 'Downgraded' : 'Upgraded'} to ${label}`;
+        }
+        return `Transferred ${shortAddress(entry.from)} → ${shortAddress(entry.to)}`;
+    };
+
+    if (error) return <p className="timeline-empty">{error}</p>;
+    if (!history) return <p className="timeline-empty">Loading timeline...</p>;
+    if (history.length === 0) return <p className="timeline-empty">No events indexed yet</p>;
+
+    return (
+        <ol className="timeline">
+            {history.map((entry) => (
+                <li key={`${entry.transactionHash}-${entry.event}`} className={`timeline-entry ${entry.event}`}>
+                    <span className="timeline-label">{describe(entry)}</span>
+                    <a
+                        className="timeline-date"
+                        href={`${network.explorerUrl}/tx/${entry.transactionHash}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                    >
+                        {new Date(entry.timestamp * 1000).toLocaleDateString()}
+                    </a>
+                </li>
+            ))}
+        </ol>
+    );
+}
+
+export default AuraTimeline;
@@ -0,0 +1,106 @@
+import { useState, useEffect, useRef } from 'react';
+import { getAuraEmoji, sortTiers } from '../lib/tiers';
+
+const PAGE_SIZE = 24;
+
+// Every minted aura on a network in mint order, from /api/gallery
+// Filters by aura type or rarity; selecting a token opens its detail view
+function Gallery({ network, tiers, onSelect }) {
+    const [entries, setEntries] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [auraType, setAuraType] = useState('');
+    const [rarity, setRarity] = useState('');
+    const [order, setOrder] = useState('oldest');
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+    // Only the latest load applies, so a page for filters that have since changed is dropped
+    const latestLoad = useRef(0);
+
+    const sortedTiers = sortTiers(tiers || []);
+    const rarities = [...new Set(sortedTiers.map((tier) => tier.rarity))];
+
+    const loadPage = async (offset) => {
+        const load = ++latestLoad.current;
+        setIsLoading(true);
+        setError('');
+        try {
+            const params = new URLSearchParams({ chain: network.key, order, limit: PAGE_SIZE, offset });
+            if (auraType) params.set('auraType', auraType);
+            if (rarity) params.set('rarity', rarity);
+
+            const response = await fetch(`/api/gallery?${params}`);
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to load gallery');
+            if (load !== latestLoad.current) return;
+
+            setEntries((current) => (offset === 0 ? data.entries : [...current, ...data.entries]));
+            setTotal(data.total);
+        } catch (err) {
+            if (load !== latestLoad.current) return;
+            setError('Failed to load the gallery. Please try again.');
+            console.error(err);
+        } finally {
+            if (load === latestLoad.current) setIsLoading(false);
+        }
+    };
+
+    // Reload from the first page when the network or a filter changes
+    useEffect(() => {
+        setEntries([]);
+        loadPage(0);
+    }, [network.key, auraType, rarity, order]);
+
+    return (
+        <div className="gallery">
+            <h2>🖼️ Gallery</h2>
+
+            <div className="gallery-filters">
+                <select value={auraType} onChange={(e) => setAuraType(e.target.value)} aria-label="Aura type">
+                    <option value="">All auras</option>
+                    {sortedTiers.map((tier) => (
+                        <option key={tier.id} value={tier.id}>{getAuraEmoji(tier.imageKey)} {tier.name}</option>
+                    ))}
+                </select>
+                <select value={rarity} onChange={(e) => setRarity(e.target.value)} aria-label="Rarity">
+                    <option value="">All rarities</option>
+                    {rarities.map((value) => <option key={value} value={value}>{value}</option>)}
+                </select>
+                <select value={order} onChange={(e) => setOrder(e.target.value)} aria-label="Order">
+                    <option value="oldest">First minted</option>
+                    <option value="newest">Latest minted</option>
+                </select>
+            </div>
+
+            {error && <p style={{ color: '#ef4444' }}>{error}</p>}
+            {!isLoading && !error && entries.length === 0 && (
+                <p className="timeline-empty">
+                    {auraType || rarity ? 'No auras match these filters' : `No auras minted on ${network.name} yet`}
+                </p>
+            )}
+
+            <ul className="gallery-grid">
+                {entries.map((entry) => (
+                    <li key={entry.tokenId}>
+                        <button className="gallery-item" onClick={() => onSelect(entry.tokenId)}>
+                            {entry.metadata?.image
+                                ? <img src={entry.metadata.image} alt={entry.metadata.name} loading="lazy" />
+                                : <div className="gallery-placeholder">{getAuraEmoji(tiers?.find((t) => t.id === entry.auraType)?.imageKey)}</div>}
+                            <span className="gallery-token">#{entry.tokenId}</span>
+                            <span className={`leaderboard-aura ${entry.auraType}`}>{entry.auraName || entry.auraType}</span>
+                            {entry.rarity && <span className="gallery-rarity">{entry.rarity}</span>}
+                        </button>
+                    </li>
+                ))}
+            </ul>
+
+            {entries.length < total && (
+                <button className="btn-primary" onClick={() => loadPage(entries.length)} disabled={isLoading}>
+                    {isLoading ? 'Loading...' : 'Load more'}
+                </button>
+            )}
+            {isLoading && entries.length === 0 && <p className="loading">Loading gallery...</p>}
+        </div>
+    );
+}
+
+export default Gallery;
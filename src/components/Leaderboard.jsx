@@ -0,0 +1,91 @@
+import { useState, useEffect, useRef } from 'react';
+import { getAuraEmoji } from '../lib/tiers';
+import AuraTimeline from './AuraTimeline';
+
+const PAGE_SIZE = 25;
+
+// Top auras on a network, from /api/leaderboard
+// Selecting a row expands that token's upgrade timeline
+function Leaderboard({ network, tiers }) {
+    const [entries, setEntries] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [isLoading, setIsLoading] = useState(false);
+    const [error, setError] = useState('');
+    const [selectedToken, setSelectedToken] = useState(null);
+    // Only the latest load applies, so a page for a network that has since changed is dropped
+    const latestLoad = useRef(0);
+
+    const loadPage = async (offset) => {
+        const load = ++latestLoad.current;
+        setIsLoading(true);
+        setError('');
+        try {
+            const response = await fetch(`/api/leaderboard?chain=${network.key}&limit=${PAGE_SIZE}&offset=${offset}`);
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to load leaderboard');
+            if (load !== latestLoad.current) return;
+
+            setEntries((current) => (offset === 0 ? data.entries : [...current, ...data.entries]));
+            setTotal(data.total);
+        } catch (err) {
+            if (load !== latestLoad.current) return;
+            setError('Failed to load the leaderboard. Please try again.');
+            console.error(err);
+        } finally {
+            if (load === latestLoad.current) setIsLoading(false);
+        }
+    };
+
+    // Reload from the top when the network changes
+    useEffect(() => {
+        setEntries([]);
+        setSelectedToken(null);
+        loadPage(0);
+    }, [network.key]);
+
+    return (
+        <div className="leaderboard">
+            <h2>🏆 Leaderboard</h2>
+
+            {error && <p style={{ color: '#ef4444' }}>{error}</p>}
+            {!isLoading && !error && entries.length === 0 && (
+                <p className="timeline-empty">No auras minted on {network.name} yet</p>
+            )}
+
+            <ol className="leaderboard-list">
+                {entries.map((entry) => {
+                    const tier = tiers?.find((t) => t.id === entry.auraType);
+                    const isSelected = selectedToken === entry.tokenId;
+
+                    return (
+                        <li key={entry.tokenId} className={`leaderboard-row ${isSelected ? 'selected' : ''}`}>
+                            <button
+                                className="leaderboard-entry"
+                                onClick={() => setSelectedToken(isSelected ? null : entry.tokenId)}
+                            >
+                                <span className="leaderboard-rank">#{entry.rank}</span>
+                                <span className={`leaderboard-aura ${entry.auraType}`}>
+                                    {getAuraEmoji(tier?.imageKey)} {entry.auraName || entry.auraType}
+                                </span>
+                                <span className="leaderboard-address">
+                                    {entry.targetAddress.slice(0, 6)}...{entry.targetAddress.slice(-4)}
+                                </span>
+                                <span className="leaderboard-txs">{entry.txCount ?? '?'} txs</span>
+                            </button>
+                            {isSelected && <AuraTimeline network={network} tokenId={entry.tokenId} tiers={tiers} />}
+                        </li>
+                    );
+                })}
+            </ol>
+
+            {entries.length < total && (
+                <button className="btn-primary" onClick={() => loadPage(entries.length)} disabled={isLoading}>
+                    {isLoading ? 'Loading...' : 'Load more'}
+                </button>
+            )}
+            {isLoading && entries.length === 0 && <p className="loading">Loading leaderboard...</p>}
+        </div>
+    );
+}
+
+export default Leaderboard;
@@ -0,0 +1,139 @@
+import { useState, useEffect } from 'react';
+import { usePublicClient, useWriteContract } from 'wagmi';
+import { parseAbi } from 'viem';
+import { findSnapshotHolder } from '../../config/networks';
+import { loadV1Snapshot } from '../lib/deployments';
+import { getAuraEmoji } from '../lib/tiers';
+
+// The V1 contract predates the deployment manifests
+const V1_ABI = parseAbi([
+    'function hasMinted(address owner) view returns (bool)',
+    'function getTokenByAddress(address owner) view returns (uint256)',
+    'function ownerOf(uint256 tokenId) view returns (address)',
+    'function getAura(uint256 tokenId) view returns (string)',
+    'function getApproved(uint256 tokenId) view returns (address)',
+    'function approve(address to, uint256 tokenId)',
+]);
+
+// Offers holders of a BaseAura (V1) token a move into V2 through BaseAuraMigrator
+// Shown when the connected wallet still holds the V1 token it minted, the token is in the network's V1 holder
+// snapshot and the wallet has no V2 aura yet. The V2 aura gets the aura type the token had at the snapshot
+function MigrationBanner({ network, address, tiers, fetchAttestation, ensureWalletChain, onMigrated }) {
+    const publicClient = usePublicClient({ chainId: network.chainId });
+    const { writeContractAsync } = useWriteContract();
+    const [v1Token, setV1Token] = useState(null); // { tokenId, auraType (at the snapshot), currentAura }
+    const [status, setStatus] = useState(''); // progress of the current migration step
+    const [error, setError] = useState('');
+
+    const isEnabled = Boolean(network.contractAbi && network.migratorAbi && network.v1ContractAddress && address);
+
+    // Look up the wallet's V1 token whenever the wallet or network changes
+    useEffect(() => {
+        setV1Token(null);
+        setError('');
+        if (!isEnabled) return;
+
+        const checkV1 = async () => {
+            const v1 = { address: network.v1ContractAddress, abi: V1_ABI };
+            const [minted, hasV2] = await publicClient.multicall({
+                contracts: [
+                    { ...v1, functionName: 'hasMinted', args: [address] },
+                    { address: network.contractAddress, abi: network.contractAbi, functionName: 'hasMinted', args: [address] },
+                ],
+                allowFailure: false,
+            });
+            if (!minted || hasV2) return;
+
+            const tokenId = await publicClient.readContract({ ...v1, functionName: 'getTokenByAddress', args: [address] });
+            const [[owner, currentAura], snapshot] = await Promise.all([
+                publicClient.multicall({
+                    contracts: [
+                        { ...v1, functionName: 'ownerOf', args: [tokenId] },
+                        { ...v1, functionName: 'getAura', args: [tokenId] },
+                    ],
+                    allowFailure: false,
+                }),
+                loadV1Snapshot(network.key),
+            ]);
+            // Tokens minted after the snapshot can't migrate
+            const holder = findSnapshotHolder(network, snapshot, tokenId);
+            if (holder && owner.toLowerCase() === address.toLowerCase()) {
+                setV1Token({ tokenId, auraType: holder.auraType, currentAura });
+            }
+        };
+        checkV1().catch((err) => console.error('Error checking V1 token:', err));
+    }, [isEnabled, address, network.key]);
+
+    // Approve the migrator for the V1 token if needed, then migrate with a V1-aura attestation
+    const handleMigrate = async () => {
+        setError('');
+        try {
+            setStatus('Verifying your aura...');
+            const { attestation, signature } = await fetchAttestation(address, [], { v1TokenId: v1Token.tokenId.toString() });
+            await ensureWalletChain();
+
+            const v1 = { address: network.v1ContractAddress, abi: V1_ABI, chainId: network.chainId };
+            const approved = await publicClient.readContract({ ...v1, functionName: 'getApproved', args: [v1Token.tokenId] });
+            if (approved.toLowerCase() !== network.migratorAddress.toLowerCase()) {
+                setStatus('Approve the migrator in your wallet (1/2)...');
+                const hash = await writeContractAsync({ ...v1, functionName: 'approve', args: [network.migratorAddress, v1Token.tokenId] });
+                await publicClient.waitForTransactionReceipt({ hash });
+            }
+
+            const fee = await publicClient.readContract({
+                address: network.contractAddress,
+                abi: network.contractAbi,
+                functionName: 'getMintFee',
+                args: [network.migratorAddress, address],
+            });
+            setStatus('Confirm the migration in your wallet (2/2)...');
+            const hash = await writeContractAsync({
+                address: network.migratorAddress,
+                abi: network.migratorAbi,
+                chainId: network.chainId,
+                functionName: 'migrate',
+                args: [v1Token.tokenId, attestation, signature],
+                value: fee,
+            });
+            setStatus('Migrating...');
+            const receipt = await publicClient.waitForTransactionReceipt({ hash });
+            if (receipt.status !== 'success') throw new Error('Migration transaction reverted');
+
+            setV1Token(null);
+            onMigrated();
+        } catch (err) {
+            setError(err.shortMessage || err.message || 'Migration failed. Please try again.');
+            console.error(err);
+        } finally {
+            setStatus('');
+        }
+    };
+
+    if (!v1Token) return null;
+
+    const tier = tiers?.find((t) => t.id === v1Token.auraType);
+    const tierName = tier?.name || v1Token.auraType;
+    // The migrator only takes tokens whose V1 aura is still the snapshotted one
+    const auraChanged = v1Token.currentAura !== v1Token.auraType;
+    return (
+        <div className="migration-banner">
+            <p>
+                You hold a V1 {getAuraEmoji(tier?.imageKey)} {tierName} aura (#{v1Token.tokenId.toString()}).
+                Move it to V2 to keep your aura with on-chain artwork, upgrades and the leaderboard.
+            </p>
+            {auraChanged ? (
+                <p className="migration-note">
+                    Its V1 aura changed to {v1Token.currentAura} after the migration snapshot. Set it back to {tierName} to migrate.
+                </p>
+            ) : (
+                <p className="migration-note">The V1 token is locked in the migrator and a V2 {tierName} aura is minted to you.</p>
+            )}
+            <button className="btn-upgrade" onClick={handleMigrate} disabled={Boolean(status) || auraChanged}>
+                {status || '⬆️ Migrate to V2'}
+            </button>
+            {error && <p style={{ color: '#ef4444', marginTop: '12px' }}>{error}</p>}
+        </div>
+    );
+}
+
+export default MigrationBanner;
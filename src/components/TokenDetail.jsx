@@ -0,0 +1,93 @@
+import { Fragment, useState, useEffect } from 'react';
+import { getAuraEmoji } from '../lib/tiers';
+import AddressIdentity from './AddressIdentity';
+import AuraTimeline from './AuraTimeline';
+
+// Attributes the address rows already show
+const ADDRESS_TRAITS = ['Target Address', 'Linked Addresses'];
+
+// One token of the gallery, from /api/token/:id - its artwork and attributes, owner, target and linked
+// addresses, and its upgrade timeline
+function TokenDetail({ network, tokenId, tiers, onBack }) {
+    const [detail, setDetail] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        setDetail(null);
+        setError('');
+
+        fetch(`/api/token/${tokenId}?chain=${network.key}`)
+            .then(async (response) => {
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'Failed to load token');
+                if (!cancelled) setDetail(data);
+            })
+            .catch((err) => {
+                console.error('Error loading token:', err);
+                if (!cancelled) setError(`Aura #${tokenId} isn't available on ${network.name}`);
+            });
+
+        return () => { cancelled = true; };
+    }, [network.key, tokenId]);
+
+    const explorerLink = (addr) => (
+        <a href={`${network.explorerUrl}/address/${addr}`} target="_blank" rel="noopener noreferrer">
+            <AddressIdentity address={addr} />
+        </a>
+    );
+
+    const tier = tiers?.find((t) => t.id === detail?.token.auraType);
+
+    return (
+        <div className="token-detail">
+            <button className="btn-link" onClick={onBack}>← Back to gallery</button>
+
+            {error && <p className="timeline-empty">{error}</p>}
+            {!error && !detail && <p className="loading">Loading aura #{tokenId}...</p>}
+
+            {detail && (
+                <>
+                    <div className="aura-section">
+                        {detail.metadata?.image && (
+                            <div className="aura-card">
+                                <img src={detail.metadata.image} alt={detail.metadata.name} />
+                            </div>
+                        )}
+                        <p className="aura-title">
+                            {getAuraEmoji(tier?.imageKey)} {detail.metadata?.name || `Base Aura #${tokenId}`}
+                        </p>
+                    </div>
+
+                    <dl className="token-facts">
+                        <dt>Owner</dt>
+                        <dd>{detail.token.owner ? explorerLink(detail.token.owner) : '?'}</dd>
+                        <dt>Target address</dt>
+                        <dd>{explorerLink(detail.token.targetAddress)}</dd>
+                        {detail.token.linkedAddresses.length > 0 && (
+                            <>
+                                <dt>Linked addresses</dt>
+                                <dd>
+                                    {detail.token.linkedAddresses.map((addr) => <div key={addr}>{explorerLink(addr)}</div>)}
+                                </dd>
+                            </>
+                        )}
+                        {(detail.metadata?.attributes || [])
+                            .filter((attribute) => !ADDRESS_TRAITS.includes(attribute.trait_type))
+                            .map((attribute) => (
+                                <Fragment key={attribute.trait_type}>
+                                    <dt>{attribute.trait_type}</dt>
+                                    <dd>{String(attribute.value)}</dd>
+                                </Fragment>
+                            ))}
+                    </dl>
+
+                    <h3>History</h3>
+                    <AuraTimeline network={network} tokenId={tokenId} tiers={tiers} />
+                </>
+            )}
+        </div>
+    );
+}
+
+export default TokenDetail;
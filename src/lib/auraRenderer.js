@@ -0,0 +1,69 @@
+// Generative aura artwork - JS port of contracts/AuraRenderer.sol
+// Keep the markup identical so the frontend preview matches the on-chain image
+
+import { keccak256, toBytes } from 'viem';
+
+// Tier colors, matching the aura colors in src/index.css
+const PALETTES = {
+    fire: ['#f97316', '#fdba74'],
+    water: ['#06b6d4', '#67e8f9'],
+    tide: ['#14b8a6', '#5eead4'],
+    rock: ['#eab308', '#fde047'],
+};
+
+// Image keys without a built-in palette get a hue derived from the key
+const getPalette = (imageKey) => {
+    if (PALETTES[imageKey]) return PALETTES[imageKey];
+    const hue = Math.floor((parseInt(keccak256(toBytes(imageKey)).slice(2, 4), 16) * 360) / 256);
+    return [`hsl(${hue},85%,55%)`, `hsl(${hue},95%,75%)`];
+};
+
+// Same entities as _escapeXML in AuraRenderer.sol - tier names are owner-set
+const XML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const escapeXml = (value) => String(value).replace(/[&<>"']/g, (char) => XML_ENTITIES[char]);
+
+const renderRings = (glow, txCount) => {
+    const count = Math.min(String(txCount).length, 6);
+    let rings = '';
+    for (let i = 0; i < count; i++) {
+        rings += `<circle cx="200" cy="180" r="${40 + i * 18}" fill="none" stroke="${glow}" stroke-opacity="0.35" stroke-width="2"/>`;
+    }
+    return rings;
+};
+
+const renderOrbs = (glow, targetAddress) => {
+    const hex = targetAddress.toLowerCase().slice(2);
+    const byteAt = (i) => parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+
+    let orbs = '';
+    for (let i = 0; i < 4; i++) {
+        const x = 60 + Math.floor((byteAt(i * 2) * 280) / 255);
+        const y = 40 + Math.floor((byteAt(i * 2 + 1) * 240) / 255);
+        const r = 4 + (byteAt(i + 8) % 8);
+        orbs += `<circle cx="${x}" cy="${y}" r="${r}" fill="${glow}" fill-opacity="0.8"/>`;
+    }
+    return orbs;
+};
+
+// Render the raw SVG. tokenId is unknown before minting, so the preview shows "#?"
+export function renderAuraSvg({ imageKey, auraName, targetAddress, tokenId, txCount }) {
+    const [color, glow] = getPalette(imageKey);
+    const tokenLabel = tokenId === undefined || tokenId === null ? '?' : String(tokenId);
+
+    return '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 400">' +
+        `<defs><radialGradient id="a" cx="50%" cy="45%" r="60%"><stop offset="0%" stop-color="${glow}"/><stop offset="55%" stop-color="${color}" stop-opacity="0.55"/><stop offset="100%" stop-color="#0a0a0f" stop-opacity="0"/></radialGradient></defs>` +
+        '<rect width="400" height="400" fill="#0a0a0f"/><circle cx="200" cy="180" r="150" fill="url(#a)"/>' +
+        renderRings(glow, txCount) +
+        renderOrbs(glow, targetAddress) +
+        `<text x="200" y="330" font-family="monospace" font-size="22" font-weight="700" fill="#ffffff" text-anchor="middle">${escapeXml(auraName)}</text>` +
+        `<text x="200" y="356" font-family="monospace" font-size="13" fill="${glow}" text-anchor="middle">#${tokenLabel} | ${txCount} txs</text>` +
+        `<text x="200" y="378" font-family="monospace" font-size="11" fill="#71717a" text-anchor="middle">${targetAddress.toLowerCase()}</text>` +
+        '</svg>';
+}
+
+// Render the aura as a data:image/svg+xml;base64 URI, same as the on-chain image
+// The SVG is base64-encoded as UTF-8 like the contract's Base64; btoa alone throws on non-Latin1 names
+export function renderAuraDataUri(params) {
+    const binary = Array.from(toBytes(renderAuraSvg(params)), (byte) => String.fromCharCode(byte)).join('');
+    return `data:image/svg+xml;base64,${btoa(binary)}`;
+}
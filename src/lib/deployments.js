@@ -0,0 +1,12 @@
+// Deployment manifests written by scripts/deploy.cjs and scripts/deploy-migrator.cjs (deployments/<network>.json)
+// bundled into the frontend, which takes its contract ABIs and addresses from them (see getNetwork in config/networks.js)
+export const MANIFESTS = Object.values(import.meta.glob('../../deployments/*.json', { eager: true, import: 'default' }));
+
+// V1 holder snapshots (deployments/v1-holders/<network>.json) list every holder, so they are only loaded when needed
+const V1_SNAPSHOTS = import.meta.glob('../../deployments/v1-holders/*.json', { import: 'default' });
+
+// A network's V1 holder snapshot, or null when it has none
+export async function loadV1Snapshot(networkKey) {
+    const load = V1_SNAPSHOTS[`../../deployments/v1-holders/${networkKey}.json`];
+    return load ? load() : null;
+}
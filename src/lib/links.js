@@ -0,0 +1,6 @@
+// Link messages for aggregate auras, shared by the frontend and the API
+// A linked address signs this message to prove it belongs with the aura's target address
+
+export function getLinkMessage(targetAddress, linkedAddress, chainId) {
+    return `Link ${linkedAddress.toLowerCase()} to the Base Aura of ${targetAddress.toLowerCase()} on chain ${chainId}`;
+}
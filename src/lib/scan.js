@@ -0,0 +1,131 @@
+// Scan and mint flow calls to the API routes and the contract, shared by App.jsx and the end-to-end
+// tests in test/e2e
+// apiUrl is the origin serving /api - empty in the browser, where the app and the API share one
+
+import { getTierForScore } from './tiers.js';
+
+// Fetch the tx count and weighted aura score from /api/score (explorer/indexer/RPC providers with failover)
+// With linked addresses the API scores them together and lists each address in `addresses`
+// If the API fails, a single address falls back to publicClient's nonce; rate-limited scans throw instead
+export async function getScore({ network, publicClient, address, linked = [], apiUrl = '' }) {
+    try {
+        const linkedParam = linked.length > 0 ? `&linked=${linked.join(',')}` : '';
+        const response = await fetch(`${apiUrl}/api/score?address=${address}&chain=${network.key}${linkedParam}`);
+        if (response.status === 429) {
+            const { error } = await response.json();
+            throw Object.assign(new Error(error), { rateLimited: true });
+        }
+        if (!response.ok) throw new Error('Failed to fetch aura score');
+        const data = await response.json();
+        return {
+            txCount: data.txCount || 0,
+            score: data.score || 0,
+            scoreBreakdown: data.scoreBreakdown,
+            addresses: data.addresses || null,
+        };
+    } catch (err) {
+        console.error('Error fetching aura score:', err);
+        // A rate-limited scan should be retried, not shown with the unweighted nonce
+        if (linked.length > 0 || err.rateLimited) throw err;
+        try {
+            // Fall back to the wallet's RPC - the nonce only counts sent transactions, unweighted
+            const txCount = await publicClient.getTransactionCount({ address });
+            return { txCount, score: txCount, scoreBreakdown: null, addresses: null };
+        } catch (fallbackErr) {
+            console.error('Fallback also failed:', fallbackErr);
+            return { txCount: 0, score: 0, scoreBreakdown: null, addresses: null };
+        }
+    }
+}
+
+// Fetch a signed aura attestation from /api/attest - the contract rejects self-declared auras
+// New aggregate auras send their linked addresses with link signatures (empty for links proven by fid);
+// updates reuse the ones linked at mint. V1 migrations pass v1TokenId to attest the V1 token's aura
+// Returns the attestation with bigint fields, ready for mint/updateAura
+export async function getAttestation({ network, address, linked = [], signatures = [], fid, v1TokenId, apiUrl = '' }) {
+    const response = await fetch(`${apiUrl}/api/attest`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            address,
+            chain: network.key,
+            linked,
+            signatures,
+            fid,
+            v1TokenId,
+        }),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.unproven ? `Sign with or verify on Farcaster: ${data.unproven.join(', ')}` : data.error);
+    }
+
+    return {
+        attestation: {
+            ...data.attestation,
+            txCount: BigInt(data.attestation.txCount),
+            expiry: BigInt(data.attestation.expiry),
+            nonce: BigInt(data.attestation.nonce),
+        },
+        signature: data.signature,
+    };
+}
+
+// The aura token an address belongs to (as its target or a linked address), read from the contract, or null
+export async function getExistingToken({ network, publicClient, address }) {
+    try {
+        const contract = { address: network.contractAddress, abi: network.contractAbi };
+
+        // getTokenByTargetAddress reverts for unminted addresses, so let it fail inside the multicall
+        const [minted, token] = await publicClient.multicall({
+            contracts: [
+                { ...contract, functionName: 'hasMinted', args: [address] },
+                { ...contract, functionName: 'getTokenByTargetAddress', args: [address] },
+            ],
+        });
+        if (minted.status !== 'success' || !minted.result || token.status !== 'success') return null;
+
+        const tokenId = token.result;
+        const [currentAura, txCount, owner, isLocked, targetAddress, linkedAddresses] = await publicClient.multicall({
+            contracts: [
+                { ...contract, functionName: 'getAura', args: [tokenId] },
+                { ...contract, functionName: 'getTxCount', args: [tokenId] },
+                { ...contract, functionName: 'ownerOf', args: [tokenId] },
+                { ...contract, functionName: 'locked', args: [tokenId] },
+                { ...contract, functionName: 'getTargetAddress', args: [tokenId] },
+                { ...contract, functionName: 'getLinkedAddresses', args: [tokenId] },
+            ],
+            allowFailure: false,
+        });
+
+        return {
+            tokenId,
+            currentAura,
+            txCount,
+            owner,
+            isLocked,
+            targetAddress,
+            linkedAddresses: [...linkedAddresses],
+        };
+    } catch (err) {
+        console.error('Error checking existing NFT:', err);
+        return null;
+    }
+}
+
+// Scan an address: find the aura token it belongs to, score it over the addresses that token links
+// (or `linked` for a new aggregate aura) and pick the tier the score earns from the registry's `tiers`
+// identify(addresses), when given, runs alongside the score lookup and its result is returned as identities
+// tier is null when the score earns none
+export async function scanAura({ network, publicClient, address, linked = [], tiers, identify, apiUrl = '' }) {
+    const existing = await getExistingToken({ network, publicClient, address });
+    const scanned = existing
+        ? [existing.targetAddress, ...existing.linkedAddresses].filter((a) => a.toLowerCase() !== address.toLowerCase())
+        : linked;
+
+    const [result, identities] = await Promise.all([
+        getScore({ network, publicClient, address, linked: scanned, apiUrl }),
+        identify ? identify([address, ...scanned]) : null,
+    ]);
+    return { existing, linked: scanned, identities, ...result, tier: getTierForScore(tiers, result.score) };
+}
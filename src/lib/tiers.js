@@ -0,0 +1,32 @@
+// Tier helpers shared by the frontend and the API
+// Tiers come from the on-chain registry (BaseAuraV2.getTiers), never from hard-coded thresholds
+
+// Sort tiers from highest to lowest threshold
+export function sortTiers(tiers) {
+    return [...tiers].sort((a, b) => Number(b.minScore) - Number(a.minScore));
+}
+
+// Pick the highest tier whose threshold (minScore) the aura score meets, or null
+// The score comes from api/_lib/score.js and equals the tx count when activity can't be scored
+export function getTierForScore(tiers, score) {
+    if (score < 1) return null;
+    return sortTiers(tiers).find((tier) => score >= Number(tier.minScore)) || null;
+}
+
+// Rank of a tier by threshold (1 = lowest), used to compare upgrades
+export function getTierRank(tiers, tierId) {
+    const ordered = sortTiers(tiers).reverse();
+    return ordered.findIndex((tier) => tier.id === tierId) + 1;
+}
+
+// Emoji per tier image key, with a fallback for tiers added later
+const AURA_EMOJI = {
+    fire: '🔥',
+    water: '💧',
+    tide: '🌊',
+    rock: '🪨',
+};
+
+export function getAuraEmoji(imageKey) {
+    return AURA_EMOJI[imageKey] || '✨';
+}
@@ -1,14 +1,23 @@
 import { OnchainKitProvider } from '@coinbase/onchainkit';
 import { getDefaultConfig } from '@rainbow-me/rainbowkit';
 import { baseAccount, metaMaskWallet, rainbowWallet, safeWallet, walletConnectWallet } from '@rainbow-me/rainbowkit/wallets';
-import { WagmiProvider } from 'wagmi';
-import { baseSepolia } from 'wagmi/chains';
+import { WagmiProvider, http } from 'wagmi';
+import { base, baseSepolia } from 'wagmi/chains';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import { getNetworks } from '../config/networks';
 import './index.css';
 
+// wagmi chain definitions by chain ID - which networks we support lives in config/networks.js
+const WAGMI_CHAINS = {
+    [base.id]: base,
+    [baseSepolia.id]: baseSepolia,
+};
+const networks = getNetworks(import.meta.env, 'VITE_');
+const chains = networks.map((network) => WAGMI_CHAINS[network.chainId]);
+
 const wallets = [
     {
         groupName: 'Base Account',
@@ -23,7 +32,8 @@ const wallets = [
 const config = getDefaultConfig({
     appName: 'Base Aura',
     projectId: 'base-aura-demo', // Replace with WalletConnect project ID for production
-    chains: [baseSepolia],
+    chains,
+    transports: Object.fromEntries(networks.map((network) => [network.chainId, http(network.rpcUrl)])),
     wallets,
     ssr: false,
 });
@@ -34,7 +44,7 @@ ReactDOM.createRoot(document.getElementById('root')).render(
     <React.StrictMode>
         <WagmiProvider config={config}>
             <QueryClientProvider client={queryClient}>
-                <OnchainKitProvider chain={baseSepolia} apiKey={import.meta.env.VITE_CDP_API_KEY}>
+                <OnchainKitProvider chain={chains[0]} apiKey={import.meta.env.VITE_CDP_API_KEY}>
                     <App />
                 </OnchainKitProvider>
             </QueryClientProvider>
@@ -0,0 +1,97 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { decodeTokenURI } = require("./helpers/attestation.cjs");
+
+const BASE_IMAGE_URI = "https://example.com/images/";
+
+describe("BaseAura (V1)", function () {
+    async function deployFixture() {
+        const [owner, user, other] = await ethers.getSigners();
+        const BaseAura = await ethers.getContractFactory("BaseAura");
+        const baseAura = await BaseAura.deploy(BASE_IMAGE_URI);
+        return { baseAura, owner, user, other };
+    }
+
+    describe("mint", function () {
+        it("mints to the caller and records the aura", async function () {
+            const { baseAura, user } = await loadFixture(deployFixture);
+
+            await expect(baseAura.connect(user).mint("fire"))
+                .to.emit(baseAura, "AuraMinted")
+                .withArgs(user.address, 0, "fire");
+
+            expect(await baseAura.ownerOf(0)).to.equal(user.address);
+            expect(await baseAura.hasMinted(user.address)).to.equal(true);
+            expect(await baseAura.getTokenByAddress(user.address)).to.equal(0);
+            expect(await baseAura.getAura(0)).to.equal("fire");
+        });
+
+        it("allows one mint per address", async function () {
+            const { baseAura, user } = await loadFixture(deployFixture);
+            await baseAura.connect(user).mint("rock");
+
+            await expect(baseAura.connect(user).mint("tide")).to.be.revertedWith("Address already has an Aura NFT");
+        });
+
+        it("rejects unknown aura types", async function () {
+            const { baseAura, user } = await loadFixture(deployFixture);
+
+            await expect(baseAura.connect(user).mint("lava")).to.be.revertedWith("Invalid aura type");
+        });
+    });
+
+    describe("updateAura", function () {
+        it("lets the owner change the aura", async function () {
+            const { baseAura, user } = await loadFixture(deployFixture);
+            await baseAura.connect(user).mint("rock");
+
+            await expect(baseAura.connect(user).updateAura(0, "water"))
+                .to.emit(baseAura, "AuraUpdated")
+                .withArgs(0, "rock", "water");
+            expect(await baseAura.getAura(0)).to.equal("water");
+        });
+
+        it("rejects non-owners and invalid auras", async function () {
+            const { baseAura, user, other } = await loadFixture(deployFixture);
+            await baseAura.connect(user).mint("rock");
+
+            await expect(baseAura.connect(other).updateAura(0, "fire")).to.be.revertedWith("Not the token owner");
+            await expect(baseAura.connect(user).updateAura(0, "lava")).to.be.revertedWith("Invalid aura type");
+        });
+    });
+
+    describe("views", function () {
+        it("reverts lookups for unknown addresses and tokens", async function () {
+            const { baseAura, user } = await loadFixture(deployFixture);
+
+            await expect(baseAura.getTokenByAddress(user.address)).to.be.revertedWith("Address has no Aura NFT");
+            await expect(baseAura.getAura(0)).to.be.revertedWith("Token does not exist");
+            await expect(baseAura.tokenURI(0)).to.be.revertedWith("Token does not exist");
+        });
+
+        it("builds metadata from the base image URI", async function () {
+            const { baseAura, user } = await loadFixture(deployFixture);
+            await baseAura.connect(user).mint("tide");
+
+            const metadata = decodeTokenURI(await baseAura.tokenURI(0));
+            expect(metadata.name).to.equal("Base Aura #0 - Tide Watcher");
+            expect(metadata.image).to.equal(`${BASE_IMAGE_URI}tide.png`);
+            expect(metadata.attributes).to.deep.equal([
+                { trait_type: "Aura Type", value: "Tide Watcher" },
+                { trait_type: "Tier", value: "Uncommon" },
+            ]);
+        });
+
+        it("only lets the owner change the base image URI", async function () {
+            const { baseAura, user } = await loadFixture(deployFixture);
+
+            await expect(baseAura.connect(user).setBaseImageURI("ipfs://x/"))
+                .to.be.revertedWithCustomError(baseAura, "OwnableUnauthorizedAccount")
+                .withArgs(user.address);
+
+            await baseAura.setBaseImageURI("ipfs://x/");
+            expect(await baseAura.baseImageURI()).to.equal("ipfs://x/");
+        });
+    });
+});
@@ -0,0 +1,146 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { signAttestation } = require("./helpers/attestation.cjs");
+const { getBaseAuraV2Factory } = require("./helpers/deploy.cjs");
+
+const MINT_FEE = ethers.parseEther("0.00001");
+
+describe("BaseAuraMigrator", function () {
+    async function deployFixture() {
+        const [owner, attester, holder, other, feeRecipient] = await ethers.getSigners();
+
+        const v1 = await (await ethers.getContractFactory("BaseAura")).deploy("https://example.com/images/");
+        const BaseAuraV2 = await getBaseAuraV2Factory();
+        const v2 = await BaseAuraV2.deploy("", attester.address, feeRecipient.address, MINT_FEE);
+        const migrator = await (await ethers.getContractFactory("BaseAuraMigrator"))
+            .deploy(await v1.getAddress(), await v2.getAddress());
+        await v2.setMigrator(await migrator.getAddress());
+
+        // The holder owns V1 token 0 with a fire aura and has approved the migrator
+        await v1.connect(holder).mint("fire");
+        await v1.connect(holder).approve(await migrator.getAddress(), 0);
+
+        // Migration attestations, as /api/attest signs them for a V1 token
+        const attest = (fields = {}) => signAttestation(v2, attester, {
+            targetAddress: holder.address,
+            txCount: 42,
+            auraType: "fire",
+            migration: true,
+            ...fields,
+        });
+
+        return { v1, v2, migrator, owner, attester, holder, other, feeRecipient, attest };
+    }
+
+    it("locks the V1 token and mints a V2 aura of the same type for the holder", async function () {
+        const { v1, v2, migrator, holder, attest } = await loadFixture(deployFixture);
+        const { attestation, signature } = await attest();
+
+        await expect(migrator.connect(holder).migrate(0, attestation, signature, { value: MINT_FEE }))
+            .to.emit(migrator, "AuraMigrated")
+            .withArgs(holder.address, 0, 0, "fire")
+            .and.to.emit(v2, "AuraMinted")
+            .withArgs(await migrator.getAddress(), holder.address, 0, "fire");
+
+        expect(await v1.ownerOf(0)).to.equal(await migrator.getAddress());
+        expect(await v2.ownerOf(0)).to.equal(holder.address);
+        expect(await v2.getAura(0)).to.equal("fire");
+        expect(await v2.getTxCount(0)).to.equal(42);
+    });
+
+    it("passes the mint fee on to V2", async function () {
+        const { v2, migrator, holder, attest } = await loadFixture(deployFixture);
+        const { attestation, signature } = await attest();
+
+        await expect(migrator.connect(holder).migrate(0, attestation, signature, { value: 0 }))
+            .to.be.revertedWith("Incorrect mint fee");
+        await expect(migrator.connect(holder).migrate(0, attestation, signature, { value: MINT_FEE }))
+            .to.changeEtherBalance(v2, MINT_FEE);
+    });
+
+    it("only migrates the caller's own V1 token", async function () {
+        const { migrator, other, attest } = await loadFixture(deployFixture);
+        const { attestation, signature } = await attest({ targetAddress: other.address });
+
+        await expect(migrator.connect(other).migrate(0, attestation, signature, { value: MINT_FEE }))
+            .to.be.revertedWith("Not the V1 token owner");
+    });
+
+    it("requires the attestation to target the holder with the V1 aura type and no linked addresses", async function () {
+        const { migrator, holder, other, attest } = await loadFixture(deployFixture);
+
+        const forOther = await attest({ targetAddress: other.address });
+        await expect(migrator.connect(holder).migrate(0, forOther.attestation, forOther.signature, { value: MINT_FEE }))
+            .to.be.revertedWith("Attestation target mismatch");
+
+        const upgraded = await attest({ auraType: "water" });
+        await expect(migrator.connect(holder).migrate(0, upgraded.attestation, upgraded.signature, { value: MINT_FEE }))
+            .to.be.revertedWith("Aura type mismatch");
+
+        const linked = await attest({ linkedAddresses: [other.address] });
+        await expect(migrator.connect(holder).migrate(0, linked.attestation, linked.signature, { value: MINT_FEE }))
+            .to.be.revertedWith("Migrated auras cannot link addresses");
+    });
+
+    it("rejects attestations not signed by the V2 attester", async function () {
+        const { v2, migrator, holder, other } = await loadFixture(deployFixture);
+        const { attestation, signature } = await signAttestation(v2, other, {
+            targetAddress: holder.address,
+            txCount: 42,
+            auraType: "fire",
+            migration: true,
+        });
+
+        await expect(migrator.connect(holder).migrate(0, attestation, signature, { value: MINT_FEE }))
+            .to.be.revertedWith("Invalid attestation signature");
+    });
+
+    it("only mints migration attestations, and only through the migrator", async function () {
+        const { v1, v2, migrator, holder, attest } = await loadFixture(deployFixture);
+
+        // An ordinary mint attestation can't be passed off as a migration
+        const ordinary = await attest({ migration: false });
+        await expect(migrator.connect(holder).migrate(0, ordinary.attestation, ordinary.signature, { value: MINT_FEE }))
+            .to.be.revertedWith("Invalid attestation signature");
+
+        // A migration attestation can't be minted without locking the V1 token
+        const { attestation, signature } = await attest();
+        await expect(v2.connect(holder).mint(attestation, signature, { value: MINT_FEE }))
+            .to.be.revertedWith("Invalid attestation signature");
+        await expect(v2.connect(holder).mintMigrated(attestation, signature, { value: MINT_FEE }))
+            .to.be.revertedWith("Not the migrator");
+        expect(await v1.ownerOf(0)).to.equal(holder.address);
+
+        await migrator.connect(holder).migrate(0, attestation, signature, { value: MINT_FEE });
+        expect(await v1.ownerOf(0)).to.equal(await migrator.getAddress());
+    });
+
+    it("stops migrating once V2 points elsewhere", async function () {
+        const { v2, migrator, holder, attest } = await loadFixture(deployFixture);
+        await v2.setMigrator(ethers.ZeroAddress);
+        const { attestation, signature } = await attest();
+
+        await expect(migrator.connect(holder).migrate(0, attestation, signature, { value: MINT_FEE }))
+            .to.be.revertedWith("Not the migrator");
+    });
+
+    it("needs the migrator to be approved for the V1 token", async function () {
+        const { v1, migrator, holder, attest } = await loadFixture(deployFixture);
+        await v1.connect(holder).approve(ethers.ZeroAddress, 0);
+        const { attestation, signature } = await attest();
+
+        await expect(migrator.connect(holder).migrate(0, attestation, signature, { value: MINT_FEE }))
+            .to.be.revertedWithCustomError(v1, "ERC721InsufficientApproval");
+    });
+
+    it("cannot migrate into an address that already has a V2 aura", async function () {
+        const { v2, migrator, holder, other, attest } = await loadFixture(deployFixture);
+        const first = await attest({ migration: false });
+        await v2.connect(other).mint(first.attestation, first.signature, { value: MINT_FEE });
+
+        const { attestation, signature } = await attest();
+        await expect(migrator.connect(holder).migrate(0, attestation, signature, { value: MINT_FEE }))
+            .to.be.revertedWith("This address already has an Aura NFT");
+    });
+});
@@ -0,0 +1,997 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signAttestation, decodeTokenURI } = require("./helpers/attestation.cjs");
+const { getBaseAuraV2Factory } = require("./helpers/deploy.cjs");
+
+const MINT_FEE = ethers.parseEther("0.00001");
+const STORM_TIER = {
+    id: "storm",
+    name: "Storm Leviathan",
+    description: "Chain Titan - 2000+ transactions on Base",
+    rarity: "Mythic",
+    minScore: 2000,
+    imageKey: "storm",
+};
+
+const COLLECTION = {
+    description: "Dynamic auras earned by on-chain activity on Base",
+    image: "https://base-aura.vercel.app/collection.png",
+    externalURL: "https://base-aura.vercel.app",
+    animationURI: "",
+};
+
+describe("BaseAuraV2", function () {
+    async function deployFixture() {
+        const [owner, attester, minter, target, other, feeRecipient] = await ethers.getSigners();
+
+        const BaseAuraV2 = await getBaseAuraV2Factory();
+        const baseAura = await BaseAuraV2.deploy("", attester.address, feeRecipient.address, MINT_FEE);
+
+        // Mint an attested aura for a target, paid by `from`
+        const mintFor = async (targetAddress, auraType, txCount, from = minter) => {
+            const { attestation, signature } = await signAttestation(baseAura, attester, {
+                targetAddress,
+                txCount,
+                auraType,
+            });
+            return baseAura.connect(from).mint(attestation, signature, { value: MINT_FEE });
+        };
+
+        return { baseAura, owner, attester, minter, target, other, feeRecipient, mintFor };
+    }
+
+    describe("deployment", function () {
+        it("sets the attester, fee config and default tiers", async function () {
+            const { baseAura, attester, feeRecipient } = await loadFixture(deployFixture);
+
+            expect(await baseAura.attester()).to.equal(attester.address);
+            expect(await baseAura.feeRecipient()).to.equal(feeRecipient.address);
+            expect(await baseAura.mintFee()).to.equal(MINT_FEE);
+            expect(await baseAura.freeSelfMint()).to.equal(false);
+            const tiers = await baseAura.getTiers();
+            expect(tiers.map((tier) => tier.id)).to.deep.equal(["fire", "water", "tide", "rock"]);
+            expect(tiers.map((tier) => tier.minScore)).to.deep.equal([500n, 100n, 10n, 1n]);
+        });
+
+        it("rejects a zero attester or fee recipient", async function () {
+            const [owner] = await ethers.getSigners();
+            const BaseAuraV2 = await getBaseAuraV2Factory();
+
+            await expect(BaseAuraV2.deploy("", ethers.ZeroAddress, owner.address, MINT_FEE))
+                .to.be.revertedWith("Invalid attester");
+            await expect(BaseAuraV2.deploy("", owner.address, ethers.ZeroAddress, MINT_FEE))
+                .to.be.revertedWith("Invalid fee recipient");
+        });
+    });
+
+    describe("mint", function () {
+        it("mints to the target address and records the attested aura", async function () {
+            const { baseAura, minter, target, mintFor } = await loadFixture(deployFixture);
+
+            await expect(mintFor(target.address, "water", 150))
+                .to.emit(baseAura, "AuraMinted")
+                .withArgs(minter.address, target.address, 0, "water");
+
+            expect(await baseAura.ownerOf(0)).to.equal(target.address);
+            expect(await baseAura.hasMinted(target.address)).to.equal(true);
+            expect(await baseAura.getTokenByTargetAddress(target.address)).to.equal(0);
+            expect(await baseAura.getTargetAddress(0)).to.equal(target.address);
+            expect(await baseAura.getAura(0)).to.equal("water");
+            expect(await baseAura.getTxCount(0)).to.equal(150);
+        });
+
+        it("requires the exact mint fee", async function () {
+            const { baseAura, attester, minter, target } = await loadFixture(deployFixture);
+            const { attestation, signature } = await signAttestation(baseAura, attester, {
+                targetAddress: target.address,
+                txCount: 5,
+                auraType: "rock",
+            });
+
+            await expect(baseAura.connect(minter).mint(attestation, signature, { value: MINT_FEE - 1n }))
+                .to.be.revertedWith("Incorrect mint fee");
+            await expect(baseAura.connect(minter).mint(attestation, signature, { value: MINT_FEE + 1n }))
+                .to.be.revertedWith("Incorrect mint fee");
+            await expect(baseAura.connect(minter).mint(attestation, signature)).to.be.revertedWith("Incorrect mint fee");
+        });
+
+        it("keeps the fee in the contract until withdrawn", async function () {
+            const { baseAura, minter, target, feeRecipient, mintFor } = await loadFixture(deployFixture);
+
+            await expect(mintFor(target.address, "rock", 3)).to.changeEtherBalances(
+                [minter, feeRecipient, baseAura],
+                [-MINT_FEE, 0, MINT_FEE]
+            );
+        });
+
+        it("allows only one token per target address", async function () {
+            const { target, mintFor } = await loadFixture(deployFixture);
+            await mintFor(target.address, "rock", 3);
+
+            await expect(mintFor(target.address, "tide", 20)).to.be.revertedWith("This address already has an Aura NFT");
+        });
+
+        it("rejects the zero address", async function () {
+            const { mintFor } = await loadFixture(deployFixture);
+
+            await expect(mintFor(ethers.ZeroAddress, "rock", 3)).to.be.revertedWith("Invalid target address");
+        });
+
+        it("rejects aura types missing from the tier registry", async function () {
+            const { target, mintFor } = await loadFixture(deployFixture);
+
+            await expect(mintFor(target.address, "lava", 3)).to.be.revertedWith("Invalid aura type");
+        });
+    });
+
+    describe("mintBatch", function () {
+        // Sign one attestation per [targetAddress, auraType, txCount] entry
+        async function signBatch(baseAura, attester, entries) {
+            const signed = [];
+            for (const [targetAddress, auraType, txCount] of entries) {
+                signed.push(await signAttestation(baseAura, attester, { targetAddress, txCount, auraType }));
+            }
+            return [signed.map((s) => s.attestation), signed.map((s) => s.signature)];
+        }
+
+        it("mints every target and charges the total fee", async function () {
+            const { baseAura, attester, minter, target, other } = await loadFixture(deployFixture);
+            const [attestations, signatures] = await signBatch(baseAura, attester, [
+                [target.address, "rock", 3],
+                [other.address, "fire", 700],
+            ]);
+
+            const tx = baseAura.connect(minter).mintBatch(attestations, signatures, { value: MINT_FEE * 2n });
+            await expect(tx).to.emit(baseAura, "AuraMinted").withArgs(minter.address, target.address, 0, "rock");
+            await expect(tx).to.changeEtherBalances([minter, baseAura], [-MINT_FEE * 2n, MINT_FEE * 2n]);
+
+            expect(await baseAura.ownerOf(1)).to.equal(other.address);
+            expect(await baseAura.getAura(1)).to.equal("fire");
+            expect(await baseAura.getTxCount(1)).to.equal(700);
+        });
+
+        it("skips targets that already have an aura without charging for them", async function () {
+            const { baseAura, attester, minter, target, other, mintFor } = await loadFixture(deployFixture);
+            await mintFor(target.address, "rock", 3);
+            const [attestations, signatures] = await signBatch(baseAura, attester, [
+                [target.address, "tide", 20],
+                [other.address, "water", 150],
+                [other.address, "fire", 900],
+            ]);
+
+            // Paid for all three, charged for one, refunded the rest
+            const tx = baseAura.connect(minter).mintBatch(attestations, signatures, { value: MINT_FEE * 3n });
+            await expect(tx).to.emit(baseAura, "AuraMintSkipped").withArgs(target.address);
+            await expect(tx).to.changeEtherBalances([minter, baseAura], [-MINT_FEE, MINT_FEE]);
+
+            expect(await baseAura.getAura(0)).to.equal("rock");
+            expect(await baseAura.getAura(1)).to.equal("water");
+            expect(await baseAura.isNonceUsed(attestations[0].nonce)).to.equal(false);
+        });
+
+        it("reverts the whole batch on an invalid entry", async function () {
+            const { baseAura, attester, minter, target, other } = await loadFixture(deployFixture);
+            const [attestations, signatures] = await signBatch(baseAura, attester, [
+                [target.address, "rock", 3],
+                [other.address, "lava", 5],
+            ]);
+
+            await expect(baseAura.connect(minter).mintBatch(attestations, signatures, { value: MINT_FEE * 2n }))
+                .to.be.revertedWith("Invalid aura type");
+
+            signatures[1] = signatures[0];
+            attestations[1] = { ...attestations[1], auraType: "tide" };
+            await expect(baseAura.connect(minter).mintBatch(attestations, signatures, { value: MINT_FEE * 2n }))
+                .to.be.revertedWith("Invalid attestation signature");
+            expect(await baseAura.hasMinted(target.address)).to.equal(false);
+        });
+
+        it("requires the fees of every minted target", async function () {
+            const { baseAura, attester, minter, target, other } = await loadFixture(deployFixture);
+            const [attestations, signatures] = await signBatch(baseAura, attester, [
+                [target.address, "rock", 3],
+                [other.address, "rock", 4],
+            ]);
+
+            await expect(baseAura.connect(minter).mintBatch(attestations, signatures, { value: MINT_FEE * 2n - 1n }))
+                .to.be.revertedWith("Insufficient mint fee");
+        });
+
+        it("rejects empty and mismatched batches", async function () {
+            const { baseAura, attester, minter, target } = await loadFixture(deployFixture);
+            const [attestations, signatures] = await signBatch(baseAura, attester, [[target.address, "rock", 3]]);
+
+            await expect(baseAura.connect(minter).mintBatch([], [])).to.be.revertedWith("Empty batch");
+            await expect(baseAura.connect(minter).mintBatch(attestations, [...signatures, signatures[0]], { value: MINT_FEE }))
+                .to.be.revertedWith("Length mismatch");
+        });
+    });
+
+    describe("aggregate auras", function () {
+        it("mints one aura covering the target and its linked addresses", async function () {
+            const { baseAura, attester, minter, target, other, feeRecipient } = await loadFixture(deployFixture);
+            const { attestation, signature } = await signAttestation(baseAura, attester, {
+                targetAddress: target.address,
+                linkedAddresses: [other.address, feeRecipient.address],
+                txCount: 620,
+                auraType: "fire",
+            });
+
+            await expect(baseAura.connect(minter).mint(attestation, signature, { value: MINT_FEE }))
+                .to.emit(baseAura, "AuraLinked").withArgs(0, other.address)
+                .and.to.emit(baseAura, "AuraLinked").withArgs(0, feeRecipient.address);
+
+            expect(await baseAura.ownerOf(0)).to.equal(target.address);
+            expect(await baseAura.getLinkedAddresses(0)).to.deep.equal([other.address, feeRecipient.address]);
+            expect(await baseAura.hasMinted(other.address)).to.equal(true);
+            expect(await baseAura.getTokenByTargetAddress(feeRecipient.address)).to.equal(0);
+
+            const metadata = decodeTokenURI(await baseAura.tokenURI(0));
+            expect(metadata.linked_addresses).to.deep.equal([other.address.toLowerCase(), feeRecipient.address.toLowerCase()]);
+            expect(metadata.attributes.at(-1)).to.deep.equal({ display_type: "number", trait_type: "Linked Addresses", value: 2 });
+        });
+
+        it("rejects linked addresses that already have or share an aura", async function () {
+            const { baseAura, attester, minter, target, other, mintFor } = await loadFixture(deployFixture);
+            await mintFor(other.address, "rock", 3);
+
+            const mintLinked = async (linkedAddresses) => {
+                const { attestation, signature } = await signAttestation(baseAura, attester, {
+                    targetAddress: target.address,
+                    linkedAddresses,
+                    txCount: 20,
+                    auraType: "tide",
+                });
+                return baseAura.connect(minter).mint(attestation, signature, { value: MINT_FEE });
+            };
+
+            await expect(mintLinked([other.address])).to.be.revertedWith("Linked address already has an Aura NFT");
+            await expect(mintLinked([minter.address, minter.address])).to.be.revertedWith("Linked address already has an Aura NFT");
+            await expect(mintLinked([target.address])).to.be.revertedWith("Invalid linked address");
+            await expect(mintLinked([ethers.ZeroAddress])).to.be.revertedWith("Invalid linked address");
+        });
+
+        it("binds the linked addresses into the attestation signature", async function () {
+            const { baseAura, attester, minter, target, other } = await loadFixture(deployFixture);
+            const { attestation, signature } = await signAttestation(baseAura, attester, {
+                targetAddress: target.address,
+                txCount: 620,
+                auraType: "fire",
+            });
+            const widened = { ...attestation, linkedAddresses: [other.address] };
+
+            await expect(baseAura.connect(minter).mint(widened, signature, { value: MINT_FEE }))
+                .to.be.revertedWith("Invalid attestation signature");
+        });
+
+        it("requires updates to attest the linked addresses recorded at mint", async function () {
+            const { baseAura, attester, minter, target, other } = await loadFixture(deployFixture);
+            const minted = await signAttestation(baseAura, attester, {
+                targetAddress: target.address,
+                linkedAddresses: [other.address],
+                txCount: 40,
+                auraType: "tide",
+            });
+            await baseAura.connect(minter).mint(minted.attestation, minted.signature, { value: MINT_FEE });
+
+            const withoutLinks = await signAttestation(baseAura, attester, {
+                targetAddress: target.address,
+                txCount: 150,
+                auraType: "water",
+            });
+            await expect(baseAura.connect(target).updateAura(0, withoutLinks.attestation, withoutLinks.signature))
+                .to.be.revertedWith("Linked addresses mismatch");
+
+            const withLinks = await signAttestation(baseAura, attester, {
+                targetAddress: target.address,
+                linkedAddresses: [other.address],
+                txCount: 150,
+                auraType: "water",
+            });
+            await baseAura.connect(target).updateAura(0, withLinks.attestation, withLinks.signature);
+            expect(await baseAura.getAura(0)).to.equal("water");
+        });
+    });
+
+    describe("fees", function () {
+        it("lets the owner change the mint fee", async function () {
+            const { baseAura, other, target, mintFor } = await loadFixture(deployFixture);
+            const newFee = ethers.parseEther("0.001");
+
+            await expect(baseAura.connect(other).setMintFee(newFee))
+                .to.be.revertedWithCustomError(baseAura, "OwnableUnauthorizedAccount");
+            await expect(baseAura.setMintFee(newFee)).to.emit(baseAura, "MintFeeUpdated").withArgs(MINT_FEE, newFee);
+
+            expect(await baseAura.getMintFee(other.address, target.address)).to.equal(newFee);
+            await expect(mintFor(target.address, "rock", 3)).to.be.revertedWith("Incorrect mint fee");
+        });
+
+        it("lets the owner change the fee recipient", async function () {
+            const { baseAura, other, feeRecipient } = await loadFixture(deployFixture);
+
+            await expect(baseAura.connect(other).setFeeRecipient(other.address))
+                .to.be.revertedWithCustomError(baseAura, "OwnableUnauthorizedAccount");
+            await expect(baseAura.setFeeRecipient(ethers.ZeroAddress)).to.be.revertedWith("Invalid fee recipient");
+            await expect(baseAura.setFeeRecipient(other.address))
+                .to.emit(baseAura, "FeeRecipientUpdated")
+                .withArgs(feeRecipient.address, other.address);
+        });
+
+        it("withdraws collected fees to the fee recipient", async function () {
+            const { baseAura, owner, minter, target, other, feeRecipient, mintFor } = await loadFixture(deployFixture);
+            await mintFor(target.address, "rock", 3);
+            await mintFor(other.address, "tide", 12);
+
+            await expect(baseAura.connect(minter).withdraw()).to.be.revertedWith("Not authorized to withdraw");
+            const tx = baseAura.connect(owner).withdraw();
+            await expect(tx).to.emit(baseAura, "FeesWithdrawn").withArgs(feeRecipient.address, MINT_FEE * 2n);
+            await expect(tx).to.changeEtherBalances([baseAura, feeRecipient], [-MINT_FEE * 2n, MINT_FEE * 2n]);
+            await expect(baseAura.connect(feeRecipient).withdraw()).to.be.revertedWith("Nothing to withdraw");
+        });
+
+        it("keeps minting open when the fee recipient can't receive ETH", async function () {
+            const { baseAura, target, other, mintFor } = await loadFixture(deployFixture);
+            // The contract itself has no receive function, so it rejects ETH
+            await baseAura.setFeeRecipient(await baseAura.getAddress());
+
+            await mintFor(target.address, "rock", 3);
+            await expect(baseAura.withdraw()).to.be.revertedWith("Withdraw failed");
+
+            await baseAura.setFeeRecipient(other.address);
+            await expect(baseAura.withdraw()).to.changeEtherBalance(other, MINT_FEE);
+        });
+
+        it("makes self-mints free when enabled", async function () {
+            const { baseAura, attester, minter, target, mintFor } = await loadFixture(deployFixture);
+
+            await expect(baseAura.connect(minter).setFreeSelfMint(true))
+                .to.be.revertedWithCustomError(baseAura, "OwnableUnauthorizedAccount");
+            await expect(baseAura.setFreeSelfMint(true)).to.emit(baseAura, "FreeSelfMintUpdated").withArgs(true);
+
+            expect(await baseAura.getMintFee(target.address, target.address)).to.equal(0);
+            expect(await baseAura.getMintFee(minter.address, target.address)).to.equal(MINT_FEE);
+
+            const { attestation, signature } = await signAttestation(baseAura, attester, {
+                targetAddress: target.address,
+                txCount: 3,
+                auraType: "rock",
+            });
+            await expect(baseAura.connect(target).mint(attestation, signature)).to.emit(baseAura, "AuraMinted");
+
+            // Minting for someone else still costs the fee
+            await expect(mintFor(minter.address, "rock", 3, target)).to.emit(baseAura, "AuraMinted");
+        });
+    });
+
+    describe("attestations", function () {
+        it("rejects attestations signed by anyone but the attester", async function () {
+            const { baseAura, minter, target, other } = await loadFixture(deployFixture);
+            const { attestation, signature } = await signAttestation(baseAura, other, {
+                targetAddress: target.address,
+                txCount: 900,
+                auraType: "fire",
+            });
+
+            await expect(baseAura.connect(minter).mint(attestation, signature, { value: MINT_FEE }))
+                .to.be.revertedWith("Invalid attestation signature");
+        });
+
+        it("rejects attestations whose fields were changed after signing", async function () {
+            const { baseAura, attester, minter, target } = await loadFixture(deployFixture);
+            const { attestation, signature } = await signAttestation(baseAura, attester, {
+                targetAddress: target.address,
+                txCount: 3,
+                auraType: "rock",
+            });
+
+            const forged = { ...attestation, auraType: "fire", txCount: 900n };
+            await expect(baseAura.connect(minter).mint(forged, signature, { value: MINT_FEE }))
+                .to.be.revertedWith("Invalid attestation signature");
+
+            const renamed = { ...attestation, name: "vitalik.eth" };
+            await expect(baseAura.connect(minter).mint(renamed, signature, { value: MINT_FEE }))
+                .to.be.revertedWith("Invalid attestation signature");
+        });
+
+        it("rejects expired attestations", async function () {
+            const { baseAura, attester, minter, target } = await loadFixture(deployFixture);
+            const { attestation, signature } = await signAttestation(baseAura, attester, {
+                targetAddress: target.address,
+                txCount: 3,
+                auraType: "rock",
+            });
+
+            await time.increaseTo(attestation.expiry + 1n);
+            await expect(baseAura.connect(minter).mint(attestation, signature, { value: MINT_FEE }))
+                .to.be.revertedWith("Attestation expired");
+        });
+
+        it("consumes each nonce once", async function () {
+            const { baseAura, attester, minter, target, other } = await loadFixture(deployFixture);
+            const first = await signAttestation(baseAura, attester, {
+                targetAddress: target.address,
+                txCount: 3,
+                auraType: "rock",
+                nonce: 42n,
+            });
+            await baseAura.connect(minter).mint(first.attestation, first.signature, { value: MINT_FEE });
+            expect(await baseAura.isNonceUsed(42n)).to.equal(true);
+
+            const reused = await signAttestation(baseAura, attester, {
+                targetAddress: other.address,
+                txCount: 3,
+                auraType: "rock",
+                nonce: 42n,
+            });
+            await expect(baseAura.connect(minter).mint(reused.attestation, reused.signature, { value: MINT_FEE }))
+                .to.be.revertedWith("Attestation already used");
+        });
+
+        it("lets only the owner rotate the attester", async function () {
+            const { baseAura, owner, attester, other, target, mintFor } = await loadFixture(deployFixture);
+
+            await expect(baseAura.connect(other).setAttester(other.address))
+                .to.be.revertedWithCustomError(baseAura, "OwnableUnauthorizedAccount")
+                .withArgs(other.address);
+            await expect(baseAura.setAttester(ethers.ZeroAddress)).to.be.revertedWith("Invalid attester");
+
+            await expect(baseAura.connect(owner).setAttester(other.address))
+                .to.emit(baseAura, "AttesterUpdated")
+                .withArgs(attester.address, other.address);
+
+            // Signatures from the old attester no longer count
+            await expect(mintFor(target.address, "rock", 3)).to.be.revertedWith("Invalid attestation signature");
+        });
+
+        it("keeps migration attestations to the migrator", async function () {
+            const { baseAura, attester, minter, target, other } = await loadFixture(deployFixture);
+            const migration = await signAttestation(baseAura, attester, {
+                targetAddress: target.address,
+                txCount: 3,
+                auraType: "fire",
+                migration: true,
+            });
+
+            await expect(baseAura.connect(minter).mint(migration.attestation, migration.signature, { value: MINT_FEE }))
+                .to.be.revertedWith("Invalid attestation signature");
+            await expect(baseAura.connect(other).mintMigrated(migration.attestation, migration.signature, { value: MINT_FEE }))
+                .to.be.revertedWith("Not the migrator");
+
+            await expect(baseAura.connect(other).setMigrator(other.address))
+                .to.be.revertedWithCustomError(baseAura, "OwnableUnauthorizedAccount");
+            await expect(baseAura.setMigrator(other.address))
+                .to.emit(baseAura, "MigratorUpdated")
+                .withArgs(ethers.ZeroAddress, other.address);
+
+            // The migrator can't use ordinary attestations either
+            const ordinary = await signAttestation(baseAura, attester, { targetAddress: target.address, txCount: 3, auraType: "fire" });
+            await expect(baseAura.connect(other).mintMigrated(ordinary.attestation, ordinary.signature, { value: MINT_FEE }))
+                .to.be.revertedWith("Invalid attestation signature");
+            await expect(baseAura.connect(other).mintMigrated(migration.attestation, migration.signature, { value: MINT_FEE }))
+                .to.emit(baseAura, "AuraMinted")
+                .withArgs(other.address, target.address, 0, "fire");
+        });
+    });
+
+    describe("updateAura", function () {
+        it("lets the token owner apply a new attested aura", async function () {
+            const { baseAura, attester, target, mintFor } = await loadFixture(deployFixture);
+            await mintFor(target.address, "rock", 3);
+
+            const { attestation, signature } = await signAttestation(baseAura, attester, {
+                targetAddress: target.address,
+                txCount: 120,
+                auraType: "water",
+            });
+            const tx = baseAura.connect(target).updateAura(0, attestation, signature);
+            await expect(tx).to.emit(baseAura, "AuraUpdated").withArgs(0, "rock", "water");
+            await expect(tx).to.emit(baseAura, "MetadataUpdate").withArgs(0);
+
+            expect(await baseAura.getAura(0)).to.equal("water");
+            expect(await baseAura.getTxCount(0)).to.equal(120);
+        });
+
+        it("rejects callers that don't own the token", async function () {
+            const { baseAura, attester, minter, target, mintFor } = await loadFixture(deployFixture);
+            await mintFor(target.address, "rock", 3);
+
+            const { attestation, signature } = await signAttestation(baseAura, attester, {
+                targetAddress: target.address,
+                txCount: 120,
+                auraType: "water",
+            });
+            // The minter paid for the token but the target holds it
+            await expect(baseAura.connect(minter).updateAura(0, attestation, signature))
+                .to.be.revertedWith("Not the token owner");
+        });
+
+        it("follows the token after a transfer", async function () {
+            const { baseAura, attester, target, other, mintFor } = await loadFixture(deployFixture);
+            await mintFor(target.address, "rock", 3);
+            await baseAura.connect(target).transferFrom(target.address, other.address, 0);
+
+            const { attestation, signature } = await signAttestation(baseAura, attester, {
+                targetAddress: target.address,
+                txCount: 15,
+                auraType: "tide",
+            });
+            await expect(baseAura.connect(target).updateAura(0, attestation, signature))
+                .to.be.revertedWith("Not the token owner");
+            await expect(baseAura.connect(other).updateAura(0, attestation, signature)).to.emit(baseAura, "AuraUpdated");
+        });
+
+        it("rejects attestations for a different target address", async function () {
+            const { baseAura, attester, target, other, mintFor } = await loadFixture(deployFixture);
+            await mintFor(target.address, "rock", 3);
+
+            const { attestation, signature } = await signAttestation(baseAura, attester, {
+                targetAddress: other.address,
+                txCount: 900,
+                auraType: "fire",
+            });
+            await expect(baseAura.connect(target).updateAura(0, attestation, signature))
+                .to.be.revertedWith("Attestation target mismatch");
+        });
+
+        it("rejects invalid aura types and unknown tokens", async function () {
+            const { baseAura, attester, target, mintFor } = await loadFixture(deployFixture);
+            await mintFor(target.address, "rock", 3);
+
+            const invalid = await signAttestation(baseAura, attester, {
+                targetAddress: target.address,
+                txCount: 3,
+                auraType: "lava",
+            });
+            await expect(baseAura.connect(target).updateAura(0, invalid.attestation, invalid.signature))
+                .to.be.revertedWith("Invalid aura type");
+            await expect(baseAura.connect(target).updateAura(1, invalid.attestation, invalid.signature))
+                .to.be.revertedWithCustomError(baseAura, "ERC721NonexistentToken")
+                .withArgs(1);
+        });
+    });
+
+    describe("refreshAuras", function () {
+        it("lets the owner authorize and revoke updaters", async function () {
+            const { baseAura, other } = await loadFixture(deployFixture);
+
+            await expect(baseAura.connect(other).setUpdater(other.address, true))
+                .to.be.revertedWithCustomError(baseAura, "OwnableUnauthorizedAccount");
+            await expect(baseAura.setUpdater(other.address, true)).to.emit(baseAura, "UpdaterSet").withArgs(other.address, true);
+            expect(await baseAura.updaters(other.address)).to.equal(true);
+
+            await baseAura.setUpdater(other.address, false);
+            expect(await baseAura.updaters(other.address)).to.equal(false);
+        });
+
+        it("moves tokens up and down tiers without their owners", async function () {
+            const { baseAura, attester, target, other, mintFor } = await loadFixture(deployFixture);
+            await mintFor(target.address, "fire", 600);
+            await mintFor(other.address, "rock", 3);
+            await baseAura.setUpdater(attester.address, true);
+
+            const down = await signAttestation(baseAura, attester, { targetAddress: target.address, txCount: 40, auraType: "tide" });
+            const up = await signAttestation(baseAura, attester, { targetAddress: other.address, txCount: 150, auraType: "water" });
+
+            const tx = baseAura.connect(attester).refreshAuras(
+                [0, 1],
+                [down.attestation, up.attestation],
+                [down.signature, up.signature]
+            );
+            await expect(tx).to.emit(baseAura, "AuraUpdated").withArgs(0, "fire", "tide");
+            await expect(tx).to.emit(baseAura, "AuraUpdated").withArgs(1, "rock", "water");
+            await expect(tx).to.emit(baseAura, "MetadataUpdate").withArgs(1);
+
+            expect(await baseAura.getAura(0)).to.equal("tide");
+            expect(await baseAura.getTxCount(0)).to.equal(40);
+            expect(await baseAura.getAura(1)).to.equal("water");
+        });
+
+        it("rejects callers that aren't updaters", async function () {
+            const { baseAura, attester, target, mintFor } = await loadFixture(deployFixture);
+            await mintFor(target.address, "rock", 3);
+            const { attestation, signature } = await signAttestation(baseAura, attester, {
+                targetAddress: target.address,
+                txCount: 15,
+                auraType: "tide",
+            });
+
+            // Even the token owner needs updateAura for its own token
+            await expect(baseAura.connect(target).refreshAuras([0], [attestation], [signature]))
+                .to.be.revertedWith("Not an authorized updater");
+        });
+
+        it("still requires a valid attestation for each token", async function () {
+            const { baseAura, attester, target, other, mintFor } = await loadFixture(deployFixture);
+            await mintFor(target.address, "rock", 3);
+            await baseAura.setUpdater(other.address, true);
+
+            const forOther = await signAttestation(baseAura, attester, { targetAddress: other.address, txCount: 900, auraType: "fire" });
+            await expect(baseAura.connect(other).refreshAuras([0], [forOther.attestation], [forOther.signature]))
+                .to.be.revertedWith("Attestation target mismatch");
+
+            const forged = await signAttestation(baseAura, other, { targetAddress: target.address, txCount: 900, auraType: "fire" });
+            await expect(baseAura.connect(other).refreshAuras([0], [forged.attestation], [forged.signature]))
+                .to.be.revertedWith("Invalid attestation signature");
+
+            await expect(baseAura.connect(other).refreshAuras([5], [forged.attestation], [forged.signature]))
+                .to.be.revertedWith("Token does not exist");
+            await expect(baseAura.connect(other).refreshAuras([0, 1], [forged.attestation], [forged.signature]))
+                .to.be.revertedWith("Length mismatch");
+        });
+    });
+
+    describe("soulbound", function () {
+        it("supports ERC-5192 and starts unlocked", async function () {
+            const { baseAura, target, mintFor } = await loadFixture(deployFixture);
+            await mintFor(target.address, "rock", 3);
+
+            expect(await baseAura.supportsInterface("0xb45a3c0e")).to.equal(true);
+            expect(await baseAura.soulbound()).to.equal(false);
+            expect(await baseAura.locked(0)).to.equal(false);
+            await expect(baseAura.locked(1)).to.be.revertedWith("Token does not exist");
+        });
+
+        it("lets only the owner toggle the switch", async function () {
+            const { baseAura, target, other, mintFor } = await loadFixture(deployFixture);
+            await mintFor(target.address, "rock", 3);
+
+            await expect(baseAura.connect(other).setSoulbound(true))
+                .to.be.revertedWithCustomError(baseAura, "OwnableUnauthorizedAccount");
+            const tx = baseAura.setSoulbound(true);
+            await expect(tx).to.emit(baseAura, "SoulboundUpdated").withArgs(true);
+            await expect(tx).to.emit(baseAura, "BatchMetadataUpdate").withArgs(0, 0);
+            expect(await baseAura.locked(0)).to.equal(true);
+        });
+
+        it("reports toggles collection-wide rather than with per-token ERC-5192 events", async function () {
+            const { baseAura, target, mintFor } = await loadFixture(deployFixture);
+            await mintFor(target.address, "rock", 3);
+
+            const lock = baseAura.setSoulbound(true);
+            await expect(lock).to.emit(baseAura, "SoulboundUpdated").withArgs(true);
+            await expect(lock).not.to.emit(baseAura, "Locked");
+            const unlock = baseAura.setSoulbound(false);
+            await expect(unlock).to.emit(baseAura, "SoulboundUpdated").withArgs(false);
+            await expect(unlock).not.to.emit(baseAura, "Unlocked");
+            expect(await baseAura.locked(0)).to.equal(false);
+        });
+
+        it("blocks transfers while enabled and allows them again once disabled", async function () {
+            const { baseAura, target, other, mintFor } = await loadFixture(deployFixture);
+            await mintFor(target.address, "rock", 3);
+            await baseAura.setSoulbound(true);
+
+            await expect(baseAura.connect(target).transferFrom(target.address, other.address, 0))
+                .to.be.revertedWith("Aura is soulbound");
+            await expect(
+                baseAura.connect(target)["safeTransferFrom(address,address,uint256)"](target.address, other.address, 0)
+            ).to.be.revertedWith("Aura is soulbound");
+
+            await baseAura.setSoulbound(false);
+            await baseAura.connect(target).transferFrom(target.address, other.address, 0);
+            expect(await baseAura.ownerOf(0)).to.equal(other.address);
+        });
+
+        it("still mints to the target address and emits Locked", async function () {
+            const { baseAura, target, mintFor } = await loadFixture(deployFixture);
+            await baseAura.setSoulbound(true);
+
+            const tx = mintFor(target.address, "rock", 3);
+            await expect(tx).to.emit(baseAura, "Locked").withArgs(0);
+            expect(await baseAura.ownerOf(0)).to.equal(target.address);
+        });
+    });
+
+    describe("metadata updates", function () {
+        it("supports ERC-4906", async function () {
+            const { baseAura } = await loadFixture(deployFixture);
+
+            expect(await baseAura.supportsInterface("0x49064906")).to.equal(true);
+        });
+
+        it("refreshes every token when tiers or the image override change", async function () {
+            const { baseAura, target, other, mintFor } = await loadFixture(deployFixture);
+
+            // Nothing to refresh before the first mint
+            await expect(baseAura.setTier(STORM_TIER)).not.to.emit(baseAura, "BatchMetadataUpdate");
+
+            await mintFor(target.address, "rock", 3);
+            await mintFor(other.address, "tide", 12);
+            await expect(baseAura.setTier(STORM_TIER)).to.emit(baseAura, "BatchMetadataUpdate").withArgs(0, 1);
+            await expect(baseAura.removeTier("storm")).to.emit(baseAura, "BatchMetadataUpdate").withArgs(0, 1);
+            await expect(baseAura.setBaseImageURI("ipfs://images/")).to.emit(baseAura, "BatchMetadataUpdate").withArgs(0, 1);
+        });
+    });
+
+    describe("tokenURI", function () {
+        it("encodes the tier, target address and tx count as JSON metadata", async function () {
+            const { baseAura, target, mintFor } = await loadFixture(deployFixture);
+            await mintFor(target.address, "fire", 640);
+
+            const metadata = decodeTokenURI(await baseAura.tokenURI(0));
+            expect(metadata.name).to.equal("Base Aura #0 - Fire Whale");
+            expect(metadata.description).to.equal("DeFi Power User - aura score 500+");
+            expect(metadata.attributes).to.deep.equal([
+                { trait_type: "Aura Type", value: "Fire Whale" },
+                { trait_type: "Tier", value: "Legendary" },
+                { trait_type: "Target Address", value: target.address.toLowerCase() },
+                { display_type: "number", trait_type: "Transactions", value: 640 },
+                { display_type: "number", trait_type: "Linked Addresses", value: 0 },
+            ]);
+            expect(metadata.linked_addresses).to.deep.equal([]);
+        });
+
+        it("adds the attested name as an attribute and keeps it current on update", async function () {
+            const { baseAura, attester, minter, target } = await loadFixture(deployFixture);
+            const minted = await signAttestation(baseAura, attester, {
+                targetAddress: target.address,
+                txCount: 42,
+                auraType: "tide",
+                name: "jesse.base.eth",
+            });
+            await baseAura.connect(minter).mint(minted.attestation, minted.signature, { value: MINT_FEE });
+
+            expect(await baseAura.getName(0)).to.equal("jesse.base.eth");
+            const { attributes } = decodeTokenURI(await baseAura.tokenURI(0));
+            expect(attributes.at(-1)).to.deep.equal({ trait_type: "Name", value: "jesse.base.eth" });
+
+            const renamed = await signAttestation(baseAura, attester, {
+                targetAddress: target.address,
+                txCount: 150,
+                auraType: "water",
+                name: "",
+            });
+            await baseAura.connect(target).updateAura(0, renamed.attestation, renamed.signature);
+
+            expect(await baseAura.getName(0)).to.equal("");
+            const updated = decodeTokenURI(await baseAura.tokenURI(0));
+            expect(updated.attributes.map((attribute) => attribute.trait_type)).to.not.include("Name");
+        });
+
+        it("renders the image on-chain as SVG", async function () {
+            const { baseAura, target, mintFor } = await loadFixture(deployFixture);
+            await mintFor(target.address, "tide", 42);
+
+            const { image } = decodeTokenURI(await baseAura.tokenURI(0));
+            const prefix = "data:image/svg+xml;base64,";
+            expect(image.startsWith(prefix)).to.equal(true);
+
+            const svg = Buffer.from(image.slice(prefix.length), "base64").toString("utf8");
+            expect(svg).to.match(/^<svg /);
+            expect(svg).to.contain("Tide Watcher");
+            expect(svg).to.contain("#0 | 42 txs");
+            expect(svg).to.contain(target.address.toLowerCase());
+        });
+
+        it("escapes markup in tier names and matches the frontend preview byte for byte", async function () {
+            const { baseAura, target, mintFor } = await loadFixture(deployFixture);
+            const name = "Fire & <Ice> \"ünï\" 🔥";
+            await baseAura.setTier({ ...STORM_TIER, name, minScore: 1 });
+            await mintFor(target.address, "storm", 42);
+
+            const { image } = decodeTokenURI(await baseAura.tokenURI(0));
+            const svg = Buffer.from(image.slice("data:image/svg+xml;base64,".length), "base64").toString("utf8");
+            expect(svg).to.contain("Fire &amp; &lt;Ice&gt; &quot;ünï&quot; 🔥");
+
+            const { renderAuraDataUri } = await import("../src/lib/auraRenderer.js");
+            expect(renderAuraDataUri({
+                imageKey: STORM_TIER.imageKey,
+                auraName: name,
+                targetAddress: target.address,
+                tokenId: 0,
+                txCount: 42,
+            })).to.equal(image);
+        });
+
+        it("uses the base image URI override when set", async function () {
+            const { baseAura, target, mintFor } = await loadFixture(deployFixture);
+            await mintFor(target.address, "tide", 42);
+            await baseAura.setBaseImageURI("https://example.com/images/");
+
+            const { image } = decodeTokenURI(await baseAura.tokenURI(0));
+            expect(image).to.equal("https://example.com/images/tide.png");
+        });
+
+        it("reverts for tokens that don't exist", async function () {
+            const { baseAura } = await loadFixture(deployFixture);
+
+            await expect(baseAura.tokenURI(0)).to.be.revertedWith("Token does not exist");
+        });
+
+        it("links each token to the app's share page and its animation once configured", async function () {
+            const { baseAura, target, mintFor } = await loadFixture(deployFixture);
+            await mintFor(target.address, "tide", 42);
+
+            const before = decodeTokenURI(await baseAura.tokenURI(0));
+            expect(before).to.not.have.property("external_url");
+            expect(before).to.not.have.property("animation_url");
+
+            await baseAura.setCollectionMetadata({
+                ...COLLECTION,
+                animationURI: "https://base-aura.vercel.app/api/animation?token=",
+            });
+            const { chainId } = await ethers.provider.getNetwork();
+            const metadata = decodeTokenURI(await baseAura.tokenURI(0));
+            expect(metadata.external_url)
+                .to.equal(`https://base-aura.vercel.app/aura/${target.address.toLowerCase()}?chain=${chainId}`);
+            expect(metadata.animation_url).to.equal("https://base-aura.vercel.app/api/animation?token=0");
+        });
+
+        it("escapes tier text and names so the JSON always parses", async function () {
+            const { baseAura, attester, minter, target } = await loadFixture(deployFixture);
+            const tricky = 'Say "hi" \\ </svg>\n\t\u0001 ünïcode';
+            await baseAura.setTier({ ...STORM_TIER, name: tricky, description: tricky, rarity: tricky, minScore: 1 });
+            const { attestation, signature } = await signAttestation(baseAura, attester, {
+                targetAddress: target.address,
+                txCount: 7,
+                auraType: "storm",
+                name: tricky,
+            });
+            await baseAura.connect(minter).mint(attestation, signature, { value: MINT_FEE });
+            await baseAura.setBaseImageURI('https://example.com/"quoted"/');
+
+            const metadata = decodeTokenURI(await baseAura.tokenURI(0));
+            expect(metadata.name).to.equal(`Base Aura #0 - ${tricky}`);
+            expect(metadata.description).to.equal(tricky);
+            expect(metadata.image).to.equal('https://example.com/"quoted"/storm.png');
+            expect(metadata.attributes[0]).to.deep.equal({ trait_type: "Aura Type", value: tricky });
+            expect(metadata.attributes[1]).to.deep.equal({ trait_type: "Tier", value: tricky });
+            expect(metadata.attributes.at(-1)).to.deep.equal({ trait_type: "Name", value: tricky });
+        });
+    });
+
+    describe("royalties", function () {
+        it("supports ERC-2981 and charges no royalty until one is set", async function () {
+            const { baseAura } = await loadFixture(deployFixture);
+
+            expect(await baseAura.supportsInterface("0x2a55205a")).to.equal(true);
+            expect(await baseAura.royaltyInfo(0, ethers.parseEther("1"))).to.deep.equal([ethers.ZeroAddress, 0n]);
+        });
+
+        it("lets the owner set the royalty paid on every sale", async function () {
+            const { baseAura, target, feeRecipient, mintFor } = await loadFixture(deployFixture);
+            await mintFor(target.address, "rock", 3);
+
+            await expect(baseAura.setDefaultRoyalty(feeRecipient.address, 500))
+                .to.emit(baseAura, "RoyaltyUpdated").withArgs(feeRecipient.address, 500)
+                .and.to.emit(baseAura, "ContractURIUpdated");
+            expect(await baseAura.royaltyInfo(0, ethers.parseEther("1")))
+                .to.deep.equal([feeRecipient.address, ethers.parseEther("0.05")]);
+
+            await baseAura.setDefaultRoyalty(feeRecipient.address, 0);
+            expect((await baseAura.royaltyInfo(0, ethers.parseEther("1")))[1]).to.equal(0n);
+        });
+
+        it("is restricted to the owner and capped at 100%", async function () {
+            const { baseAura, other } = await loadFixture(deployFixture);
+
+            await expect(baseAura.connect(other).setDefaultRoyalty(other.address, 500))
+                .to.be.revertedWithCustomError(baseAura, "OwnableUnauthorizedAccount")
+                .withArgs(other.address);
+            await expect(baseAura.setDefaultRoyalty(other.address, 10001))
+                .to.be.revertedWithCustomError(baseAura, "ERC2981InvalidDefaultRoyalty");
+            await expect(baseAura.setDefaultRoyalty(ethers.ZeroAddress, 500))
+                .to.be.revertedWithCustomError(baseAura, "ERC2981InvalidDefaultRoyaltyReceiver");
+        });
+    });
+
+    describe("contractURI", function () {
+        it("starts with the collection name only", async function () {
+            const { baseAura } = await loadFixture(deployFixture);
+
+            expect(decodeTokenURI(await baseAura.contractURI())).to.deep.equal({ name: "Base Aura", description: "" });
+        });
+
+        it("reports the owner-set collection metadata and royalty", async function () {
+            const { baseAura, feeRecipient } = await loadFixture(deployFixture);
+
+            await expect(baseAura.setCollectionMetadata({ ...COLLECTION, description: 'Auras "earned"\non Base' }))
+                .to.emit(baseAura, "ContractURIUpdated");
+            await baseAura.setDefaultRoyalty(feeRecipient.address, 250);
+
+            expect(decodeTokenURI(await baseAura.contractURI())).to.deep.equal({
+                name: "Base Aura",
+                description: 'Auras "earned"\non Base',
+                image: COLLECTION.image,
+                external_link: COLLECTION.externalURL,
+                seller_fee_basis_points: 250,
+                fee_recipient: feeRecipient.address.toLowerCase(),
+            });
+        });
+
+        it("refreshes every token's metadata when the collection metadata changes", async function () {
+            const { baseAura, target, other, mintFor } = await loadFixture(deployFixture);
+            await mintFor(target.address, "rock", 3);
+            await mintFor(other.address, "tide", 12);
+
+            await expect(baseAura.setCollectionMetadata(COLLECTION))
+                .to.emit(baseAura, "BatchMetadataUpdate").withArgs(0, 1);
+        });
+
+        it("is restricted to the owner", async function () {
+            const { baseAura, other } = await loadFixture(deployFixture);
+
+            await expect(baseAura.connect(other).setCollectionMetadata(COLLECTION))
+                .to.be.revertedWithCustomError(baseAura, "OwnableUnauthorizedAccount")
+                .withArgs(other.address);
+        });
+    });
+
+    describe("views", function () {
+        it("bounds-checks token lookups", async function () {
+            const { baseAura, target, mintFor } = await loadFixture(deployFixture);
+            await mintFor(target.address, "rock", 3);
+
+            expect(await baseAura.getTargetAddress(0)).to.equal(target.address);
+            await expect(baseAura.getTargetAddress(1)).to.be.revertedWith("Token does not exist");
+            await expect(baseAura.getAura(1)).to.be.revertedWith("Token does not exist");
+            await expect(baseAura.getTxCount(1)).to.be.revertedWith("Token does not exist");
+            await expect(baseAura.getLinkedAddresses(1)).to.be.revertedWith("Token does not exist");
+        });
+
+        it("reverts target lookups for addresses without a token", async function () {
+            const { baseAura, other } = await loadFixture(deployFixture);
+
+            expect(await baseAura.hasMinted(other.address)).to.equal(false);
+            await expect(baseAura.getTokenByTargetAddress(other.address)).to.be.revertedWith("Address has no Aura NFT");
+        });
+    });
+
+    describe("setBaseImageURI", function () {
+        it("is restricted to the owner", async function () {
+            const { baseAura, other } = await loadFixture(deployFixture);
+
+            await expect(baseAura.connect(other).setBaseImageURI("ipfs://x/"))
+                .to.be.revertedWithCustomError(baseAura, "OwnableUnauthorizedAccount")
+                .withArgs(other.address);
+
+            await baseAura.setBaseImageURI("ipfs://x/");
+            expect(await baseAura.baseImageURI()).to.equal("ipfs://x/");
+        });
+    });
+
+    describe("tier registry", function () {
+        it("lets the owner add a tier that can then be minted", async function () {
+            const { baseAura, target, mintFor } = await loadFixture(deployFixture);
+
+            await expect(baseAura.setTier(STORM_TIER))
+                .to.emit(baseAura, "TierSet")
+                .withArgs("storm", "Storm Leviathan", 2000);
+            await mintFor(target.address, "storm", 2500);
+
+            const metadata = decodeTokenURI(await baseAura.tokenURI(0));
+            expect(metadata.name).to.equal("Base Aura #0 - Storm Leviathan");
+            expect(metadata.attributes[1]).to.deep.equal({ trait_type: "Tier", value: "Mythic" });
+        });
+
+        it("updates existing tiers in place", async function () {
+            const { baseAura } = await loadFixture(deployFixture);
+
+            await baseAura.setTier({ ...STORM_TIER, id: "rock", name: "Bedrock", minScore: 2 });
+            const tiers = await baseAura.getTiers();
+            expect(tiers).to.have.length(4);
+            expect((await baseAura.getTier("rock")).name).to.equal("Bedrock");
+        });
+
+        it("removes tiers so they can no longer be minted", async function () {
+            const { baseAura, target, mintFor } = await loadFixture(deployFixture);
+
+            await expect(baseAura.removeTier("water")).to.emit(baseAura, "TierRemoved").withArgs("water");
+            expect((await baseAura.getTiers()).map((tier) => tier.id)).to.not.include("water");
+            await expect(baseAura.getTier("water")).to.be.revertedWith("Tier does not exist");
+            await expect(baseAura.removeTier("water")).to.be.revertedWith("Tier does not exist");
+            await expect(mintFor(target.address, "water", 150)).to.be.revertedWith("Invalid aura type");
+        });
+
+        it("is restricted to the owner", async function () {
+            const { baseAura, other } = await loadFixture(deployFixture);
+
+            await expect(baseAura.connect(other).setTier(STORM_TIER))
+                .to.be.revertedWithCustomError(baseAura, "OwnableUnauthorizedAccount");
+            await expect(baseAura.connect(other).removeTier("rock"))
+                .to.be.revertedWithCustomError(baseAura, "OwnableUnauthorizedAccount");
+            await expect(baseAura.setTier({ ...STORM_TIER, id: "" })).to.be.revertedWith("Invalid tier ID");
+        });
+    });
+});
@@ -0,0 +1,110 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, artifacts, network: hardhatNetwork } = require("hardhat");
+const { signAttestation } = require("../helpers/attestation.cjs");
+const { captureErrors } = require("../helpers/console.cjs");
+const { getBaseAuraV2Factory } = require("../helpers/deploy.cjs");
+const { listen, serveNetwork } = require("../helpers/servers.cjs");
+
+const MINT_FEE = ethers.parseEther("0.00001");
+
+// Aura event index (api/_lib/indexer.js) synced from the in-process network through a flaky RPC proxy
+describe("Aura indexer", function () {
+    let rpc;
+    let proxy;
+    let storeDir;
+    let savedStoreDir;
+    let indexer;
+    let network;
+    let baseAura;
+    let attester;
+    // Calls of failMethod after the first failAfter of them answer 500
+    let failMethod = null;
+    let failAfter = 0;
+    const logged = captureErrors();
+
+    before(async function () {
+        let owner;
+        [owner, attester] = await ethers.getSigners();
+        const BaseAuraV2 = await getBaseAuraV2Factory();
+        baseAura = await BaseAuraV2.deploy("", attester.address, owner.address, MINT_FEE);
+
+        rpc = await serveNetwork(hardhatNetwork.provider);
+        proxy = await listen(async (req, res) => {
+            const chunks = [];
+            for await (const chunk of req) chunks.push(chunk);
+            const body = Buffer.concat(chunks).toString();
+
+            if (JSON.parse(body).method === failMethod && failAfter-- <= 0) {
+                res.writeHead(500);
+                return res.end();
+            }
+            const response = await fetch(rpc.url, { method: "POST", headers: { "Content-Type": "application/json" }, body });
+            res.writeHead(response.status, { "Content-Type": "application/json" });
+            res.end(await response.text());
+        });
+
+        storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "base-aura-index-"));
+        savedStoreDir = process.env.INDEXER_STORE_DIR;
+        process.env.INDEXER_STORE_DIR = storeDir;
+
+        indexer = await import("../../api/_lib/indexer.js");
+        network = {
+            key: "indexerTest",
+            contractAddress: await baseAura.getAddress(),
+            contractAbi: (await artifacts.readArtifact("BaseAuraV2")).abi,
+            rpcUrl: proxy.url,
+            startBlock: 0,
+        };
+    });
+
+    after(async function () {
+        await Promise.all([proxy?.close(), rpc?.close()]);
+        if (savedStoreDir === undefined) delete process.env.INDEXER_STORE_DIR;
+        else process.env.INDEXER_STORE_DIR = savedStoreDir;
+        if (storeDir) fs.rmSync(storeDir, { recursive: true, force: true });
+    });
+
+    async function mint(target, linkedAddresses = []) {
+        const { attestation, signature } = await signAttestation(baseAura, attester, {
+            targetAddress: target,
+            linkedAddresses,
+            txCount: 42,
+            auraType: "tide",
+        });
+        await (await baseAura.mint(attestation, signature, { value: MINT_FEE })).wait();
+    }
+
+    it("keeps the stored index untouched when a sync fails partway through a range", async function () {
+        const [, , first, linked, second] = await ethers.getSigners();
+        await mint(first.address, [linked.address]);
+        await mint(second.address);
+
+        // The mints landed in two blocks; the second block's timestamp lookup fails
+        failMethod = "eth_getBlockByNumber";
+        failAfter = 1;
+        const failed = await indexer.syncIndex(network);
+        failMethod = null;
+
+        expect(failed.lastBlock).to.equal(null);
+        expect(failed.tokens).to.deep.equal({});
+        expect(logged().some(([message]) => message === "Aura index sync error:")).to.equal(true);
+
+        const index = await indexer.syncIndex(network);
+        expect(Object.keys(index.tokens)).to.deep.equal(["0", "1"]);
+        expect(index.tokens["0"].history.map((entry) => entry.event)).to.deep.equal(["minted"]);
+        expect(index.tokens["0"].linkedAddresses).to.deep.equal([linked.address.toLowerCase()]);
+        expect(index.tokens["1"].history.map((entry) => entry.event)).to.deep.equal(["minted"]);
+        expect(index.tokens["1"].txCount).to.equal(42);
+    });
+
+    it("replays nothing twice once caught up", async function () {
+        const before = await indexer.syncIndex(network);
+        const after = await indexer.syncIndex(network);
+
+        expect(after.tokens).to.deep.equal(before.tokens);
+        expect(after.tokens["0"].history).to.have.length(1);
+    });
+});
@@ -0,0 +1,136 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, artifacts, network: hardhatNetwork } = require("hardhat");
+const { signAttestation } = require("../helpers/attestation.cjs");
+const { captureErrors } = require("../helpers/console.cjs");
+const { getBaseAuraV2Factory } = require("../helpers/deploy.cjs");
+const { makeTransactions, startMockExplorer } = require("../helpers/explorer.cjs");
+const { serveNetwork } = require("../helpers/servers.cjs");
+
+const MINT_FEE = ethers.parseEther("0.00001");
+
+// Keeper scans (api/_lib/keeper.js) over indexed tokens, scored against a mock Basescan
+describe("Aura keeper", function () {
+    let rpc;
+    let explorer;
+    let storeDir;
+    let savedEnv;
+    let keeper;
+    let network;
+    let targets;
+    let baseAura;
+    let attesterKey;
+    // Name lookups find no resolver on the local network and log it
+    captureErrors();
+
+    before(async function () {
+        const [owner, attester] = await ethers.getSigners();
+        const BaseAuraV2 = await getBaseAuraV2Factory();
+        baseAura = await BaseAuraV2.deploy("", attester.address, owner.address, MINT_FEE);
+
+        rpc = await serveNetwork(hardhatNetwork.provider);
+        explorer = await startMockExplorer();
+        storeDir = fs.mkdtempSync(path.join(os.tmpdir(), "base-aura-keeper-"));
+        const { generatePrivateKey } = await import("viem/accounts");
+        attesterKey = generatePrivateKey();
+
+        const env = {
+            INDEXER_STORE_DIR: storeDir,
+            ATTESTER_PRIVATE_KEY: attesterKey,
+            ENS_RPC_URL: rpc.url,
+            TX_PROVIDERS: "etherscan",
+            CACHE_STORE: "memory",
+            ETHERSCAN_API_URL: undefined,
+            TXCOUNT_INCLUDE: undefined,
+        };
+        savedEnv = Object.fromEntries(Object.keys(env).map((key) => [key, process.env[key]]));
+        setEnv(env);
+
+        // Three tide auras for fresh addresses, so no other suite's cached scores apply
+        // Only the second one's history now earns water
+        targets = Array.from({ length: 3 }, () => ethers.Wallet.createRandom());
+        for (const target of targets) {
+            const { attestation, signature } = await signAttestation(baseAura, attester, {
+                targetAddress: target.address,
+                txCount: 5,
+                auraType: "tide",
+            });
+            await (await baseAura.mint(attestation, signature, { value: MINT_FEE })).wait();
+        }
+        explorer.addTransactions(targets[0].address, makeTransactions(targets[0].address, 5, { daysAgo: 100 }));
+        explorer.addTransactions(targets[1].address, makeTransactions(targets[1].address, 35, { daysAgo: 100 }));
+        explorer.addTransactions(targets[2].address, makeTransactions(targets[2].address, 5, { daysAgo: 100 }));
+
+        keeper = await import("../../api/_lib/keeper.js");
+        network = {
+            key: "keeperTest",
+            chainId: Number((await ethers.provider.getNetwork()).chainId),
+            contractAddress: await baseAura.getAddress(),
+            contractAbi: (await artifacts.readArtifact("BaseAuraV2")).abi,
+            rpcUrl: rpc.url,
+            explorerApiUrl: explorer.url,
+            startBlock: 0,
+        };
+    });
+
+    after(async function () {
+        await Promise.all([explorer?.close(), rpc?.close()]);
+        if (savedEnv) setEnv(savedEnv);
+        if (storeDir) fs.rmSync(storeDir, { recursive: true, force: true });
+    });
+
+    function setEnv(values) {
+        for (const [key, value] of Object.entries(values)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    }
+
+    it("scans a page of tokens and points the next scan past it", async function () {
+        const first = await keeper.findStaleAuras(network, { offset: 0, limit: 2 });
+        expect(first).to.deep.include({ offset: 0, checked: 2, total: 3, nextOffset: 2, errors: [] });
+        expect(first.stale.map(({ tokenId, from, to }) => ({ tokenId, from, to })))
+            .to.deep.equal([{ tokenId: "1", from: "tide", to: "water" }]);
+
+        const last = await keeper.findStaleAuras(network, { offset: first.nextOffset, limit: 2 });
+        expect(last).to.deep.include({ offset: 2, checked: 1, total: 3, nextOffset: 0, stale: [] });
+    });
+
+    it("starts over from the first token once the cursor is past the last one", async function () {
+        const scan = await keeper.findStaleAuras(network, { offset: 5, limit: 2 });
+        expect(scan).to.deep.include({ checked: 0, nextOffset: 0 });
+    });
+
+    it("keeps the scan cursor per network in the cache store", async function () {
+        expect(await keeper.getScanCursor(network)).to.equal(0);
+
+        await keeper.setScanCursor(network, 2);
+        expect(await keeper.getScanCursor(network)).to.equal(2);
+        expect(await keeper.getScanCursor({ ...network, chainId: network.chainId + 1 })).to.equal(0);
+    });
+
+    it("refreshes stale auras, leaving out and reporting the refreshes that would revert", async function () {
+        const { createPublicClient, createWalletClient, http } = await import("viem");
+        const { privateKeyToAccount } = await import("viem/accounts");
+        const { hardhat } = await import("viem/chains");
+        const [, , updater] = await ethers.getSigners();
+        await (await baseAura.setAttester(privateKeyToAccount(attesterKey).address)).wait();
+        await (await baseAura.setUpdater(updater.address, true)).wait();
+
+        const chain = { ...hardhat, id: network.chainId };
+        const walletClient = createWalletClient({ account: updater.address, chain, transport: http(rpc.url) });
+        const publicClient = createPublicClient({ chain, transport: http(rpc.url) });
+
+        const { stale } = await keeper.findStaleAuras(network);
+        // A token that was never minted can't be refreshed
+        const missing = { ...stale[0], tokenId: "99" };
+        const { transactions, errors } = await keeper.refreshStaleAuras(network, walletClient, publicClient, [missing, ...stale]);
+
+        expect(transactions).to.have.length(1);
+        expect(errors.map(({ tokenId }) => tokenId)).to.deep.equal(["99"]);
+        expect(errors[0].error).to.match(/Token does not exist/);
+        expect(await baseAura.getAura(1)).to.equal("water");
+    });
+});
@@ -0,0 +1,175 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { captureErrors } = require("../helpers/console.cjs");
+const { makeTransactions, startMockExplorer } = require("../helpers/explorer.cjs");
+const { listen } = require("../helpers/servers.cjs");
+
+// Transactions sent by `from` in the given blocks
+function inBlocks(from, blocks) {
+    return makeTransactions(from, blocks.length).map((tx, i) => ({ ...tx, blockNumber: String(blocks[i]) }));
+}
+
+// Chain data providers (api/_lib/providers) against a mock Basescan and a mock Blockscout
+describe("Tx providers", function () {
+    let explorer;
+    let providers;
+    const logged = captureErrors();
+
+    before(async function () {
+        explorer = await startMockExplorer();
+        providers = {
+            ...(await import("../../api/_lib/providers/etherscan.js")),
+            ...(await import("../../api/_lib/providers/indexer.js")),
+            ...(await import("../../api/_lib/providers/index.js")),
+        };
+    });
+
+    after(async function () {
+        await explorer?.close();
+    });
+
+    afterEach(function () {
+        explorer.setDown(false);
+    });
+
+    // An etherscan provider on the mock explorer with small pages, so paging needs few transactions
+    const etherscan = (options = {}) => providers.createEtherscanProvider({ apiUrl: explorer.url, pageSize: 3, ...options });
+
+    describe("etherscan paging", function () {
+        it("stops after an exactly full final page", async function () {
+            const address = ethers.Wallet.createRandom().address;
+            explorer.addTransactions(address, inBlocks(address, [1, 2, 3]));
+
+            const result = await etherscan().getTxCount(address, ["normal"]);
+            expect(result.txCount).to.equal(3);
+            expect(result.complete).to.equal(true);
+            expect(result.lastBlock).to.equal(3);
+        });
+
+        it("re-reads the last block of a page so a block split across pages counts once", async function () {
+            const address = ethers.Wallet.createRandom().address;
+            explorer.addTransactions(address, inBlocks(address, [1, 1, 2, 2, 3, 3]));
+
+            const result = await etherscan().getTxCount(address, ["normal"]);
+            expect(result.txCount).to.equal(6);
+            expect(result.breakdown).to.deep.equal({ normal: 6 });
+            expect(result.complete).to.equal(true);
+        });
+
+        it("reports a truncated count as incomplete after maxPages", async function () {
+            const address = ethers.Wallet.createRandom().address;
+            explorer.addTransactions(address, inBlocks(address, [1, 2, 3, 4, 5, 6, 7, 8, 9]));
+
+            const result = await etherscan({ maxPages: 2 }).getTxCount(address, ["normal"]);
+            expect(result.txCount).to.equal(5);
+            expect(result.complete).to.equal(false);
+        });
+
+        it("reports a count as incomplete when one block fills a whole page", async function () {
+            const address = ethers.Wallet.createRandom().address;
+            explorer.addTransactions(address, inBlocks(address, [1, 2, 2, 2, 2, 3]));
+
+            const result = await etherscan().getTxCount(address, ["normal"]);
+            expect(result.complete).to.equal(false);
+        });
+
+        it("counts a transaction listed in several categories once", async function () {
+            const address = ethers.Wallet.createRandom().address;
+            const transactions = inBlocks(address, [1, 2]);
+            explorer.addTransactions(address, transactions);
+            explorer.addTransactions(address, [transactions[1]], "erc20");
+
+            const result = await etherscan().getTxCount(address, ["normal", "erc20"]);
+            expect(result.txCount).to.equal(2);
+            expect(result.breakdown).to.deep.equal({ normal: 2, erc20: 1 });
+        });
+
+        it("counts only transactions from fromBlock on", async function () {
+            const address = ethers.Wallet.createRandom().address;
+            explorer.addTransactions(address, inBlocks(address, [1, 2, 3, 4]));
+
+            const result = await etherscan().getTxCount(address, ["normal"], { fromBlock: 3 });
+            expect(result.txCount).to.equal(2);
+            expect(result.lastBlock).to.equal(4);
+        });
+    });
+
+    describe("failover", function () {
+        const backup = {
+            name: "backup",
+            async getTxCount() {
+                return { txCount: 7, breakdown: { normal: 7 }, complete: false, nonce: 7 };
+            },
+        };
+
+        it("moves on to the next provider when the first one errors", async function () {
+            const address = ethers.Wallet.createRandom().address;
+            explorer.setDown(true);
+
+            const result = await providers.countWithFailover([etherscan(), backup], address, ["normal"]);
+            expect(result.provider).to.equal("backup");
+            expect(result.txCount).to.equal(7);
+            expect(logged().map(([message]) => message)).to.deep.equal(["Tx provider etherscan failed:"]);
+        });
+
+        it("uses the first provider that answers", async function () {
+            const address = ethers.Wallet.createRandom().address;
+            explorer.addTransactions(address, inBlocks(address, [1]));
+
+            const result = await providers.countWithFailover([etherscan(), backup], address, ["normal"]);
+            expect(result.provider).to.equal("etherscan");
+            expect(result.txCount).to.equal(1);
+        });
+
+        it("throws the last error when every provider fails", async function () {
+            const address = ethers.Wallet.createRandom().address;
+            explorer.setDown(true);
+            const broken = { name: "broken", getTxCount: async () => { throw new Error("broken too"); } };
+
+            let error;
+            try {
+                await providers.countWithFailover([etherscan(), broken], address, ["normal"]);
+            } catch (err) {
+                error = err;
+            }
+            expect(error?.message).to.equal("broken too");
+        });
+
+        it("only asks providers that return activity for scoring", async function () {
+            const address = ethers.Wallet.createRandom().address;
+            explorer.addTransactions(address, inBlocks(address, [1, 2]));
+
+            expect(await providers.activityWithFailover([backup], address, ["normal"])).to.equal(null);
+            const result = await providers.activityWithFailover([backup, etherscan()], address, ["normal"]);
+            expect(result.provider).to.equal("etherscan");
+            expect(result.activity.transactions).to.have.length(2);
+        });
+    });
+
+    describe("indexer", function () {
+        let blockscout;
+
+        before(async function () {
+            blockscout = await listen((req, res) => {
+                res.writeHead(200, { "Content-Type": "application/json" });
+                res.end(JSON.stringify({ transactions_count: "12", token_transfers_count: "5" }));
+            });
+        });
+
+        after(async function () {
+            await blockscout?.close();
+        });
+
+        it("reports token transfers under the shared category keys", async function () {
+            const indexer = providers.createIndexerProvider({ apiUrl: blockscout.url });
+            const address = ethers.Wallet.createRandom().address;
+
+            expect(await indexer.getTxCount(address, ["normal", "internal"]))
+                .to.deep.include({ txCount: 12, breakdown: { normal: 12 } });
+            expect(await indexer.getTxCount(address, ["normal", "erc20", "erc721"]))
+                .to.deep.include({ txCount: 17, breakdown: { normal: 12, erc20: 5 } });
+            expect(await indexer.getTxCount(address, ["normal", "erc721"]))
+                .to.deep.include({ txCount: 17, breakdown: { normal: 12, erc721: 5 } });
+        });
+    });
+});
@@ -0,0 +1,215 @@
+const { expect } = require("chai");
+const { ethers, network: hardhatNetwork } = require("hardhat");
+const { captureErrors } = require("../helpers/console.cjs");
+const { makeTransactions, startMockExplorer } = require("../helpers/explorer.cjs");
+const { serveNetwork } = require("../helpers/servers.cjs");
+
+const DAY_SECONDS = 86400;
+
+// Aura scoring (api/_lib/score.js): the signals read from a wallet's history, their weights,
+// and which scores are cached
+describe("Aura score", function () {
+    let score;
+
+    before(async function () {
+        score = await import("../../api/_lib/score.js");
+    });
+
+    describe("getSignals", function () {
+        const wallet = ethers.Wallet.createRandom().address.toLowerCase();
+        const other = ethers.Wallet.createRandom().address.toLowerCase();
+        const contract = ethers.Wallet.createRandom().address.toLowerCase();
+        // Noon UTC, so transactions a few hours into a day stay on that day
+        const day = Math.floor(Date.now() / 1000 / DAY_SECONDS) * DAY_SECONDS;
+        const now = (day + DAY_SECONDS / 2) * 1000;
+
+        // A Basescan-shaped transaction sent by the wallet, `daysAgo` days (plus `hour` hours) before today
+        const tx = ({ daysAgo = 1, hour = 1, ...fields } = {}) => ({
+            hash: ethers.hexlify(ethers.randomBytes(32)),
+            timeStamp: String(day - daysAgo * DAY_SECONDS + hour * 3600),
+            from: wallet,
+            to: contract,
+            value: "0",
+            input: "0xd09de08a",
+            isError: "0",
+            gasUsed: "50000",
+            gasPrice: "1000000000",
+            ...fields,
+        });
+        const activity = (transactions) => ({ transactions, tokenTxCount: 3, nftTxCount: 2, complete: true });
+
+        it("counts meaningful transactions, active days, contracts and gas from the wallet's history", async function () {
+            const signals = score.getSignals(wallet, activity([
+                tx({ daysAgo: 10, hour: 1 }),
+                tx({ daysAgo: 10, hour: 2 }),
+                tx({ daysAgo: 2, to: other, value: "5", input: "0x" }),
+                tx({ daysAgo: 3, from: other, to: wallet, value: "1000000000000000000", input: "0x" }),
+            ]), now);
+
+            expect(signals).to.deep.equal({
+                transactions: 4,
+                walletAgeDays: 10,
+                activeDays: 2,
+                uniqueContracts: 1,
+                gasSpentEth: 0.00015,
+                tokenTransfers: 3,
+                nftTransfers: 2,
+            });
+        });
+
+        it("leaves out failed transactions and zero-value self-transfers except for the wallet's age", async function () {
+            const signals = score.getSignals(wallet, activity([
+                tx({ daysAgo: 100, to: wallet, input: "0x" }),
+                tx({ daysAgo: 50, isError: "1" }),
+                tx({ daysAgo: 5 }),
+            ]), now);
+
+            expect(signals).to.include({ transactions: 1, walletAgeDays: 100, activeDays: 1, uniqueContracts: 1 });
+            expect(signals.gasSpentEth).to.equal(0.00005);
+        });
+
+        it("treats transfers between aggregated addresses as self-transfers", async function () {
+            const transactions = [tx({ daysAgo: 4, to: other, input: "0x" }), tx({ daysAgo: 3 })];
+
+            expect(score.getSignals(wallet, activity(transactions), now).transactions).to.equal(2);
+            expect(score.getSignals([wallet, other], activity(transactions), now).transactions).to.equal(1);
+        });
+
+        it("gives an empty history no age", async function () {
+            const signals = score.getSignals(wallet, { transactions: [], tokenTxCount: 0, nftTxCount: 0 }, now);
+
+            expect(signals).to.include({ transactions: 0, walletAgeDays: 0, activeDays: 0, gasSpentEth: 0 });
+        });
+    });
+
+    describe("scoreSignals", function () {
+        it("weights each signal, caps age and gas, and rounds the total down", async function () {
+            const result = score.scoreSignals({
+                transactions: 10,
+                walletAgeDays: 400,
+                activeDays: 3,
+                uniqueContracts: 2,
+                gasSpentEth: 0.1,
+                tokenTransfers: 3,
+                nftTransfers: 1,
+            });
+
+            // 5 + 36.5 (capped) + 3 + 4 + 50 (capped) + 0.75 + 0.5
+            expect(result.score).to.equal(99);
+            expect(result.scoreBreakdown.walletAgeDays).to.deep.equal({ value: 400, points: 36.5 });
+            expect(result.scoreBreakdown.gasSpentEth).to.deep.equal({ value: 0.1, points: 50 });
+            expect(result.scoreBreakdown.tokenTransfers).to.deep.equal({ value: 3, points: 0.75 });
+        });
+
+        it("scores nothing for no activity", async function () {
+            const result = score.scoreSignals(Object.fromEntries(Object.keys(score.SCORE_WEIGHTS).map((key) => [key, 0])));
+
+            expect(result.score).to.equal(0);
+        });
+    });
+
+    describe("caching", function () {
+        let rpc;
+        let explorer;
+        let savedEnv;
+        let network;
+        const logged = captureErrors();
+
+        before(async function () {
+            rpc = await serveNetwork(hardhatNetwork.provider);
+            explorer = await startMockExplorer();
+
+            const env = {
+                TX_PROVIDERS: "etherscan,rpc",
+                CACHE_STORE: "memory",
+                CACHE_TTL_SECONDS: "60",
+                ETHERSCAN_API_URL: undefined,
+                TXCOUNT_INCLUDE: undefined,
+            };
+            savedEnv = Object.fromEntries(Object.keys(env).map((key) => [key, process.env[key]]));
+            setEnv(env);
+
+            network = {
+                key: "scoreTest",
+                chainId: Number((await ethers.provider.getNetwork()).chainId),
+                rpcUrl: rpc.url,
+                explorerApiUrl: explorer.url,
+            };
+        });
+
+        after(async function () {
+            await Promise.all([explorer?.close(), rpc?.close()]);
+            if (savedEnv) setEnv(savedEnv);
+        });
+
+        afterEach(function () {
+            explorer.setDown(false);
+        });
+
+        function setEnv(values) {
+            for (const [key, value] of Object.entries(values)) {
+                if (value === undefined) delete process.env[key];
+                else process.env[key] = value;
+            }
+        }
+
+        it("serves a weighted score from the cache", async function () {
+            const address = ethers.Wallet.createRandom().address;
+            explorer.addTransactions(address, makeTransactions(address, 4));
+
+            const first = await score.getAuraScore(address, { network });
+            expect(first.scoreBreakdown.transactions.value).to.equal(4);
+
+            explorer.addTransactions(address, makeTransactions(address, 4, { firstBlock: 5 }));
+            expect(await score.getAuraScore(address, { network })).to.deep.equal(first);
+        });
+
+        it("tops up the cached activity from the block it last saw once it is stale", async function () {
+            const address = ethers.Wallet.createRandom().address;
+            explorer.addTransactions(address, makeTransactions(address, 4));
+            process.env.CACHE_TTL_SECONDS = "0";
+            try {
+                await score.getAuraScore(address, { network });
+
+                // A transaction in an already read block would only show up if the history were read again in full
+                explorer.addTransactions(address, makeTransactions(address, 1, { firstBlock: 2 }));
+                explorer.addTransactions(address, makeTransactions(address, 2, { firstBlock: 5 }));
+                const result = await score.getAuraScore(address, { network });
+                expect(result.txCount).to.equal(6);
+                expect(result.lastBlock).to.equal(6);
+                expect(result.scoreBreakdown.transactions.value).to.equal(6);
+            } finally {
+                process.env.CACHE_TTL_SECONDS = "60";
+            }
+        });
+
+        it("scores aggregate auras from each address's cached activity", async function () {
+            const [first, second] = [ethers.Wallet.createRandom().address, ethers.Wallet.createRandom().address];
+            explorer.addTransactions(first, makeTransactions(first, 4));
+            explorer.addTransactions(second, makeTransactions(second, 2));
+            const single = await score.getAuraScore(first, { network });
+
+            explorer.addTransactions(first, makeTransactions(first, 4, { firstBlock: 5 }));
+            const aggregate = await score.getAggregateScore([first, second], { network });
+            expect(aggregate.addresses.map(({ address, txCount }) => ({ address, txCount })))
+                .to.deep.equal([{ address: first, txCount: single.txCount }, { address: second, txCount: 2 }]);
+            expect(aggregate.scoreBreakdown.transactions.value).to.equal(6);
+        });
+
+        it("doesn't cache the tx count fallback, so the next request is scored again", async function () {
+            const address = ethers.Wallet.createRandom().address;
+            explorer.setDown(true);
+
+            const fallback = await score.getAuraScore(address, { network });
+            expect(fallback.scoreBreakdown).to.equal(null);
+            expect(fallback.provider).to.equal("rpc");
+            expect(logged().some(([message]) => message === "Aura scoring failed, falling back to the tx count:")).to.equal(true);
+
+            explorer.setDown(false);
+            explorer.addTransactions(address, makeTransactions(address, 4));
+            const scored = await score.getAuraScore(address, { network });
+            expect(scored.scoreBreakdown.transactions.value).to.equal(4);
+            expect(scored.provider).to.equal("etherscan");
+        });
+    });
+});
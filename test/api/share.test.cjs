@@ -0,0 +1,58 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// Share cards and embed tags (api/_lib/share.js)
+describe("Share cards", function () {
+    let share;
+    let network;
+    let savedAppUrl;
+    const address = ethers.Wallet.createRandom().address;
+
+    before(async function () {
+        share = await import("../../api/_lib/share.js");
+        network = (await import("../../config/networks.js")).getNetwork("baseSepolia");
+        savedAppUrl = process.env.APP_URL;
+        delete process.env.APP_URL;
+    });
+
+    after(function () {
+        if (savedAppUrl === undefined) delete process.env.APP_URL;
+        else process.env.APP_URL = savedAppUrl;
+    });
+
+    it("links to the configured app URL, falling back to the network's collection URL", async function () {
+        expect(share.getAppUrl(network)).to.equal(network.deploy.collection.externalURL);
+
+        process.env.APP_URL = "https://aura.example/";
+        try {
+            expect(share.getAppUrl(network)).to.equal("https://aura.example");
+        } finally {
+            delete process.env.APP_URL;
+        }
+    });
+
+    it("points the Open Graph and Farcaster embed images at the PNG card", async function () {
+        const meta = share.renderShareMeta({ origin: "https://aura.example", address, network });
+        const imageUrl = `https://aura.example/api/card?address=${address}&amp;chain=baseSepolia`;
+
+        expect(meta).to.include(`<meta property="og:image" content="${imageUrl}">`);
+        expect(meta.match(/&quot;imageUrl&quot;:&quot;([^&]+&amp;[^&]+)&quot;/)[1]).to.equal(imageUrl);
+    });
+
+    it("escapes markup in tier names once, in the artwork and the card text", async function () {
+        const tier = { id: "rnd", name: "R&D <Lab>", rarity: "Rare", imageKey: "rnd" };
+        const svg = share.renderShareCard({ address, network, tier, txCount: 5, score: 50, emoji: false });
+
+        expect(svg.split("R&amp;D &lt;Lab&gt;")).to.have.length(3);
+        expect(svg).to.not.include("&amp;amp;");
+        expect(svg).to.not.include("<Lab>");
+    });
+
+    it("rasterizes the card to a 1200x800 PNG", async function () {
+        const tier = { id: "fire", name: "Fire Dragon", rarity: "Legendary", imageKey: "fire" };
+        const png = Buffer.from(share.renderShareCardPng({ address, network, tier, txCount: 123, score: 640 }));
+
+        expect(png.subarray(0, 8)).to.deep.equal(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+        expect([png.readUInt32BE(16), png.readUInt32BE(20)]).to.deep.equal([1200, 800]);
+    });
+});
@@ -0,0 +1,392 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, artifacts, network: hardhatNetwork } = require("hardhat");
+const { captureErrors } = require("../helpers/console.cjs");
+const { getBaseAuraV2Factory } = require("../helpers/deploy.cjs");
+const { makeTransactions, startMockExplorer } = require("../helpers/explorer.cjs");
+const { listen, serveApi, serveNetwork } = require("../helpers/servers.cjs");
+
+const MINT_FEE = ethers.parseEther("0.00001");
+
+// End-to-end scan and mint flow: the app's client calls (src/lib/scan.js) against the real API routes,
+// served over HTTP, scoring with a mock Basescan and attesting for BaseAuraV2 on the in-process Hardhat network
+// Runs on the Base Sepolia chain ID from hardhat.e2e.config.cjs (npm run test:e2e)
+describe("Scan and mint (e2e)", function () {
+    let rpc;
+    let explorer;
+    let api;
+    let savedEnv;
+    let deploymentsDir;
+    let network;
+    let publicClient;
+    let walletClient;
+    let tiers;
+    let lib;
+    let v1;
+    let migrator;
+    // The failure paths log on purpose (name lookups find no resolver locally, providers fail over)
+    const logged = captureErrors();
+
+    before(async function () {
+        const { createPublicClient, createWalletClient, http } = await import("viem");
+        const { generatePrivateKey, privateKeyToAccount } = await import("viem/accounts");
+        const { baseSepolia } = await import("viem/chains");
+
+        const [, feeRecipient] = await ethers.getSigners();
+        const attesterKey = generatePrivateKey();
+        const BaseAuraV2 = await getBaseAuraV2Factory();
+        const baseAura = await BaseAuraV2.deploy("", privateKeyToAccount(attesterKey).address, feeRecipient.address, MINT_FEE);
+        const deployBlock = await ethers.provider.getBlockNumber();
+
+        // A V1 contract with two tokens minted before the holder snapshot, and the migrator V2 mints migrations for
+        const [v1Holder, , waterHolder] = (await ethers.getSigners()).slice(7);
+        v1 = await (await ethers.getContractFactory("BaseAura")).deploy("https://example.com/images/");
+        migrator = await (await ethers.getContractFactory("BaseAuraMigrator"))
+            .deploy(await v1.getAddress(), await baseAura.getAddress());
+        await (await baseAura.setMigrator(await migrator.getAddress())).wait();
+        await (await v1.connect(v1Holder).mint("fire")).wait();
+        await (await v1.connect(waterHolder).mint("water")).wait();
+
+        rpc = await serveNetwork(hardhatNetwork.provider);
+        explorer = await startMockExplorer();
+
+        // The Base Sepolia deployment manifest the app and the API both read the contracts from,
+        // and the V1 holder snapshot migrations are checked against
+        const chainId = Number((await ethers.provider.getNetwork()).chainId);
+        const manifest = {
+            network: "baseSepolia",
+            chainId,
+            contracts: {
+                BaseAuraV2: {
+                    address: await baseAura.getAddress(),
+                    blockNumber: deployBlock,
+                    abi: (await artifacts.readArtifact("BaseAuraV2")).abi,
+                },
+                BaseAuraMigrator: {
+                    address: await migrator.getAddress(),
+                    constructorArgs: [await v1.getAddress(), await baseAura.getAddress()],
+                    abi: (await artifacts.readArtifact("BaseAuraMigrator")).abi,
+                },
+            },
+        };
+        const snapshot = {
+            network: "baseSepolia",
+            chainId,
+            v1ContractAddress: await v1.getAddress(),
+            block: String(await ethers.provider.getBlockNumber()),
+            holders: [
+                { tokenId: "0", owner: v1Holder.address, auraType: "fire", migrated: false, hasV2: false },
+                { tokenId: "1", owner: waterHolder.address, auraType: "water", migrated: false, hasV2: false },
+            ],
+        };
+        deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "base-aura-deployments-"));
+        fs.mkdirSync(path.join(deploymentsDir, "v1-holders"));
+        fs.writeFileSync(path.join(deploymentsDir, "baseSepolia.json"), JSON.stringify(manifest));
+        fs.writeFileSync(path.join(deploymentsDir, "v1-holders", "baseSepolia.json"), JSON.stringify(snapshot));
+
+        // Point Base Sepolia at the local network and the mock explorer before the API modules load,
+        // since some of them read their settings on import. Name lookups go to the local network and find nothing
+        const env = {
+            BASE_SEPOLIA_RPC_URL: rpc.url,
+            DEPLOYMENTS_DIR: deploymentsDir,
+            // A local .env's overrides would point away from the manifest
+            BASE_SEPOLIA_CONTRACT_ADDRESS: undefined,
+            BASE_SEPOLIA_START_BLOCK: undefined,
+            BASE_SEPOLIA_V1_CONTRACT_ADDRESS: undefined,
+            BASE_SEPOLIA_MIGRATOR_ADDRESS: undefined,
+            BASE_MAINNET_CONTRACT_ADDRESS: undefined,
+            BASE_SEPOLIA_EXPLORER_API_URL: explorer.url,
+            ATTESTER_PRIVATE_KEY: attesterKey,
+            ENS_RPC_URL: rpc.url,
+            TX_PROVIDERS: "etherscan,rpc",
+            CACHE_STORE: "memory",
+            // Every scan reads the current explorer history
+            CACHE_TTL_SECONDS: "0",
+            ETHERSCAN_API_URL: undefined,
+            TXCOUNT_INCLUDE: undefined,
+        };
+        savedEnv = Object.fromEntries(Object.keys(env).map((key) => [key, process.env[key]]));
+        setEnv(env);
+
+        const [score, attest, { getNetwork }, { getTierRank }, scan] = await Promise.all([
+            import("../../api/score.js"),
+            import("../../api/attest.js"),
+            import("../../config/networks.js"),
+            import("../../src/lib/tiers.js"),
+            import("../../src/lib/scan.js"),
+        ]);
+        api = await serveApi({ "/api/score": score.default, "/api/attest": attest.default });
+        lib = { ...scan, getTierRank };
+
+        // What the app gets from config/networks.js and its deployment manifest, and its wagmi clients
+        // The local network has no Multicall3, so multicalls run deployless
+        network = getNetwork("baseSepolia", process.env, "", manifest);
+        publicClient = createPublicClient({
+            chain: baseSepolia,
+            transport: http(rpc.url),
+            batch: { multicall: { deployless: true } },
+        });
+        walletClient = (account) => createWalletClient({ account, chain: baseSepolia, transport: http(rpc.url) });
+
+        tiers = await publicClient.readContract({
+            address: network.contractAddress,
+            abi: network.contractAbi,
+            functionName: "getTiers",
+        });
+    });
+
+    after(async function () {
+        await Promise.all([api?.close(), explorer?.close(), rpc?.close()]);
+        if (savedEnv) setEnv(savedEnv);
+        if (deploymentsDir) fs.rmSync(deploymentsDir, { recursive: true, force: true });
+    });
+
+    function setEnv(values) {
+        for (const [key, value] of Object.entries(values)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    }
+
+    // The scan handleScan in src/App.jsx runs: the address's token, the score over its addresses and the tier it earns
+    const scan = (address, { apiUrl = api.url } = {}) => lib.scanAura({ network, publicClient, address, tiers, apiUrl });
+
+    // handleMint: attest the target's aura, then mint it from the connected wallet
+    async function mint(targetAddress, from = targetAddress) {
+        const { attestation, signature } = await lib.getAttestation({ network, address: targetAddress, apiUrl: api.url });
+        const contract = { address: network.contractAddress, abi: network.contractAbi };
+        const value = await publicClient.readContract({ ...contract, functionName: "getMintFee", args: [from, targetAddress] });
+
+        const hash = await walletClient(from).writeContract({
+            ...contract,
+            functionName: "mint",
+            args: [attestation, signature],
+            value,
+        });
+        return publicClient.waitForTransactionReceipt({ hash });
+    }
+
+    // handleUpgrade: attest the current aura and update the holder's token
+    async function upgrade(targetAddress, tokenId) {
+        const { attestation, signature } = await lib.getAttestation({ network, address: targetAddress, apiUrl: api.url });
+        const hash = await walletClient(targetAddress).writeContract({
+            address: network.contractAddress,
+            abi: network.contractAbi,
+            functionName: "updateAura",
+            args: [tokenId, attestation, signature],
+        });
+        return publicClient.waitForTransactionReceipt({ hash });
+    }
+
+    async function expectRejection(promise, pattern) {
+        let error;
+        try {
+            await promise;
+        } catch (err) {
+            error = err;
+        }
+        expect(error, "expected a rejection").to.be.an("error");
+        expect(error.message).to.match(pattern);
+    }
+
+    describe("happy path", function () {
+        it("scores an address from its explorer history and mints its aura", async function () {
+            const [, , target] = await ethers.getSigners();
+            explorer.addTransactions(target.address, makeTransactions(target.address, 5, { daysAgo: 100 }));
+
+            const result = await scan(target.address);
+            expect(result.existing).to.equal(null);
+            expect(result.txCount).to.equal(5);
+            expect(result.scoreBreakdown.uniqueContracts.value).to.equal(5);
+            expect(result.tier.id).to.equal("tide");
+
+            const receipt = await mint(target.address);
+            expect(receipt.status).to.equal("success");
+
+            const { existing } = await scan(target.address);
+            expect(existing.currentAura).to.equal("tide");
+            expect(existing.txCount).to.equal(5n);
+            expect(existing.owner).to.equal(target.address);
+            expect(existing.targetAddress).to.equal(target.address);
+        });
+
+        it("rejects a second mint for the same target", async function () {
+            const [, , target, payer] = await ethers.getSigners();
+
+            await expectRejection(mint(target.address, payer.address), /This address already has an Aura NFT/);
+        });
+
+        it("upgrades the aura once the address earns a higher tier", async function () {
+            const [, , target] = await ethers.getSigners();
+            explorer.addTransactions(target.address, makeTransactions(target.address, 30, { daysAgo: 95, firstBlock: 6 }));
+
+            const result = await scan(target.address);
+            expect(result.txCount).to.equal(35);
+            expect(result.tier.id).to.equal("water");
+            expect(lib.getTierRank(tiers, result.tier.id)).to.be.greaterThan(lib.getTierRank(tiers, result.existing.currentAura));
+
+            const receipt = await upgrade(target.address, result.existing.tokenId);
+            expect(receipt.status).to.equal("success");
+
+            const { existing } = await scan(target.address);
+            expect(existing.tokenId).to.equal(result.existing.tokenId);
+            expect(existing.currentAura).to.equal("water");
+            expect(existing.txCount).to.equal(35n);
+        });
+    });
+
+    describe("errors", function () {
+        it("finds no tier and refuses to attest an address without transactions", async function () {
+            const [, , , , empty] = await ethers.getSigners();
+
+            const result = await scan(empty.address);
+            expect(result.txCount).to.equal(0);
+            expect(result.score).to.equal(0);
+            expect(result.tier).to.equal(null);
+
+            await expectRejection(
+                lib.getAttestation({ network, address: empty.address, apiUrl: api.url }),
+                /No transactions found for this address/
+            );
+        });
+
+        it("refuses to attest on a network without a deployment manifest", async function () {
+            const [, , target] = await ethers.getSigners();
+            const { getNetwork } = await import("../../config/networks.js");
+
+            await expectRejection(
+                lib.getAttestation({ network: getNetwork("baseMainnet", process.env), address: target.address, apiUrl: api.url }),
+                /Base Aura isn't deployed on Base/
+            );
+        });
+    });
+
+    describe("V1 migration", function () {
+        // MigrationBanner's handleMigrate: a migration attestation for the V1 token, the approval and the migration
+        async function migrate(holder, v1TokenId) {
+            const { attestation, signature } = await lib.getAttestation({ network, address: holder, v1TokenId, apiUrl: api.url });
+            await (await v1.connect(await ethers.getSigner(holder)).approve(network.migratorAddress, v1TokenId)).wait();
+            const hash = await walletClient(holder).writeContract({
+                address: network.migratorAddress,
+                abi: network.migratorAbi,
+                functionName: "migrate",
+                args: [BigInt(v1TokenId), attestation, signature],
+                value: MINT_FEE,
+            });
+            return publicClient.waitForTransactionReceipt({ hash });
+        }
+
+        it("signs migrations that only the migrator can mint, locking the snapshotted V1 token", async function () {
+            const [holder] = (await ethers.getSigners()).slice(7);
+            expect(network.migratorAddress).to.equal(await migrator.getAddress());
+
+            // Minting the migration attestation directly would leave the V1 token free to migrate again
+            const { attestation, signature } = await lib.getAttestation({ network, address: holder.address, v1TokenId: "0", apiUrl: api.url });
+            await expectRejection(
+                walletClient(holder.address).writeContract({
+                    address: network.contractAddress,
+                    abi: network.contractAbi,
+                    functionName: "mint",
+                    args: [attestation, signature],
+                    value: MINT_FEE,
+                }),
+                /Invalid attestation signature/
+            );
+
+            const receipt = await migrate(holder.address, "0");
+            expect(receipt.status).to.equal("success");
+            expect(await v1.ownerOf(0)).to.equal(network.migratorAddress);
+
+            const { existing } = await scan(holder.address);
+            expect(existing.currentAura).to.equal("fire");
+        });
+
+        it("refuses V1 tokens minted after the snapshot", async function () {
+            const [, latecomer] = (await ethers.getSigners()).slice(7);
+            await (await v1.connect(latecomer).mint("fire")).wait();
+
+            await expectRejection(
+                lib.getAttestation({ network, address: latecomer.address, v1TokenId: "2", apiUrl: api.url }),
+                /This V1 token is not in the migration snapshot/
+            );
+        });
+
+        it("asks holders who changed their V1 aura after the snapshot to set it back", async function () {
+            const [, , holder] = (await ethers.getSigners()).slice(7);
+            await (await v1.connect(holder).updateAura(1, "rock")).wait();
+
+            await expectRejection(
+                lib.getAttestation({ network, address: holder.address, v1TokenId: "1", apiUrl: api.url }),
+                /aura changed to rock after the migration snapshot. Set it back to water to migrate/
+            );
+
+            await (await v1.connect(holder).updateAura(1, "water")).wait();
+            const { attestation } = await lib.getAttestation({ network, address: holder.address, v1TokenId: "1", apiUrl: api.url });
+            expect(attestation.auraType).to.equal("water");
+        });
+
+        it("migrates the snapshotted aura while scoring is unavailable", async function () {
+            const [, , holder] = (await ethers.getSigners()).slice(7);
+            explorer.setDown(true);
+            try {
+                const receipt = await migrate(holder.address, "1");
+                expect(receipt.status).to.equal("success");
+            } finally {
+                explorer.setDown(false);
+            }
+
+            const { existing } = await scan(holder.address);
+            expect(existing.currentAura).to.equal("water");
+        });
+    });
+
+    describe("fallbacks", function () {
+        let sender;
+
+        before(async function () {
+            // An address with history only on the local network, 12 sent transactions
+            const [, , , , , wallet, recipient] = await ethers.getSigners();
+            sender = wallet;
+            for (let i = 0; i < 12; i++) {
+                await (await sender.sendTransaction({ to: recipient.address, value: 1n })).wait();
+            }
+        });
+
+        afterEach(function () {
+            explorer.setDown(false);
+        });
+
+        it("counts sent transactions over RPC when the explorer is down, but won't attest from that count", async function () {
+            explorer.setDown(true);
+
+            const result = await scan(sender.address);
+            expect(result.txCount).to.equal(12);
+            expect(result.score).to.equal(12);
+            expect(result.scoreBreakdown).to.equal(null);
+            expect(result.tier.id).to.equal("tide");
+            expect(logged().some(([message]) => message === "Tx provider etherscan failed:")).to.equal(true);
+
+            await expectRejection(
+                lib.getAttestation({ network, address: sender.address, apiUrl: api.url }),
+                /Aura scoring is unavailable/
+            );
+        });
+
+        it("falls back to the wallet's RPC nonce when the API is unreachable", async function () {
+            const nonce = await publicClient.getTransactionCount({ address: sender.address });
+
+            // A port that just closed - requests to it fail like an API outage
+            const unreachable = await listen(() => {});
+            await unreachable.close();
+
+            const result = await scan(sender.address, { apiUrl: unreachable.url });
+            expect(result.txCount).to.equal(nonce);
+            expect(result.score).to.equal(nonce);
+            expect(result.scoreBreakdown).to.equal(null);
+            expect(result.tier.id).to.equal("tide");
+            expect(logged().some(([message]) => message === "Error fetching aura score:")).to.equal(true);
+        });
+    });
+});
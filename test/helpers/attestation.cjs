@@ -0,0 +1,52 @@
+const { ethers } = require("hardhat");
+
+const ATTESTATION_FIELDS = [
+    { name: "targetAddress", type: "address" },
+    { name: "linkedAddresses", type: "address[]" },
+    { name: "txCount", type: "uint256" },
+    { name: "auraType", type: "string" },
+    { name: "name", type: "string" },
+    { name: "expiry", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+];
+
+let nextNonce = 1n;
+
+// Sign an AuraAttestation for a BaseAuraV2 deployment, mirroring api/_lib/attestation.js
+// migration: true signs it as an AuraMigration, which only BaseAuraV2.mintMigrated accepts
+async function signAttestation(contract, signer, { targetAddress, linkedAddresses = [], txCount, auraType, name = "", expiry, nonce, migration = false }) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const latest = await ethers.provider.getBlock("latest");
+
+    const attestation = {
+        targetAddress,
+        linkedAddresses,
+        txCount: BigInt(txCount),
+        auraType,
+        name,
+        expiry: expiry ?? BigInt(latest.timestamp + 600),
+        nonce: nonce ?? nextNonce++,
+    };
+
+    const signature = await signer.signTypedData(
+        {
+            name: "Base Aura",
+            version: "1",
+            chainId,
+            verifyingContract: await contract.getAddress(),
+        },
+        { [migration ? "AuraMigration" : "AuraAttestation"]: ATTESTATION_FIELDS },
+        attestation
+    );
+
+    return { attestation, signature };
+}
+
+// Decode a data:application/json;base64 URI (tokenURI or contractURI); JSON.parse throws on malformed JSON
+function decodeTokenURI(uri) {
+    const prefix = "data:application/json;base64,";
+    if (!uri.startsWith(prefix)) throw new Error(`Unexpected token URI: ${uri.slice(0, 40)}`);
+    return JSON.parse(Buffer.from(uri.slice(prefix.length), "base64").toString("utf8"));
+}
+
+module.exports = { signAttestation, decodeTokenURI };
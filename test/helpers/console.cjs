@@ -0,0 +1,24 @@
+// Keep the errors code under test logs on purpose (failovers, fallbacks) out of the test output
+// Call inside a describe: console.error calls are collected per test and only printed if the test fails
+// Returns a function giving the current test's logged calls, each as its argument list
+function captureErrors() {
+    let logged = [];
+    let consoleError;
+
+    beforeEach(function () {
+        logged = [];
+        consoleError = console.error;
+        console.error = (...args) => logged.push(args);
+    });
+
+    afterEach(function () {
+        console.error = consoleError;
+        if (this.currentTest.state === "failed") {
+            for (const args of logged) console.error(...args);
+        }
+    });
+
+    return () => logged;
+}
+
+module.exports = { captureErrors };
@@ -0,0 +1,15 @@
+const { ethers } = require("hardhat");
+
+// BaseAuraV2 factory with its AuraMetadata and AuraRenderer libraries deployed and linked, like scripts/deploy.cjs
+async function getBaseAuraV2Factory() {
+    const metadata = await (await ethers.getContractFactory("AuraMetadata")).deploy();
+    const renderer = await (await ethers.getContractFactory("AuraRenderer")).deploy();
+    return ethers.getContractFactory("BaseAuraV2", {
+        libraries: {
+            AuraMetadata: await metadata.getAddress(),
+            AuraRenderer: await renderer.getAddress(),
+        },
+    });
+}
+
+module.exports = { getBaseAuraV2Factory };
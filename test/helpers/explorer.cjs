@@ -0,0 +1,90 @@
+const { listen } = require("./servers.cjs");
+
+const DAY_SECONDS = 86400;
+
+// Account actions served from the mock history, by transaction category
+const LIST_ACTIONS = {
+    txlist: "normal",
+    txlistinternal: "internal",
+    tokentx: "erc20",
+    tokennfttx: "erc721",
+};
+
+let nextHash = 1n;
+
+// Basescan-shaped transactions sent by `from`, one per day, each calling a different contract
+// The first is `daysAgo` days old, in block firstBlock; every next one is a day and a block later
+function makeTransactions(from, count, { daysAgo = count, firstBlock = 1 } = {}) {
+    const firstTimestamp = Math.floor(Date.now() / 1000) - daysAgo * DAY_SECONDS;
+
+    return Array.from({ length: count }, (_, i) => ({
+        blockNumber: String(firstBlock + i),
+        timeStamp: String(firstTimestamp + i * DAY_SECONDS),
+        hash: `0x${(nextHash++).toString(16).padStart(64, "0")}`,
+        from: from.toLowerCase(),
+        to: `0x${(0xc0de0000 + i + firstBlock).toString(16).padStart(40, "0")}`,
+        value: "0",
+        input: "0xd09de08a",
+        isError: "0",
+        gasUsed: "50000",
+        gasPrice: "1000000000",
+    }));
+}
+
+// Mock Basescan API standing in for the explorer the API routes count and score with (api/_lib/providers/etherscan.js)
+// Serves account lists and the proxied nonce from per-address histories, paged by startblock like the real API
+// setDown(true) fails every request, for testing the providers' failover
+async function startMockExplorer() {
+    const histories = new Map();
+    let down = false;
+
+    const server = await listen((req, res) => {
+        const params = new URL(req.url, "http://localhost").searchParams;
+        const history = histories.get(params.get("address")?.toLowerCase()) || { normal: [] };
+        const send = (status, body) => {
+            res.writeHead(status, { "Content-Type": "application/json" });
+            res.end(JSON.stringify(body));
+        };
+
+        if (down) {
+            return send(503, { status: "0", message: "Service unavailable", result: null });
+        }
+
+        const action = params.get("action");
+        if (params.get("module") === "proxy" && action === "eth_getTransactionCount") {
+            const sent = history.normal.filter((tx) => tx.from === params.get("address").toLowerCase());
+            return send(200, { jsonrpc: "2.0", id: 1, result: `0x${sent.length.toString(16)}` });
+        }
+
+        const category = LIST_ACTIONS[action];
+        if (params.get("module") !== "account" || !category) {
+            return send(200, { status: "0", message: "NOTOK", result: "Error! Unknown action" });
+        }
+
+        const startBlock = Number(params.get("startblock") || 0);
+        const offset = Number(params.get("offset") || 10000);
+        const result = (history[category] || [])
+            .filter((tx) => Number(tx.blockNumber) >= startBlock)
+            .slice(0, offset);
+        return result.length > 0
+            ? send(200, { status: "1", message: "OK", result })
+            : send(200, { status: "0", message: "No transactions found", result: [] });
+    });
+
+    return {
+        ...server,
+
+        // Append transactions to an address's history in one category (normal by default)
+        addTransactions(address, transactions, category = "normal") {
+            const history = histories.get(address.toLowerCase()) || { normal: [] };
+            history[category] = [...(history[category] || []), ...transactions];
+            histories.set(address.toLowerCase(), history);
+        },
+
+        setDown(value) {
+            down = value;
+        },
+    };
+}
+
+module.exports = { makeTransactions, startMockExplorer };
@@ -0,0 +1,87 @@
+const http = require("http");
+
+// Start an HTTP server on a free local port
+// Resolves to its base URL and a close() that stops it
+async function listen(handler) {
+    const server = http.createServer(handler);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((resolve) => {
+            server.closeAllConnections();
+            server.close(resolve);
+        }),
+    };
+}
+
+async function readJson(req) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    return chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString()) : undefined;
+}
+
+// Answer one JSON-RPC request through an EIP-1193 provider
+// Errors keep their code, and revert data goes in error.data.data like `hardhat node` sends it
+async function answerRpc(provider, { id, method, params }) {
+    try {
+        return { jsonrpc: "2.0", id, result: await provider.request({ method, params }) };
+    } catch (error) {
+        return {
+            jsonrpc: "2.0",
+            id,
+            error: {
+                code: Number.isInteger(error.code) ? error.code : -32603,
+                message: error.message,
+                data: { message: error.message, data: error.data?.data ?? error.data },
+            },
+        };
+    }
+}
+
+// Serve a Hardhat network provider (hre.network.provider) over JSON-RPC, as `hardhat node` does,
+// so code that only takes an RPC URL (the API routes, viem clients) can reach the in-process network
+function serveNetwork(provider) {
+    return listen(async (req, res) => {
+        const body = await readJson(req);
+        const response = Array.isArray(body)
+            ? await Promise.all(body.map((request) => answerRpc(provider, request)))
+            : await answerRpc(provider, body);
+
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(response));
+    });
+}
+
+// Serve Vercel-style API handlers, keyed by path (e.g. { "/api/score": handler })
+// Handlers get req.query and a parsed JSON req.body, and answer with res.status(code).json(body)
+function serveApi(routes) {
+    return listen(async (req, res) => {
+        const url = new URL(req.url, "http://localhost");
+        const handler = routes[url.pathname];
+
+        res.status = (code) => {
+            res.statusCode = code;
+            return res;
+        };
+        res.json = (body) => {
+            res.setHeader("Content-Type", "application/json");
+            res.end(JSON.stringify(body));
+            return res;
+        };
+
+        if (!handler) {
+            return res.status(404).json({ error: "Not found" });
+        }
+        try {
+            req.query = Object.fromEntries(url.searchParams);
+            req.body = await readJson(req);
+            await handler(req, res);
+        } catch (error) {
+            console.error(`${url.pathname} failed:`, error);
+            if (!res.headersSent) res.status(500).json({ error: error.message });
+        }
+    });
+}
+
+module.exports = { listen, serveNetwork, serveApi };